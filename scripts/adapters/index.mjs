@@ -0,0 +1,50 @@
+import { mayrandAdapter } from './mayrand.mjs';
+
+// A retailer adapter owns everything site-specific; scripts/lib/crawler.mjs only drives it.
+//
+//   id, name, source, locale   identifiers; `source` is written on every item
+//   listingUrl                 default search page, `defaultQueries` its default search terms
+//   fallbackName               item name used when nothing better was found
+//   blockedHosts               hosts whose requests are aborted (trackers, pop-ups, chat), on top
+//                              of TRACKER_HOSTS in lib/resource_blocking.mjs
+//   selectors                  { container, cards, fallbackCards } for the listing page
+//   buildListingUrl(baseUrl, query)
+//   catalogueUrl, maxCategoryDepth   root of the category tree and its deepest category level
+//   extractCategoryLinks(page)       -> hrefs of category and product links on the page
+//   getCategoryPath(catalogueUrl, href) -> category segments of a link, or null if outside the tree
+//   getCategoryLevels({ breadcrumbItems, breadcrumb, productName, url })
+//                              -> ordered category labels (department first), [] if unknown
+//   buildCategoryUrl(catalogueUrl, segments)
+//   acceptConsent(page), dismissOverlays(page)
+//   getResultsState(page)      -> { cardsCount, loaderVisible, resultsCountText, emptyStateText, ... }
+//   extractListing(page)       -> { results: [card], nextPage, breadcrumb, visibleCardCount, ... }
+//                                 where card is { name, brand, sku, priceSaleText, priceRegularText,
+//                                 priceCandidates, unitLabel, link, image, category,
+//                                 availabilityText, sources }
+//                                 and sources names, per text field, the strategy of its
+//                                 fallback chain that filled it ({ sku: 'data-sku', ... })
+//   getMaxPage(extracted, listingUrl)
+//   goToNextPage(page, listingUrl, nextPage, { artifacts, query }),
+//   goToPage(page, listingUrl, n, { artifacts, query })
+//                              -> { beforeActive, afterActive, sigChanged } or null when stuck;
+//                                 a stuck page goes to artifacts.capture (lib/debug_artifacts.mjs)
+//   extractProductDetails(page, url)
+//                              -> { productName, productBrand, productSku, offerPrices, offerValidFrom,
+//                                 offerValidUntil, offerAvailability, availabilityTexts, promoTexts,
+//                                 h1Text, ogTitle, breadcrumb, breadcrumbItems, priceSaleText,
+//                                 priceRegularText, priceCandidates, unitLabel, unitPriceText,
+//                                 alternateUrls: { [lang]: url }, status,
+//                                 sources: { priceSaleText, priceRegularText } }
+//   extractSkuFromUrl(url)
+//   translateProductUrl(url, lang)  best guess at a product page in another language, or null
+const ADAPTERS = {
+  [mayrandAdapter.id]: mayrandAdapter,
+};
+
+const DEFAULT_ADAPTER_ID = mayrandAdapter.id;
+
+const getAdapter = (id) => ADAPTERS[id] ?? null;
+
+const listAdapterIds = () => Object.keys(ADAPTERS);
+
+export { DEFAULT_ADAPTER_ID, getAdapter, listAdapterIds };
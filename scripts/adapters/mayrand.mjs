@@ -0,0 +1,917 @@
+import {
+  getMaxPageFromButtons,
+  getPaginationInfo,
+  waitForCardsStable,
+  waitForResultsWithRetry,
+} from '../lib/crawler.mjs';
+import { log } from '../lib/logger.mjs';
+import { normalizeWhitespace, resolveUrl, splitBreadcrumb } from '../lib/utils.mjs';
+
+const LISTING_URL = 'https://mayrand.ca/fr/page-recherche';
+const CATALOGUE_URL = 'https://mayrand.ca/fr/nos-produits';
+const MAX_CATEGORY_DEPTH = 3;
+const PRODUCT_SLUG_PATTERN = /-\d{3,}$/;
+const DEFAULT_QUERIES = ['onsale', 'promo', 'solde'];
+const CONTAINER_SELECTOR = '#product-container';
+const CARDS_SELECTOR = 'div.product-card-wrapper';
+// HubSpot tracking, chat and pop-up interactives (what killOverlays otherwise removes after the
+// fact); the HubSpot CMS assets the search page runs on are served from other hosts.
+const BLOCKED_HOSTS = [
+  'js.hs-scripts.com',
+  'js.hs-analytics.net',
+  'track.hubspot.com',
+  'js.hsadspixel.net',
+  'js.hscollectedforms.net',
+  'js.hsleadflows.net',
+  'js.hscta.net',
+  'js.usemessages.com',
+  'js.hubspotfeedback.com',
+];
+const FALLBACK_CARD_SELECTORS = [
+  '#product-container a[href*="/fr/nos-produits/"]',
+  'a[href*="/fr/nos-produits/"]',
+];
+
+const buildListingUrl = (baseUrl, query) => {
+  const url = new URL(baseUrl);
+  if (query) {
+    url.searchParams.set('search', query);
+  }
+  return url.toString();
+};
+
+const getCategoryPath = (catalogueUrl, href) => {
+  let url;
+  try {
+    url = new URL(href, catalogueUrl);
+  } catch {
+    return null;
+  }
+  const rootPath = new URL(catalogueUrl).pathname.replace(/\/+$/, '');
+  if (!url.pathname.startsWith(`${rootPath}/`)) return null;
+  const segments = url.pathname
+    .slice(rootPath.length)
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment));
+  if (segments.length > 0 && PRODUCT_SLUG_PATTERN.test(segments[segments.length - 1])) {
+    segments.pop();
+  }
+  return segments.slice(0, MAX_CATEGORY_DEPTH);
+};
+
+const CATEGORY_ROOT_LABELS = new Set(['accueil', 'nos produits', 'home', 'our products']);
+
+// Breadcrumb labels win; the category segments of the product URL (slugs) are the fallback.
+const getCategoryLevels = ({ breadcrumbItems, breadcrumb, productName, url }) => {
+  const labels = (breadcrumbItems?.length ? breadcrumbItems : splitBreadcrumb(breadcrumb))
+    .map((label) => normalizeWhitespace(label))
+    .filter((label) => label && !CATEGORY_ROOT_LABELS.has(label.toLowerCase()));
+  const productLabel = (normalizeWhitespace(productName) ?? '').toLowerCase();
+  if (labels.length > 0 && productLabel && labels.at(-1).toLowerCase() === productLabel) {
+    labels.pop();
+  }
+  if (labels.length > 0) return labels;
+  return (url && getCategoryPath(CATALOGUE_URL, url)) || [];
+};
+
+const buildCategoryUrl = (catalogueUrl, categoryPath) => {
+  const url = new URL(catalogueUrl);
+  url.pathname = [url.pathname.replace(/\/+$/, ''), ...categoryPath.map(encodeURIComponent)].join('/');
+  url.search = '';
+  return url.toString();
+};
+
+const extractCategoryLinks = async (page) =>
+  page.evaluate(() =>
+    Array.from(document.querySelectorAll('a[href*="/nos-produits/"]'))
+      .map((link) => link.href)
+      .filter(Boolean)
+  );
+
+const translateProductUrl = (url, language) => {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    if (!/^\/fr\/nos-produits\//.test(parsed.pathname)) return null;
+    parsed.pathname = parsed.pathname.replace(/^\/fr\//, `/${language}/`);
+    parsed.hash = '';
+    return parsed.toString();
+  } catch {
+    return null;
+  }
+};
+
+const extractSkuFromUrl = (url) => {
+  if (!url) return null;
+  const match = url.match(/-(\d{3,})(?:\D|$)/);
+  return match?.[1] || null;
+};
+
+const acceptCookies = async (page) => {
+  const consentSelectors = [
+    '#onetrust-accept-btn-handler',
+    'button#onetrust-accept-btn-handler',
+    'button[aria-label*="Accept"]',
+    'button[aria-label*="Accepter"]',
+    'button:has-text("Tout accepter")',
+    'button:has-text("Accepter")',
+    'button:has-text("Accept")',
+    'button:has-text("Agree")',
+  ];
+
+  for (const selector of consentSelectors) {
+    const locator = page.locator(selector).first();
+    try {
+      if (await locator.isVisible({ timeout: 2000 })) {
+        await locator.click({ timeout: 2000 });
+        await page.waitForTimeout(500);
+        break;
+      }
+    } catch {
+      continue;
+    }
+  }
+};
+
+const getResultsDomState = async (page) =>
+  page.evaluate(({ containerSelector, cardsSelector }) => {
+    const normalizeWhitespace = (value) =>
+      value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? null;
+
+    const isVisible = (element) => {
+      if (!element) return false;
+      const style = window.getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      return (
+        rect.width > 0 &&
+        rect.height > 0 &&
+        style.visibility !== 'hidden' &&
+        style.display !== 'none' &&
+        Number.parseFloat(style.opacity || '1') > 0
+      );
+    };
+
+    const cardSelectors = [cardsSelector];
+    const loaderSelectors = [
+      '.loading',
+      '.loader',
+      '.spinner',
+      '.is-loading',
+      '[aria-busy="true"]',
+      '[data-loading="true"]',
+      '.skeleton',
+      '.skeleton-loader',
+    ];
+
+    const container = document.querySelector(containerSelector);
+    const scope = container ?? document;
+    const cards = scope.querySelectorAll(cardSelectors.join(','));
+    const loaderVisible = loaderSelectors.some((selector) => {
+      const node = document.querySelector(selector);
+      return node && isVisible(node);
+    });
+
+    const emptyStateTextFromSelectors = normalizeWhitespace(
+      Array.from(
+        document.querySelectorAll(
+          '.no-results, .empty, .results-empty, .search-empty, [data-testid="no-results"]'
+        )
+      )
+        .map((node) => node.textContent)
+        .find(Boolean)
+    );
+
+    const bodyText = normalizeWhitespace(document.body?.innerText || '');
+    const emptyStateMatch =
+      bodyText?.match(
+        /(Aucun r\u00e9sultat[^.]*|0\s*r\u00e9sultat[^.]*|Aucun produit[^.]*|No results[^.]*|0\s*results[^.]*)/i
+      ) ?? null;
+    const emptyStateText = emptyStateTextFromSelectors || emptyStateMatch?.[1] || null;
+
+    const resultsCountText = normalizeWhitespace(
+      Array.from(
+        document.querySelectorAll('.results-count, .search-result-count, .product-count, .count')
+      )
+        .map((node) => node.textContent)
+        .find(Boolean)
+    );
+
+    return {
+      cardsCount: cards.length,
+      loaderVisible,
+      resultsCountText,
+      emptyStateText,
+      containerSelector: container ? container.className || container.id : null,
+    };
+  }, { containerSelector: CONTAINER_SELECTOR, cardsSelector: CARDS_SELECTOR });
+
+const scrapeProductPage = async (page, productUrl) => {
+  const response = await page.goto(productUrl, { waitUntil: 'domcontentloaded' });
+  await acceptCookies(page);
+  await page.waitForTimeout(500);
+  const details = await page.evaluate(() => {
+    const normalizeWhitespace = (value) =>
+      value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? null;
+    // Name of the first selector in a fallback chain that found something, for the coverage report.
+    const firstSource = (candidates) => candidates.find(([value]) => value)?.[1] ?? null;
+
+    const readJsonLd = () => {
+      const scripts = Array.from(
+        document.querySelectorAll('script[type="application/ld+json"]')
+      )
+        .map((node) => node.textContent)
+        .filter(Boolean);
+      const parsed = [];
+      for (const raw of scripts) {
+        try {
+          parsed.push(JSON.parse(raw));
+        } catch {
+          continue;
+        }
+      }
+      return parsed;
+    };
+
+    const flattenJsonLd = (data) => {
+      if (!data) return [];
+      if (Array.isArray(data)) return data.flatMap(flattenJsonLd);
+      if (typeof data === 'object') {
+        if (data['@graph']) return flattenJsonLd(data['@graph']);
+        return [data];
+      }
+      return [];
+    };
+
+    const jsonLdEntries = readJsonLd().flatMap(flattenJsonLd);
+    const productEntry = jsonLdEntries.find((entry) => {
+      const type = entry?.['@type'];
+      if (!type) return false;
+      if (Array.isArray(type)) {
+        return type.some((value) => String(value).toLowerCase() === 'product');
+      }
+      return String(type).toLowerCase() === 'product';
+    });
+
+    const productName = normalizeWhitespace(productEntry?.name);
+    const productBrand = normalizeWhitespace(
+      productEntry?.brand?.name || productEntry?.brand
+    );
+    const productSku = normalizeWhitespace(productEntry?.sku);
+
+    const offers = productEntry?.offers;
+    const offersList = Array.isArray(offers) ? offers : offers ? [offers] : [];
+    const offerPrices = offersList
+      .map((offer) => {
+        if (!offer) return null;
+        if (offer.price) return String(offer.price);
+        if (offer.lowPrice) return String(offer.lowPrice);
+        if (offer.priceSpecification?.price) return String(offer.priceSpecification.price);
+        return null;
+      })
+      .filter(Boolean);
+    const pickOfferDate = (...keys) =>
+      offersList
+        .flatMap((offer) => keys.map((key) => offer?.[key] || offer?.priceSpecification?.[key]))
+        .find(Boolean) || null;
+    const offerAvailability = offersList.map((offer) => offer?.availability).filter(Boolean);
+    // [class*="stock"] only inside the availability block: elsewhere it also matches widgets such
+    // as stock-notify forms.
+    const availabilityTexts = Array.from(
+      document.querySelectorAll(
+        [
+          '.availability',
+          '.stock',
+          '.stock-status',
+          '.out-of-stock',
+          '.product-availability',
+          '[class*="dispon"]',
+          '.availability [class*="stock"]',
+          '.product-availability [class*="stock"]',
+        ].join(', ')
+      )
+    )
+      .map((node) => normalizeWhitespace(node.textContent))
+      .filter(Boolean);
+    const offerValidFrom = pickOfferDate('validFrom', 'priceValidFrom');
+    const offerValidUntil = pickOfferDate('priceValidUntil', 'validThrough');
+
+    const h1Text = normalizeWhitespace(document.querySelector('h1')?.textContent);
+    const ogTitle = normalizeWhitespace(
+      document.querySelector('meta[property="og:title"], meta[name="og:title"]')?.getAttribute(
+        'content'
+      )
+    );
+
+    const breadcrumb = normalizeWhitespace(
+      Array.from(document.querySelectorAll('nav.breadcrumb, .breadcrumb, .breadcrumbs'))
+        .map((node) => node.textContent)
+        .find(Boolean)
+    );
+    const breadcrumbNode = document.querySelector('nav.breadcrumb, .breadcrumb, .breadcrumbs');
+    const breadcrumbEntries = breadcrumbNode
+      ? Array.from(breadcrumbNode.querySelectorAll('li')).length > 0
+        ? Array.from(breadcrumbNode.querySelectorAll('li'))
+        : Array.from(breadcrumbNode.querySelectorAll('a'))
+      : [];
+    const breadcrumbItems = breadcrumbEntries
+      .map((node) => normalizeWhitespace(node.textContent))
+      .filter(Boolean);
+
+    const unitPriceSaleText = normalizeWhitespace(
+      document.querySelector('.unit_price span.me-2')?.textContent
+    );
+    const unitPriceRegularText = normalizeWhitespace(
+      document.querySelector('.unit_price del.price-discount')?.textContent
+    );
+    const priceSaleText =
+      unitPriceSaleText ||
+      normalizeWhitespace(
+        document.querySelector(
+          '.price--sale, .price-sale, .sale-price, .special-price, .price-promo, .promo-price'
+        )?.textContent
+      );
+    const priceRegularText =
+      unitPriceRegularText ||
+      normalizeWhitespace(
+        document.querySelector('del, s, .price--regular, .regular-price, .old-price')
+          ?.textContent
+      );
+
+    const priceCandidates = Array.from(
+      document.querySelectorAll(
+        '.product-price, .price, .price-value, .value, .pricing, .product-card-price'
+      )
+    )
+      .map((node) => node.textContent)
+      .filter(Boolean);
+
+    const unitLabel = normalizeWhitespace(
+      document.querySelector(
+        '.unit_quantity, .unit, .unit-label, .unit-text, .product-unit, .unitLabel, [data-testid="unit"]'
+      )?.textContent
+    );
+    const unitPriceText = normalizeWhitespace(
+      document.querySelector(
+        '.unit-price-ref, .unit-price, .price-unit, .price-per, .unit-price-value, [data-testid="unit-price"]'
+      )?.textContent
+    );
+
+    const promoDatePattern =
+      /valid|valable|jusqu|en vigueur|se termine|prend fin|[àa] partir du|until|ends?\b|expires?/i;
+    const promoTexts = [
+      ...Array.from(
+        document.querySelectorAll(
+          '.promo-dates, .promotion-dates, .promo-validity, .price-validity, .valid-until'
+        )
+      ).map((node) => node.textContent),
+      ...(document.querySelector('.product_detail, main')?.innerText || '').split('\n'),
+    ]
+      .map((text) => normalizeWhitespace(text))
+      .filter((text) => text && text.length <= 200 && promoDatePattern.test(text))
+      .slice(0, 10);
+
+    const alternateUrls = {};
+    document
+      .querySelectorAll('link[rel="alternate"][hreflang], a[hreflang]')
+      .forEach((node) => {
+        const language = (node.getAttribute('hreflang') || '').toLowerCase().split('-')[0];
+        if (language && node.href && !alternateUrls[language]) {
+          alternateUrls[language] = node.href;
+        }
+      });
+
+    return {
+      productName,
+      productBrand,
+      productSku,
+      offerPrices,
+      offerValidFrom,
+      offerValidUntil,
+      offerAvailability,
+      availabilityTexts,
+      promoTexts,
+      h1Text,
+      ogTitle,
+      breadcrumb,
+      breadcrumbItems,
+      priceSaleText,
+      priceRegularText,
+      priceCandidates,
+      unitLabel,
+      unitPriceText,
+      alternateUrls,
+      sources: {
+        priceSaleText: firstSource([
+          [unitPriceSaleText, 'unit-price'],
+          [priceSaleText, 'sale-class'],
+        ]),
+        priceRegularText: firstSource([
+          [unitPriceRegularText, 'unit-price'],
+          [priceRegularText, 'strikethrough'],
+        ]),
+      },
+    };
+  });
+  return { ...details, status: response?.status() ?? null };
+};
+
+const scrapePage = async (page) => {
+  return page.evaluate(({ containerSelector, cardsSelector, fallbackSelectors }) => {
+    const normalizeWhitespace = (value) =>
+      value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? null;
+    // As in scrapeProductPage; code run in the page cannot share helpers.
+    const firstSource = (candidates) => candidates.find(([value]) => value)?.[1] ?? null;
+
+    const isVisible = (element) => {
+      if (!element) return false;
+      const style = window.getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      return (
+        rect.width > 0 &&
+        rect.height > 0 &&
+        style.visibility !== 'hidden' &&
+        style.display !== 'none' &&
+        Number.parseFloat(style.opacity || '1') > 0
+      );
+    };
+
+    const cardSelectors = [cardsSelector, ...fallbackSelectors];
+    const cardSet = new Set();
+    cardSelectors.forEach((selector) => {
+      document.querySelectorAll(selector).forEach((element) => cardSet.add(element));
+    });
+    const cards = Array.from(cardSet).filter((element) => isVisible(element));
+
+    const resultsContainer = document.querySelector(containerSelector);
+
+    const breadcrumb = normalizeWhitespace(
+      Array.from(document.querySelectorAll('nav.breadcrumb, .breadcrumb, .breadcrumbs'))
+        .map((node) => node.textContent)
+        .find(Boolean)
+    );
+
+    const results = cards.map((card) => {
+      try {
+        const cardRoot =
+          card.closest?.(cardsSelector) ||
+          card.closest?.('[data-product-id]') ||
+          card.closest?.('[class*="product"]') ||
+          card;
+        const text = normalizeWhitespace(
+          cardRoot?.innerText || cardRoot?.textContent || card.innerText || card.textContent || ''
+        );
+        const linkElement = card.matches('a[href]') ? card : cardRoot?.querySelector('a[href]');
+        const name = normalizeWhitespace(linkElement?.textContent);
+        const link = linkElement?.getAttribute('href') || cardRoot?.getAttribute('href') || null;
+
+        const brand = normalizeWhitespace(
+          cardRoot?.querySelector('.product-brand, .brand, .manufacturer')?.textContent
+        );
+
+        const skuAttribute =
+          normalizeWhitespace(cardRoot?.getAttribute('data-sku')) ||
+          normalizeWhitespace(cardRoot?.getAttribute('data-product-id')) ||
+          normalizeWhitespace(card.getAttribute('data-sku')) ||
+          normalizeWhitespace(card.getAttribute('data-product-id'));
+        const skuNode = normalizeWhitespace(
+          cardRoot?.querySelector('.sku, .product-sku, .code, .product-code')?.textContent
+        );
+        // Every badge is kept, not only the first: a promo .badge often comes before the stock one.
+        // parseAvailability checks out-of-stock wording first, whatever its place in the text.
+        const availabilityBadges = Array.from(
+          cardRoot?.querySelectorAll(
+            '.availability, .stock, .out-of-stock, .badge, [class*="dispon"], [class*="stock"]'
+          ) ?? []
+        )
+          .map((node) => normalizeWhitespace(node.textContent))
+          .filter(Boolean);
+        const availabilityBadge = [...new Set(availabilityBadges)].join(' | ') || null;
+        const availabilityClass = /out-of-stock|outofstock|sold-out/i.test(
+          cardRoot?.className || ''
+        )
+          ? 'out-of-stock'
+          : null;
+        const availabilityText = availabilityBadge || availabilityClass;
+        const skuMatch = text?.match(/(?:code|sku|produit|item|article)\s*:?\s*([0-9]{3,})/i);
+        const skuFallback = text?.match(/\b([0-9]{3,})\b/);
+        const sku = skuAttribute || skuNode || skuMatch?.[1] || skuFallback?.[1] || null;
+
+        const unitPriceSaleText = normalizeWhitespace(
+          cardRoot?.querySelector('.unit_price span.me-2')?.textContent
+        );
+        const unitPriceRegularText = normalizeWhitespace(
+          cardRoot?.querySelector('.unit_price del.price-discount')?.textContent
+        );
+        const priceSaleText =
+          unitPriceSaleText ||
+          normalizeWhitespace(
+            cardRoot?.querySelector(
+              '.price--sale, .price-sale, .sale-price, .special-price, .price-promo, .promo-price'
+            )?.textContent
+          );
+        const priceRegularText =
+          unitPriceRegularText ||
+          normalizeWhitespace(
+            cardRoot?.querySelector('del, s, .price--regular, .regular-price, .old-price')
+              ?.textContent
+          );
+
+        const priceCandidates = Array.from(
+          cardRoot?.querySelectorAll(
+            '.product-price, .price, .price-value, .value, .pricing, .product-card-price'
+          ) || []
+        )
+          .map((node) => node.textContent)
+          .filter(Boolean);
+
+        const unitLabel = normalizeWhitespace(
+          cardRoot?.querySelector(
+            '.unit_quantity, .unit, .unit-label, .unit-text, .product-unit, .unitLabel, [data-testid="unit"]'
+          )?.textContent
+        );
+
+        const imageNode = cardRoot?.querySelector('img');
+        const imageAttribute = ['src', 'data-src', 'data-lazy'].find((attribute) =>
+          imageNode?.getAttribute(attribute)
+        );
+        const image = imageAttribute ? imageNode.getAttribute(imageAttribute) : null;
+
+        const category =
+          normalizeWhitespace(cardRoot?.getAttribute('data-category')) ||
+          normalizeWhitespace(cardRoot?.querySelector('.category, .product-category')?.textContent) ||
+          null;
+
+        return {
+          name,
+          brand,
+          sku,
+          priceSaleText,
+          priceRegularText,
+          priceCandidates,
+          unitLabel,
+          link,
+          image,
+          category,
+          availabilityText,
+          breadcrumb,
+          sources: {
+            name: firstSource([[name, 'link-text']]),
+            brand: firstSource([[brand, 'brand-node']]),
+            sku: firstSource([
+              [skuAttribute, 'data-sku'],
+              [skuNode, 'sku-node'],
+              [skuMatch, 'text-label'],
+              [skuFallback, 'text-number'],
+            ]),
+            priceSaleText: firstSource([
+              [unitPriceSaleText, 'unit-price'],
+              [priceSaleText, 'sale-class'],
+            ]),
+            priceRegularText: firstSource([
+              [unitPriceRegularText, 'unit-price'],
+              [priceRegularText, 'strikethrough'],
+            ]),
+            unitLabel: firstSource([[unitLabel, 'unit-node']]),
+            image: firstSource([[imageAttribute, `img-${imageAttribute}`]]),
+            availabilityText: firstSource([
+              [availabilityBadge, 'badge'],
+              [availabilityClass, 'card-class'],
+            ]),
+          },
+        };
+      } catch (error) {
+        return {
+          name: null,
+          brand: null,
+          sku: null,
+          priceSaleText: null,
+          priceRegularText: null,
+          priceCandidates: [],
+          unitLabel: null,
+          link: null,
+          image: null,
+          category: null,
+          availabilityText: null,
+          breadcrumb,
+          sources: {},
+          error: error?.message || String(error),
+        };
+      }
+    });
+
+    const paginationLinks = Array.from(
+      document.querySelectorAll(
+        '.pagination a, nav.pagination a, .pager a, .pagination-link, .pagination__link'
+      )
+    ).map((link) => link.getAttribute('href'));
+
+    const paginationButtons = Array.from(
+      document.querySelectorAll('button.pagination-btn[data-page]')
+    )
+      .map((button) => {
+        const pageValue = button.getAttribute('data-page');
+        const pageNumber = pageValue ? Number.parseInt(pageValue, 10) : null;
+        return Number.isFinite(pageNumber) ? pageNumber : null;
+      })
+      .filter((pageNumber) => pageNumber !== null);
+
+    const emptyStateTextFromSelectors = normalizeWhitespace(
+      Array.from(
+        document.querySelectorAll(
+          '.no-results, .empty, .results-empty, .search-empty, [data-testid="no-results"]'
+        )
+      )
+        .map((node) => node.textContent)
+        .find(Boolean)
+    );
+
+    const bodyText = normalizeWhitespace(document.body?.innerText || '');
+    const emptyStateMatch =
+      bodyText?.match(
+        /(Aucun r\u00e9sultat[^.]*|0\s*r\u00e9sultat[^.]*|Aucun produit[^.]*|No results[^.]*|0\s*results[^.]*)/i
+      ) ?? null;
+    const emptyStateText = emptyStateTextFromSelectors || emptyStateMatch?.[1] || null;
+
+    const resultsCountText = normalizeWhitespace(
+      Array.from(
+        document.querySelectorAll('.results-count, .search-result-count, .product-count, .count')
+      )
+        .map((node) => node.textContent)
+        .find(Boolean)
+    );
+
+    const nextCandidates = Array.from(document.querySelectorAll('a, button')).filter((node) => {
+      const text = normalizeWhitespace(node.textContent || '');
+      const aria = normalizeWhitespace(node.getAttribute('aria-label') || '');
+      const rel = normalizeWhitespace(node.getAttribute('rel') || '');
+      const haystack = [text, aria, rel].filter(Boolean).join(' ').toLowerCase();
+      return (
+        haystack.includes('suivant') ||
+        haystack.includes('next') ||
+        haystack.includes('prochain') ||
+        haystack.includes('suivante') ||
+        rel.toLowerCase() === 'next'
+      );
+    });
+
+    const nextPageNode = nextCandidates.find((node) => isVisible(node)) || null;
+    const nextPageDisabled = nextPageNode
+      ? nextPageNode.hasAttribute('disabled') ||
+        nextPageNode.getAttribute('aria-disabled') === 'true' ||
+        nextPageNode.classList.contains('disabled') ||
+        nextPageNode.classList.contains('is-disabled')
+      : null;
+    const nextPageHref = nextPageNode?.getAttribute('href') || null;
+    const nextPageNumber = nextPageNode?.getAttribute('data-page');
+    const nextPageLabel = normalizeWhitespace(nextPageNode?.textContent || '');
+
+    return {
+      results,
+      paginationLinks,
+      paginationButtons,
+      nextPage: {
+        href: nextPageHref,
+        pageNumber: nextPageNumber ? Number.parseInt(nextPageNumber, 10) : null,
+        label: nextPageLabel,
+        disabled: nextPageDisabled,
+      },
+      breadcrumb,
+      emptyStateText,
+      resultsCountText,
+      containerSelector: resultsContainer ? resultsContainer.className || resultsContainer.id : null,
+      visibleCardCount: cards.length,
+    };
+  }, {
+    containerSelector: CONTAINER_SELECTOR,
+    cardsSelector: CARDS_SELECTOR,
+    fallbackSelectors: FALLBACK_CARD_SELECTORS,
+  });
+};
+
+const killOverlays = async (page) => {
+  await page.evaluate(() => {
+    const selectors = [
+      '#hs-interactives-modal-overlay',
+      '#hs-web-interactives-top-anchor',
+      '[id*="hs-interactives"]',
+      '[class*="modal-overlay"]',
+      '[class*="overlay"]',
+      '[role="dialog"]',
+    ];
+    for (const sel of selectors) {
+      document.querySelectorAll(sel).forEach((el) => el.remove());
+    }
+    document.querySelectorAll('body *').forEach((el) => {
+      const id = (el.id || '').toLowerCase();
+      const cls = (el.className || '').toString().toLowerCase();
+      if (id.includes('overlay') || cls.includes('overlay')) {
+        el.style.pointerEvents = 'none';
+      }
+    });
+  });
+};
+
+const getActivePage = async (page) =>
+  page.evaluate(() => {
+    const btns = Array.from(document.querySelectorAll('button.pagination-btn'));
+    const active =
+      btns.find((b) => b.classList.contains('active')) ||
+      btns.find((b) => b.getAttribute('aria-current') === 'page');
+    const raw = active?.getAttribute('data-page') || active?.textContent?.trim() || null;
+    const n = raw ? Number(String(raw).replace(/\D/g, '')) : null;
+    return Number.isFinite(n) ? n : null;
+  });
+
+const getCardsSignature = async (page) =>
+  page.evaluate(() => {
+    const cards = Array.from(document.querySelectorAll('.product-container *'))
+      .filter(
+        (el) => el.tagName === 'A' || (el.className || '').toString().toLowerCase().includes('product')
+      )
+      .slice(0, 15);
+    const sig = cards.map((el) => (el.getAttribute('href') || el.textContent || '').trim().slice(0, 80));
+    return sig.join('|');
+  });
+
+const getPagerText = async (page) =>
+  page.evaluate(() => {
+    const normalizeWhitespace = (value) =>
+      value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? '';
+    const pager = document.querySelector(
+      '.pagination, nav.pagination, .pager, .pagination__list, [aria-label*="pagination" i]'
+    );
+    return normalizeWhitespace(pager?.textContent || '');
+  });
+
+const countCards = async (page) => page.locator(CARDS_SELECTOR).count();
+
+const pagerShowsTarget = (pagerText, targetPage) => {
+  if (!pagerText) return false;
+  const normalized = pagerText.replace(/\s+/g, ' ').toLowerCase();
+  const target = String(targetPage);
+  return normalized.includes(` ${target} `) || normalized.endsWith(` ${target}`) || normalized.startsWith(`${target} `);
+};
+
+const goToPage = async (page, baseUrl, targetPage, { artifacts = null, query = null } = {}) => {
+  const buttonSelector = `button.pagination-btn[data-page="${targetPage}"]`;
+  const button = page.locator(buttonSelector).first();
+  const initialActive = await getActivePage(page);
+  if ((await button.count()) > 0) {
+    const isDisabled =
+      (await button.getAttribute('disabled')) !== null ||
+      (await button.getAttribute('aria-disabled')) === 'true';
+    if (!isDisabled) {
+      for (let attempt = 1; attempt <= 5; attempt += 1) {
+        await killOverlays(page);
+
+        const beforeActive = await getActivePage(page);
+        const beforeCount = await countCards(page);
+        const beforeSig = await getCardsSignature(page);
+        const beforePagerText = await getPagerText(page);
+
+        await button.scrollIntoViewIfNeeded();
+
+        try {
+          await button.click({ timeout: 15000 });
+        } catch {
+          await killOverlays(page);
+          await button.click({ timeout: 15000, force: true });
+        }
+
+        try {
+          await page.waitForLoadState('networkidle', { timeout: 20000 });
+          await waitForResultsWithRetry(
+            mayrandAdapter,
+            page,
+            `pagination-${targetPage}-attempt-${attempt}`
+          );
+          await waitForCardsStable(mayrandAdapter, page);
+          const afterActive = await getActivePage(page);
+          const afterCount = await countCards(page);
+          const afterSig = await getCardsSignature(page);
+          const afterPagerText = await getPagerText(page);
+          const sigChanged = beforeActive !== afterActive || beforeCount !== afterCount;
+
+          log.info('pagination.attempt', {
+            adapter: mayrandAdapter.id,
+            attempt,
+            target: targetPage,
+            beforeActive,
+            afterActive,
+            beforePagerText,
+            afterPagerText,
+            sigChanged,
+            signatureDelta: beforeSig !== afterSig,
+          });
+
+          if (afterActive === targetPage || pagerShowsTarget(afterPagerText, targetPage)) {
+            return {
+              beforeActive,
+              afterActive,
+              sigChanged,
+            };
+          }
+
+          await page.waitForTimeout(500);
+        } catch (error) {
+          const afterActive = await getActivePage(page);
+          log.warn('pagination.retry', {
+            adapter: mayrandAdapter.id,
+            attempt,
+            target: targetPage,
+            beforeActive,
+            afterActive,
+            error: error?.message,
+          });
+          await page.waitForTimeout(800);
+        }
+      }
+
+      log.error('pagination.failed', { adapter: mayrandAdapter.id, query, target: targetPage });
+      await artifacts?.capture(page, {
+        kind: 'pagination-failed',
+        query,
+        page: targetPage,
+        details: { activePage: await getActivePage(page), pagerText: await getPagerText(page) },
+      });
+      return null;
+    }
+  }
+
+  const url = new URL(baseUrl);
+  url.searchParams.set('page', String(targetPage));
+  const beforeActive = initialActive ?? (await getActivePage(page));
+  await page.goto(url.toString(), { waitUntil: 'domcontentloaded' });
+  await page.waitForTimeout(750);
+  await page.waitForSelector(CARDS_SELECTOR, { timeout: 15000 });
+  await waitForCardsStable(mayrandAdapter, page);
+  const afterActive = await getActivePage(page);
+  return {
+    beforeActive,
+    afterActive,
+    sigChanged: beforeActive !== afterActive,
+  };
+};
+
+const goToNextPage = async (page, baseUrl, nextPage, debug = {}) => {
+  if (!nextPage || nextPage.disabled) return null;
+  if (Number.isFinite(nextPage.pageNumber)) {
+    const moved = await goToPage(page, baseUrl, nextPage.pageNumber, debug);
+    return moved;
+  }
+  if (nextPage.href) {
+    const resolved = resolveUrl(nextPage.href, baseUrl);
+    if (!resolved) return null;
+    await page.goto(resolved, { waitUntil: 'domcontentloaded' });
+    await page.waitForTimeout(750);
+    await page.waitForSelector(CARDS_SELECTOR, { timeout: 15000 });
+    await waitForCardsStable(mayrandAdapter, page);
+    const afterActive = await getActivePage(page);
+    return {
+      beforeActive: null,
+      afterActive,
+      sigChanged: false,
+    };
+  }
+  return null;
+};
+
+const getMaxPage = (extracted, baseUrl) =>
+  getMaxPageFromButtons(extracted.paginationButtons) ??
+  getPaginationInfo(extracted.paginationLinks, baseUrl);
+
+const mayrandAdapter = {
+  id: 'mayrand',
+  name: 'Mayrand',
+  source: 'mayrand',
+  locale: 'fr-CA',
+  listingUrl: LISTING_URL,
+  catalogueUrl: CATALOGUE_URL,
+  maxCategoryDepth: MAX_CATEGORY_DEPTH,
+  blockedHosts: BLOCKED_HOSTS,
+  defaultQueries: DEFAULT_QUERIES,
+  fallbackName: 'Produit Mayrand',
+  selectors: {
+    container: CONTAINER_SELECTOR,
+    cards: CARDS_SELECTOR,
+    fallbackCards: FALLBACK_CARD_SELECTORS,
+  },
+  buildListingUrl,
+  buildCategoryUrl,
+  getCategoryPath,
+  getCategoryLevels,
+  extractCategoryLinks,
+  acceptConsent: acceptCookies,
+  dismissOverlays: killOverlays,
+  getResultsState: getResultsDomState,
+  extractListing: scrapePage,
+  getMaxPage,
+  goToPage,
+  goToNextPage,
+  extractProductDetails: scrapeProductPage,
+  extractSkuFromUrl,
+  translateProductUrl,
+};
+
+export { getCategoryPath, mayrandAdapter, scrapePage, scrapeProductPage };
@@ -0,0 +1,64 @@
+const AVAILABILITY = {
+  inStock: 'in_stock',
+  outOfStock: 'out_of_stock',
+  limited: 'limited',
+  unknown: 'unknown',
+};
+
+// Checked in order: "non disponible" must match before "disponible".
+const AVAILABILITY_PATTERNS = [
+  {
+    status: AVAILABILITY.outOfStock,
+    pattern: new RegExp(
+      [
+        'outofstock',
+        'soldout',
+        'discontinued',
+        'out[- ]of[- ]stock',
+        'sold[- ]out',
+        'rupture',
+        '[ée]puis[ée]',
+        'non disponible',
+        'indisponible',
+        'pas disponible',
+        'unavailable',
+      ].join('|'),
+      'i'
+    ),
+  },
+  {
+    status: AVAILABILITY.limited,
+    pattern: new RegExp(
+      [
+        'limitedavailability',
+        'limited (?:stock|quantit)',
+        'quantit[ée]s? limit[ée]e?s?',
+        'stock limit[ée]',
+        'derniers? (?:articles?|unit[ée]s?)',
+        'faible stock',
+        'low stock',
+      ].join('|'),
+      'i'
+    ),
+  },
+  {
+    status: AVAILABILITY.inStock,
+    pattern: /instock|instoreonly|onlineonly|in[- ]stock|en stock|disponible|available/i,
+  },
+];
+
+// Accepts schema.org availability URLs ("https://schema.org/OutOfStock") and badge text from the
+// page. The first value that says anything wins, so pass the most reliable source first.
+const parseAvailability = (values) => {
+  for (const value of values) {
+    if (!value) continue;
+    const text = String(value);
+    const match = AVAILABILITY_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (match) return match.status;
+  }
+  return AVAILABILITY.unknown;
+};
+
+const isOutOfStock = (item) => item?.availability === AVAILABILITY.outOfStock;
+
+export { AVAILABILITY, isOutOfStock, parseAvailability };
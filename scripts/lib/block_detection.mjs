@@ -0,0 +1,162 @@
+import { log } from './logger.mjs';
+
+const BLOCKED_EXIT_CODE = 4;
+// Statuses a bot wall answers with; 503 alone is more often maintenance, so it only counts with a
+// challenge title or markup. 429 is left to the scheduler, which backs off on it.
+const BLOCK_STATUSES = [401, 403, 407];
+const CHALLENGE_TITLES = [
+  /just a moment/i,
+  /attention required/i,
+  /access denied/i,
+  /acc[eè]s refus[eé]/i,
+  /are you a (robot|human)/i,
+  /verify you are (a )?human/i,
+  /pardon our interruption/i,
+  /request unsuccessful/i,
+  /security check/i,
+  /v[eé]rification de s[eé]curit[eé]/i,
+  /^un instant/i,
+];
+// Markup only found on an interstitial challenge page.
+const CHALLENGE_MARKERS = {
+  cloudflare:
+    '#challenge-form, #challenge-running, #cf-challenge-running, .cf-browser-verification',
+  perimeterx: '#px-captcha',
+  datadome: 'iframe[src*="captcha-delivery.com"]',
+  incapsula: 'iframe[src*="_Incapsula_Resource"]',
+  akamai: '#sec-if-cpt-container',
+};
+// Captcha widgets also sit in ordinary forms (newsletter, contact), so they only count on a page
+// whose expected content is missing.
+const CAPTCHA_MARKERS = {
+  recaptcha: 'iframe[src*="recaptcha"], .g-recaptcha',
+  hcaptcha: 'iframe[src*="hcaptcha.com"], .h-captcha',
+  turnstile: 'iframe[src*="challenges.cloudflare.com"], .cf-turnstile',
+};
+
+class BlockedError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'BlockedError';
+    this.report = report;
+    this.exitCode = BLOCKED_EXIT_CODE;
+  }
+}
+
+// Returns { reason, signal, detail } for a block or challenge page, null otherwise. Missing
+// content only counts once pages of the same kind have shown it during the run: when no page ever
+// had it, the adapter's selectors are the likelier culprit, and the quality gate reports that.
+const classifyBlock = ({
+  status = null,
+  title = '',
+  challenges = [],
+  captchas = [],
+  expectedContent = null,
+  contentSeenBefore = false,
+}) => {
+  if (BLOCK_STATUSES.includes(status)) {
+    return { reason: `http-${status}`, signal: 'status', detail: String(status) };
+  }
+  const titleMatch = CHALLENGE_TITLES.find((pattern) => pattern.test(title ?? ''));
+  if (titleMatch) return { reason: 'challenge-title', signal: 'title', detail: title };
+  if (challenges.length > 0) {
+    return { reason: `challenge-${challenges[0]}`, signal: 'markup', detail: challenges.join(',') };
+  }
+  // a 404 or 410 page lacks the content for its own reason
+  if (expectedContent !== false || (status !== null && status >= 400)) return null;
+  if (captchas.length > 0) {
+    return { reason: `captcha-${captchas[0]}`, signal: 'markup', detail: captchas.join(',') };
+  }
+  if (contentSeenBefore) return { reason: 'content-missing', signal: 'content', detail: null };
+  return null;
+};
+
+const readPageSignals = async (page) => {
+  const title = await page.title();
+  const markers = await page.evaluate(
+    ({ challengeMarkers, captchaMarkers }) => {
+      const present = (markerSet) =>
+        Object.entries(markerSet)
+          .filter(([, selector]) => document.querySelector(selector))
+          .map(([name]) => name);
+      return { challenges: present(challengeMarkers), captchas: present(captchaMarkers) };
+    },
+    { challengeMarkers: CHALLENGE_MARKERS, captchaMarkers: CAPTCHA_MARKERS }
+  );
+  return { title, ...markers };
+};
+
+// One monitor per run checks every page the scraper navigates to. A blocked page counts as a
+// failed page for its caller; once maxBlockedPages pages in a row are blocked, check() throws a
+// BlockedError and so does every later call, which ends the run before anything is published.
+const createBlockMonitor = ({ maxBlockedPages, artifacts = null }) => {
+  const contentSeen = new Set();
+  const byReason = {};
+  let checked = 0;
+  let blocked = 0;
+  let streak = 0;
+  let abortError = null;
+
+  const throwIfAborted = () => {
+    if (abortError) throw abortError;
+  };
+
+  // kind groups pages with the same expected content (listing, product, category);
+  // expectedContent is null when the caller cannot tell.
+  const check = async (page, { kind, status = null, expectedContent = null, query = null }) => {
+    throwIfAborted();
+    const signals = await readPageSignals(page);
+    const verdict = classifyBlock({
+      status,
+      ...signals,
+      expectedContent,
+      contentSeenBefore: contentSeen.has(kind),
+    });
+    checked += 1;
+    if (!verdict) {
+      if (expectedContent) contentSeen.add(kind);
+      streak = 0;
+      return null;
+    }
+    blocked += 1;
+    streak += 1;
+    byReason[verdict.reason] = (byReason[verdict.reason] ?? 0) + 1;
+    const url = page.url();
+    log.warn('block.detected', { kind, url, status, ...verdict, streak });
+    await artifacts?.capture(page, {
+      kind: 'blocked',
+      query,
+      details: { pageKind: kind, ...verdict },
+    });
+    if (streak >= maxBlockedPages) {
+      const report = { ...summary(), aborted: true, last: { kind, url, ...verdict } };
+      abortError = new BlockedError(
+        `Blocked on ${streak} pages in a row (last: ${verdict.reason} on ${url}). Aborting ` +
+          'without publishing; the previous data is kept.',
+        report
+      );
+      throw abortError;
+    }
+    return verdict;
+  };
+
+  const summary = () => ({
+    maxBlockedPages,
+    checked,
+    blocked,
+    byReason: { ...byReason },
+    aborted: abortError !== null,
+  });
+
+  return { check, throwIfAborted, summary };
+};
+
+export {
+  BLOCKED_EXIT_CODE,
+  BlockedError,
+  CAPTCHA_MARKERS,
+  CHALLENGE_MARKERS,
+  classifyBlock,
+  createBlockMonitor,
+  readPageSignals,
+};
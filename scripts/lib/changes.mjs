@@ -0,0 +1,111 @@
+const pickPrices = (item) =>
+  item ? { price_sale: item.price_sale ?? null, price_regular: item.price_regular ?? null } : null;
+
+const isOnSale = (item) =>
+  item?.on_sale ?? (item?.price_sale !== null && item?.price_sale !== undefined);
+
+const indexByKey = (items, keyForItem) => {
+  const index = new Map();
+  items.forEach((item) => {
+    const key = keyForItem(item);
+    if (key && !index.has(key)) index.set(key, item);
+  });
+  return index;
+};
+
+const describeChange = (key, before, after) => {
+  const reference = after ?? before;
+  return {
+    key,
+    sku: reference.sku ?? null,
+    name: reference.name ?? null,
+    url: reference.url ?? null,
+    before: pickPrices(before),
+    after: pickPrices(after),
+  };
+};
+
+const diffItems = (previousItems, currentItems, { keyForItem }) => {
+  const previous = indexByKey(previousItems, keyForItem);
+  const current = indexByKey(currentItems, keyForItem);
+  const wentOnSale = [];
+  const leftPromo = [];
+  const priceChanged = [];
+
+  current.forEach((item, key) => {
+    const before = previous.get(key) ?? null;
+    if (isOnSale(item) && !isOnSale(before)) {
+      wentOnSale.push(describeChange(key, before, item));
+      return;
+    }
+    if (!before) return;
+    if (!isOnSale(item) && isOnSale(before)) {
+      leftPromo.push(describeChange(key, before, item));
+      return;
+    }
+    if (
+      (before.price_sale ?? null) !== (item.price_sale ?? null) ||
+      (before.price_regular ?? null) !== (item.price_regular ?? null)
+    ) {
+      priceChanged.push(describeChange(key, before, item));
+    }
+  });
+
+  previous.forEach((item, key) => {
+    if (!current.has(key) && isOnSale(item)) {
+      leftPromo.push(describeChange(key, item, null));
+    }
+  });
+
+  return {
+    previousCount: previous.size,
+    currentCount: current.size,
+    counts: {
+      wentOnSale: wentOnSale.length,
+      leftPromo: leftPromo.length,
+      priceChanged: priceChanged.length,
+    },
+    wentOnSale,
+    leftPromo,
+    priceChanged,
+  };
+};
+
+const formatPrice = (value) =>
+  typeof value === 'number' ? `${value.toFixed(2).replace('.', ',')} $` : '—';
+
+const formatPrices = (prices) =>
+  prices ? `${formatPrice(prices.price_sale)} (rég. ${formatPrice(prices.price_regular)})` : '—';
+
+// The title names the retailer and the mode, e.g. "# Mayrand (onsale) — changements ...".
+const renderChangesSummary = (changes, { generatedAt, source, mode } = {}) => {
+  const section = (title, entries, formatEntry) => {
+    const lines = [`## ${title} (${entries.length})`, ''];
+    if (entries.length === 0) {
+      lines.push('Aucun.', '');
+      return lines;
+    }
+    entries.forEach((entry) => {
+      lines.push(`- [${entry.name || entry.key}](${entry.url || '#'}) — ${formatEntry(entry)}`);
+    });
+    lines.push('');
+    return lines;
+  };
+
+  const heading = [source, mode && `(${mode})`].filter(Boolean).join(' ');
+  return [
+    `# ${heading || 'Collecte'} — changements depuis la dernière collecte`,
+    '',
+    `Générée le ${generatedAt ?? '—'} : ${changes.currentCount} articles (avant : ${changes.previousCount}).`,
+    '',
+    ...section('Nouveaux spéciaux', changes.wentOnSale, (entry) => formatPrices(entry.after)),
+    ...section('Fin de promotion', changes.leftPromo, (entry) => `était ${formatPrices(entry.before)}`),
+    ...section(
+      'Changements de prix',
+      changes.priceChanged,
+      (entry) => `${formatPrices(entry.before)} → ${formatPrices(entry.after)}`
+    ),
+  ].join('\n');
+};
+
+export { diffItems, renderChangesSummary };
@@ -0,0 +1,74 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { log } from './logger.mjs';
+
+const CHECKPOINT_VERSION = 1;
+
+// The options that decide what a run collects; a checkpoint written under different ones would
+// not finish into the same output, so it is not resumed.
+const checkpointScope = (options) => ({
+  adapter: options.adapter,
+  mode: options.mode,
+  baseUrl: options.baseUrl,
+  queries: options.mode === 'catalogue' ? [] : options.queries,
+  queryMode: options.queryMode,
+  maxPages: options.maxPages,
+});
+
+const createCheckpoint = (options, startedAt = new Date().toISOString()) => ({
+  version: CHECKPOINT_VERSION,
+  scope: checkpointScope(options),
+  startedAt,
+  updatedAt: startedAt,
+  listing: { targets: null, runs: [], current: null },
+  details: {},
+  translations: {},
+});
+
+// Returns null when there is nothing to resume: no file, an unreadable one, or one written for
+// other options.
+const readCheckpoint = async (targetPath, options) => {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(await fs.readFile(targetPath, 'utf8'));
+  } catch {
+    return null;
+  }
+  if (parsed?.version !== CHECKPOINT_VERSION) return null;
+  const scope = JSON.stringify(checkpointScope(options));
+  return JSON.stringify(parsed.scope) === scope ? parsed : null;
+};
+
+// Written to a temporary file first so a run killed mid-write leaves the previous checkpoint.
+const writeCheckpoint = async (targetPath, checkpoint) => {
+  const tempPath = `${targetPath}.tmp`;
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  await fs.writeFile(
+    tempPath,
+    `${JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() })}\n`,
+    'utf8'
+  );
+  await fs.rename(tempPath, targetPath);
+};
+
+// Saves are chained so concurrent product page workers never write the file at the same time. A
+// save that fails is logged and the chain goes on, so the next one still records the progress.
+const createCheckpointStore = (targetPath, state) => {
+  let pending = Promise.resolve();
+  const save = () => {
+    pending = pending
+      .then(() => writeCheckpoint(targetPath, state))
+      .catch((error) => {
+        log.warn('checkpoint.save-failed', { path: targetPath, error: error?.message });
+      });
+    return pending;
+  };
+  const clear = async () => {
+    await pending;
+    await fs.rm(targetPath, { force: true });
+  };
+  return { path: targetPath, state, save, clear };
+};
+
+export { checkpointScope, createCheckpoint, createCheckpointStore, readCheckpoint, writeCheckpoint };
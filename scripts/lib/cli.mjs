@@ -0,0 +1,288 @@
+import fs from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { CRAWL_MODES, LISTING_SOURCES, QUERY_MODES } from './crawler.mjs';
+import { LOG_LEVELS } from './logger.mjs';
+import { BLOCKABLE_RESOURCE_TYPES } from './resource_blocking.mjs';
+
+const HELP_TEXT = `Usage: node scripts/scrape_mayrand_onsale.mjs [options]
+
+Options:
+  --config <path>              JSON file with any of the options below (camelCase keys).
+                               Command-line flags take precedence over the file.
+  --adapter <id>               Retailer adapter (default: mayrand).
+  --mode <onsale|catalogue>    onsale: search for promotions (default).
+                               catalogue: crawl the whole category tree, regular prices included.
+  --base-url <url>             Search page, or catalogue root in catalogue mode
+                               (default: the adapter's).
+  --query <term>               Search term; repeat or comma-separate for several.
+                               Tried in order until one returns items with --query-mode first;
+                               all run with union (default: the adapter's).
+  --query-mode <first|union>   first: stop at the first query that returns items (default).
+                               union: run every query and merge the results.
+  --output-dir <dir>           Where data.json, data.csv and metadata.json are written
+                               (default: public/<adapter>/<mode>).
+  --debug-dir <dir>            Where debug HTML, screenshots and error files are written, one
+                               runs/<run id> folder per run with a manifest.json, plus an
+                               index.html to browse them (default: outputs/debug).
+  --debug-retention-days <n>   Delete debug runs older than <n> days (default: 7).
+  --debug-max-runs <n>         Keep at most <n> debug runs (default: 10).
+  --max-pages <n>              Maximum listing pages per query (default: 100).
+  --listing-source <auto|browser>
+                               auto: after two rendered pages, fetch the next ones straight
+                               from the search endpoint the page calls, falling back to the
+                               browser if it cannot be found or stops answering (default).
+                               browser: render and paginate every page in the browser.
+  --page-timeout <ms>          Default Playwright timeout per page.
+  --page-delay <ms>            Base delay between listing pages.
+  --page-jitter <ms>           Random extra delay between listing pages.
+  --detail-concurrency <n>     Product pages fetched in parallel.
+  --detail-delay <ms>          Base delay before each product page.
+  --detail-jitter <ms>         Random extra delay before each product page.
+  --max-requests-per-minute <n>
+                               Cap on page, search and product page requests per minute,
+                               shared by the listing and every product page worker; a longer
+                               robots.txt Crawl-delay wins (default: 40).
+  --slow-response <ms>         A response slower than this counts like a 429 or 503 and
+                               makes the scraper back off (default: 10000).
+  --max-backoff <ms>           Longest pause after 429, 503 or slow responses; the pause
+                               doubles with each one and halves with each normal response
+                               (default: 120000).
+  --max-blocked-pages <n>      Abort with exit code 4, keeping the published data, once this
+                               many pages in a row are block or challenge pages (default: 3).
+  --detail-cache <path>        Product page cache (default: outputs/cache/<adapter>-details.json).
+  --detail-cache-ttl <hours>   How long a cached product page is reused while its listing price,
+                               name and image are unchanged; 0 disables the cache (default: 72).
+  --checkpoint <path>          Progress file written after each listing page and each batch of
+                               product pages (default: outputs/checkpoints/<adapter>-<mode>.json).
+  --resume                     Continue the interrupted run saved in the checkpoint instead of
+                               starting over; ignored if it was made with other options.
+  --replay <dir>               Serve saved HTML from <dir> on a local server and scrape it
+                               instead of the live site (outside requests are blocked).
+                               Writes to outputs/replay unless --output-dir is given.
+  --max-item-drop <ratio>      Quality gate: largest allowed drop in item count versus the
+                               previous run, from 0 to 1 (default: 0.5).
+  --max-missing-price <ratio>  Quality gate: largest share of items without a price (default: 0.2).
+  --max-missing-name <ratio>   Quality gate: largest share of items without a name (default: 0.1).
+  --max-price-anomalies <ratio>
+                               Quality gate: largest share of items whose sale price is not
+                               below the regular price (default: 0.05).
+                               A failed gate publishes nothing, writes a report to the debug
+                               directory and exits with code 3.
+  --max-coverage-drop <ratio>  Coverage report: warn when the strategy that filled most items of
+                               a field in the last published run fills this much less of them
+                               (default: 0.2). Warnings do not stop the run.
+  --log-level <level>          Terminal log level: debug, info (default), warn or error.
+  --log-file <path>            Also append every log event, debug included, to <path> as NDJSON
+                               (one JSON object per line, e.g. outputs/logs/mayrand.ndjson).
+  --block-resource-types <types>
+                               Resource types aborted before they load, comma-separated, from
+                               ${BLOCKABLE_RESOURCE_TYPES.join(', ')}
+                               (default: image, media, font). Tracker, chat and pop-up hosts
+                               are blocked as well; image URLs are still read from the page.
+  --load-all-resources         Block nothing, e.g. to look at the pages with --headed.
+  --headed                     Show the browser window.
+  --skip-details               Do not visit product or English pages; publish listing data only.
+  --skip-translations          Do not visit the English product pages (name_en, category_en).
+  --include-sources            Keep on each item of data.json the step that filled each field.
+  -h, --help                   Show this help.
+`;
+
+class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliUsageError';
+  }
+}
+
+const NUMERIC_FLAGS = {
+  'max-pages': { key: 'maxPages', min: 1 },
+  'page-timeout': { key: 'pageTimeoutMs', min: 1 },
+  'page-delay': { key: 'pageDelayMs', min: 0 },
+  'page-jitter': { key: 'pageJitterMs', min: 0 },
+  'detail-concurrency': { key: 'detailConcurrency', min: 1 },
+  'detail-delay': { key: 'detailDelayMs', min: 0 },
+  'detail-jitter': { key: 'detailJitterMs', min: 0 },
+  'detail-cache-ttl': { key: 'detailCacheTtlHours', min: 0 },
+  'max-requests-per-minute': { key: 'maxRequestsPerMinute', min: 1 },
+  'slow-response': { key: 'slowResponseMs', min: 1 },
+  'max-backoff': { key: 'maxBackoffMs', min: 0 },
+  'max-blocked-pages': { key: 'maxBlockedPages', min: 1 },
+  'debug-retention-days': { key: 'debugRetentionDays', min: 0 },
+  'debug-max-runs': { key: 'debugMaxRuns', min: 1 },
+};
+
+const RATIO_FLAGS = {
+  'max-item-drop': 'maxItemDropRatio',
+  'max-missing-price': 'maxMissingPriceRatio',
+  'max-missing-name': 'maxMissingNameRatio',
+  'max-price-anomalies': 'maxPriceAnomalyRatio',
+  'max-coverage-drop': 'maxCoverageDropRatio',
+};
+
+const STRING_FLAGS = {
+  adapter: 'adapter',
+  mode: 'mode',
+  'base-url': 'baseUrl',
+  'output-dir': 'outputDir',
+  'debug-dir': 'debugDir',
+  'detail-cache': 'detailCacheFile',
+  checkpoint: 'checkpointFile',
+  'log-level': 'logLevel',
+  'log-file': 'logFile',
+  replay: 'replayDir',
+  'query-mode': 'queryMode',
+  'listing-source': 'listingSource',
+  'block-resource-types': 'blockedResourceTypes',
+};
+
+const BOOLEAN_FLAGS = {
+  headed: 'headed',
+  'skip-details': 'skipDetails',
+  'skip-translations': 'skipTranslations',
+  resume: 'resume',
+  'load-all-resources': 'loadAllResources',
+  'include-sources': 'includeSources',
+};
+
+const splitList = (values) =>
+  values
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+const toInteger = (value, name, min) => {
+  const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(parsed) || parsed < min) {
+    throw new CliUsageError(`${name} must be an integer >= ${min} (got ${JSON.stringify(value)})`);
+  }
+  return parsed;
+};
+
+const toRatio = (value, name) => {
+  const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+    throw new CliUsageError(`${name} must be a number from 0 to 1 (got ${JSON.stringify(value)})`);
+  }
+  return parsed;
+};
+
+const validateOptions = (options) => {
+  Object.entries(NUMERIC_FLAGS).forEach(([flag, { key, min }]) => {
+    options[key] = toInteger(options[key], `--${flag}`, min);
+  });
+  Object.entries(RATIO_FLAGS).forEach(([flag, key]) => {
+    options[key] = toRatio(options[key], `--${flag}`);
+  });
+  if (options.queries !== null) {
+    options.queries = splitList(
+      Array.isArray(options.queries) ? options.queries : [options.queries]
+    );
+    if (options.queries.length === 0) {
+      throw new CliUsageError('At least one --query is required');
+    }
+  }
+  options.blockedResourceTypes = splitList(
+    Array.isArray(options.blockedResourceTypes)
+      ? options.blockedResourceTypes
+      : [options.blockedResourceTypes]
+  );
+  const unknownType = options.blockedResourceTypes.find(
+    (type) => !BLOCKABLE_RESOURCE_TYPES.includes(type)
+  );
+  if (unknownType) {
+    throw new CliUsageError(
+      `--block-resource-types accepts ${BLOCKABLE_RESOURCE_TYPES.join(', ')} (got ${unknownType})`
+    );
+  }
+  if (!CRAWL_MODES.includes(options.mode)) {
+    throw new CliUsageError(`--mode must be one of ${CRAWL_MODES.join(', ')}`);
+  }
+  if (!QUERY_MODES.includes(options.queryMode)) {
+    throw new CliUsageError(`--query-mode must be one of ${QUERY_MODES.join(', ')}`);
+  }
+  if (!LISTING_SOURCES.includes(options.listingSource)) {
+    throw new CliUsageError(`--listing-source must be one of ${LISTING_SOURCES.join(', ')}`);
+  }
+  if (!LOG_LEVELS.includes(options.logLevel)) {
+    throw new CliUsageError(`--log-level must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (options.baseUrl !== null) {
+    try {
+      new URL(options.baseUrl);
+    } catch {
+      throw new CliUsageError(`--base-url is not a valid URL: ${options.baseUrl}`);
+    }
+  }
+  return options;
+};
+
+const loadConfigFile = async (configPath) => {
+  let raw;
+  try {
+    raw = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    throw new CliUsageError(`Cannot read config file ${configPath}: ${error.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new CliUsageError(`Config file ${configPath} is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new CliUsageError(`Config file ${configPath} must contain a JSON object`);
+  }
+  return parsed;
+};
+
+const parseCliArgs = async (argv, defaults) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      strict: true,
+      allowPositionals: false,
+      options: {
+        help: { type: 'boolean', short: 'h' },
+        config: { type: 'string' },
+        query: { type: 'string', multiple: true },
+        ...Object.fromEntries(
+          [
+            ...Object.keys(NUMERIC_FLAGS),
+            ...Object.keys(RATIO_FLAGS),
+            ...Object.keys(STRING_FLAGS),
+          ].map((flag) => [
+            flag,
+            { type: 'string' },
+          ])
+        ),
+        ...Object.fromEntries(Object.keys(BOOLEAN_FLAGS).map((flag) => [flag, { type: 'boolean' }])),
+      },
+    });
+  } catch (error) {
+    throw new CliUsageError(error.message);
+  }
+
+  const { values } = parsed;
+  if (values.help) return { help: true, options: null };
+
+  const fileOptions = values.config ? await loadConfigFile(values.config) : {};
+  const unknownKeys = Object.keys(fileOptions).filter((key) => !Object.hasOwn(defaults, key));
+  if (unknownKeys.length > 0) {
+    throw new CliUsageError(`Unknown option(s) in ${values.config}: ${unknownKeys.join(', ')}`);
+  }
+
+  const options = { ...defaults, ...fileOptions };
+  Object.entries(NUMERIC_FLAGS).forEach(([flag, { key }]) => {
+    if (values[flag] !== undefined) options[key] = values[flag];
+  });
+  Object.entries({ ...RATIO_FLAGS, ...STRING_FLAGS, ...BOOLEAN_FLAGS }).forEach(([flag, key]) => {
+    if (values[flag] !== undefined) options[key] = values[flag];
+  });
+  if (values.query) options.queries = splitList(values.query);
+
+  return { help: false, options: validateOptions(options) };
+};
+
+export { CliUsageError, HELP_TEXT, parseCliArgs };
@@ -0,0 +1,94 @@
+import { AVAILABILITY } from './availability.mjs';
+
+// Fields with a fallback chain; items record in `_sources` which step of it filled each one.
+const COVERAGE_FIELDS = [
+  'name',
+  'brand',
+  'sku',
+  'price_sale',
+  'price_regular',
+  'unit_label',
+  'image',
+  'availability',
+];
+const DEFAULT_MAX_COVERAGE_DROP = 0.2;
+
+const share = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : 0);
+
+const isEmpty = (field, value) =>
+  value === null ||
+  value === undefined ||
+  value === '' ||
+  (field === 'availability' && value === AVAILABILITY.unknown);
+
+// Per field: how many items each strategy filled (most used first) and how many stayed empty.
+// A filled field with no recorded strategy (items from an older checkpoint) counts as `unknown`.
+const measureCoverage = (items) => {
+  const total = items.length;
+  const fields = Object.fromEntries(
+    COVERAGE_FIELDS.map((field) => {
+      const counts = {};
+      let missing = 0;
+      items.forEach((item) => {
+        if (isEmpty(field, item[field])) {
+          missing += 1;
+          return;
+        }
+        const source = item._sources?.[field] ?? 'unknown';
+        counts[source] = (counts[source] ?? 0) + 1;
+      });
+      const strategies = Object.fromEntries(
+        Object.entries(counts).sort(([, a], [, b]) => b - a)
+      );
+      const [primary = null] = Object.keys(strategies);
+      return [
+        field,
+        {
+          strategies,
+          missing,
+          missingShare: share(missing, total),
+          primary,
+          primaryShare: primary ? share(strategies[primary], total) : 0,
+        },
+      ];
+    })
+  );
+  return { totalItems: total, fields };
+};
+
+// The strategy that filled most items of a field in the previous run is taken as its primary
+// one; a warning is raised when its share of the items falls by more than maxDropRatio. A run
+// or a baseline without items compares nothing.
+const compareCoverage = (current, previous, { maxDropRatio = DEFAULT_MAX_COVERAGE_DROP } = {}) => {
+  if (!previous?.fields || !previous.totalItems || current.totalItems === 0) return [];
+  return COVERAGE_FIELDS.flatMap((field) => {
+    const before = previous.fields[field];
+    if (!before?.primary) return [];
+    const now = current.fields[field];
+    const currentShare = share(now.strategies[before.primary] ?? 0, current.totalItems);
+    if (before.primaryShare - currentShare <= maxDropRatio) return [];
+    return [
+      {
+        field,
+        strategy: before.primary,
+        previousShare: before.primaryShare,
+        share: currentShare,
+        currentPrimary: now.primary,
+        missingShare: now.missingShare,
+      },
+    ];
+  });
+};
+
+const buildCoverageReport = (items, previous, { maxDropRatio } = {}) => {
+  const coverage = measureCoverage(items);
+  return { ...coverage, warnings: compareCoverage(coverage, previous, { maxDropRatio }) };
+};
+
+export {
+  buildCoverageReport,
+  compareCoverage,
+  COVERAGE_FIELDS,
+  DEFAULT_MAX_COVERAGE_DROP,
+  measureCoverage,
+};
@@ -0,0 +1,1219 @@
+import { AVAILABILITY, parseAvailability } from './availability.mjs';
+import { BlockedError } from './block_detection.mjs';
+import { parsePromoDates } from './dates.mjs';
+import { listingFingerprint, lookupDetails, storeDetails } from './detail_cache.mjs';
+import { log } from './logger.mjs';
+import {
+  detectSearchEndpoint,
+  fetchSearchPage,
+  recordJsonResponses,
+  verifySearchEndpoint,
+} from './search_api.mjs';
+import { computeUnitPricing } from './units.mjs';
+import {
+  buildFallbackKey,
+  buildFallbackUrl,
+  mapWithConcurrency,
+  normalizePricePair,
+  parseNumber,
+  parsePriceCandidates,
+  parseUnitPriceText,
+  resolveUrl,
+  sleep,
+  toCategoryFields,
+  uniqueKeyForItem,
+} from './utils.mjs';
+
+const PAGE_RETRY_COUNT = 2;
+const RESULTS_WAIT_TIMEOUT_MS = 20000;
+const RESULT_WAIT_ATTEMPTS = 10;
+const RESULT_WAIT_INITIAL_DELAY_MS = 500;
+const RESULT_WAIT_MAX_DELAY_MS = 1500;
+const QUERY_MODES = ['first', 'union'];
+const CRAWL_MODES = ['onsale', 'catalogue'];
+const DETAIL_CHECKPOINT_BATCH = 10;
+const ROBOTS_DISALLOWED_ERROR = 'Disallowed by robots.txt';
+// Pages rendered in the browser before switching to the search endpoint: two let the detection
+// see which request parameter moves with the page.
+const SEARCH_API_RENDERED_PAGES = 2;
+const LISTING_SOURCES = ['auto', 'browser'];
+// Listing and product page prices closer than this are the same price.
+const PRICE_TOLERANCE = 0.005;
+
+const saveProgress = (checkpoint, cache) => Promise.all([checkpoint?.save(), cache?.save()]);
+
+// Without a scheduler (tests, one-off calls) every request goes out straight away.
+const acquireSlot = async (scheduler, url) => (scheduler ? scheduler.acquire(url) : true);
+
+const waitForResultsWithRetry = async (adapter, page, contextLabel) => {
+  const step =
+    RESULT_WAIT_ATTEMPTS > 1
+      ? (RESULT_WAIT_MAX_DELAY_MS - RESULT_WAIT_INITIAL_DELAY_MS) / (RESULT_WAIT_ATTEMPTS - 1)
+      : 0;
+
+  for (let attempt = 1; attempt <= RESULT_WAIT_ATTEMPTS; attempt += 1) {
+    const state = await adapter.getResultsState(page);
+    log.debug('results.wait', { adapter: adapter.id, label: contextLabel, attempt, ...state });
+
+    if (state.resultsCountText || state.cardsCount > 0 || !state.loaderVisible) {
+      await page.waitForTimeout(200);
+      return state;
+    }
+
+    const delay = Math.round(
+      RESULT_WAIT_INITIAL_DELAY_MS + step * (attempt - 1)
+    );
+    await page.waitForTimeout(delay);
+  }
+
+  await page.waitForTimeout(500);
+  return adapter.getResultsState(page);
+};
+
+// Items carry in `_sources` the strategy that filled each of these fields, as `<step>.<strategy>`
+// (listing.data-sku, detail.jsonld, fallback.url, ...), or null when it stayed empty; the coverage
+// report (lib/coverage.mjs) counts them.
+const firstSource = (candidates) => candidates.find(([value]) => value)?.[1] ?? null;
+
+const listingSource = (strategy) => `listing.${strategy ?? 'unknown'}`;
+
+// normalizePricePair moves a lone sale price to the regular price; its source moves with it.
+const priceSources = ({ sale = null, regular = null }, sources) =>
+  regular === null && sale !== null
+    ? { price_sale: null, price_regular: sources.sale }
+    : {
+        price_sale: sale === null ? null : sources.sale,
+        price_regular: regular === null ? null : sources.regular,
+      };
+
+// The order mergeProductDetails and enrichItemsWithDetails fall back through for a name.
+const fallbackNameSources = (item) => [
+  [item.name, item._sources?.name ?? listingSource(null)],
+  [item.sku, 'fallback.sku'],
+  [item.url, 'fallback.url'],
+  [true, 'fallback.default'],
+];
+
+// Fields where the product page contradicts the listing card. Only values both sides have are
+// compared: a card without a sale price and a page with one is missing data, not a disagreement.
+const findListingMismatch = (item, pageValues) =>
+  Object.entries(pageValues)
+    .filter(([field, pageValue]) => {
+      const listed = item[field];
+      if ([pageValue, listed].some((value) => value === null || value === undefined)) return false;
+      return typeof pageValue === 'number'
+        ? Math.abs(pageValue - listed) > PRICE_TOLERANCE
+        : String(pageValue).trim().toLowerCase() !== String(listed).trim().toLowerCase();
+    })
+    .map(([field]) => field);
+
+// JSON-LD availability is the most reliable; the listing badge only fills in when the product
+// page says nothing.
+const resolveAvailability = (details, item) => {
+  const fromPage = parseAvailability([
+    ...(details.offerAvailability ?? []),
+    ...(details.availabilityTexts ?? []),
+  ]);
+  if (fromPage !== AVAILABILITY.unknown) {
+    const fromJsonLd = parseAvailability(details.offerAvailability ?? []);
+    return {
+      availability: fromPage,
+      source: fromJsonLd === AVAILABILITY.unknown ? 'detail.dom' : 'detail.jsonld',
+    };
+  }
+  const availability = item.availability ?? AVAILABILITY.unknown;
+  return {
+    availability,
+    source: availability === AVAILABILITY.unknown ? null : (item._sources?.availability ?? null),
+  };
+};
+
+const mergeProductDetails = (adapter, item, details) => {
+  const parsedSale = parseNumber(details.priceSaleText);
+  const parsedRegular = parseNumber(details.priceRegularText);
+  const offerPrices = details.offerPrices.map((entry) => parseNumber(entry)).filter(Boolean);
+  const offerSale = offerPrices.length > 0 ? Math.min(...offerPrices) : null;
+  const offerRegular = offerPrices.length > 1 ? Math.max(...offerPrices) : null;
+  const priceCandidates =
+    parsedSale !== null || parsedRegular !== null
+      ? { sale: parsedSale, regular: parsedRegular }
+      : parsePriceCandidates(details.priceCandidates);
+  const combinedPriceSale = parsedSale ?? offerSale ?? priceCandidates.sale ?? null;
+  const combinedPriceRegular =
+    parsedRegular ?? offerRegular ?? priceCandidates.regular ?? null;
+  const combinedPrices = normalizePricePair({
+    sale: combinedPriceSale,
+    regular: combinedPriceRegular,
+  });
+  const pageSources = details.sources ?? {};
+  const combinedSources = priceSources(
+    { sale: combinedPriceSale, regular: combinedPriceRegular },
+    {
+      sale: firstSource([
+        [parsedSale !== null, `detail.${pageSources.priceSaleText ?? 'dom'}`],
+        [offerSale !== null, 'detail.jsonld'],
+        [priceCandidates.sale !== null, 'detail.price-candidates'],
+      ]),
+      regular: firstSource([
+        [parsedRegular !== null, `detail.${pageSources.priceRegularText ?? 'dom'}`],
+        [offerRegular !== null, 'detail.jsonld'],
+        [priceCandidates.regular !== null, 'detail.price-candidates'],
+      ]),
+    }
+  );
+  const itemSources = item._sources ?? {};
+  const pricePair = {
+    sale: combinedPrices.sale ?? item.price_sale ?? null,
+    regular: combinedPrices.regular ?? item.price_regular ?? null,
+  };
+  const normalizedPrices = normalizePricePair(pricePair);
+  const normalizedSources = priceSources(pricePair, {
+    sale:
+      combinedPrices.sale !== null
+        ? combinedSources.price_sale
+        : (itemSources.price_sale ?? null),
+    regular:
+      combinedPrices.regular !== null
+        ? combinedSources.price_regular
+        : (itemSources.price_regular ?? null),
+  });
+
+  const unitPriceParsed = parseUnitPriceText(details.unitPriceText);
+  const nameFallback =
+    details.h1Text ||
+    details.ogTitle ||
+    details.productName ||
+    item.name ||
+    item.sku ||
+    item.url ||
+    adapter.fallbackName;
+  const availability = resolveAvailability(details, item);
+  const sku = details.productSku || item.sku || adapter.extractSkuFromUrl(item.url) || null;
+
+  const merged = {
+    ...item,
+    name: nameFallback,
+    brand: details.productBrand || item.brand || null,
+    sku,
+    price_sale: normalizedPrices.sale,
+    price_regular: normalizedPrices.regular,
+    price_anomaly: normalizedPrices.anomaly,
+    listing_detail_mismatch: findListingMismatch(item, {
+      sku: details.productSku || null,
+      price_sale: combinedPrices.sale,
+      price_regular: combinedPrices.regular,
+    }),
+    availability: availability.availability,
+    // Regular-price items often carry a boilerplate priceValidUntil; dates only mean something
+    // for a promotion.
+    ...(normalizedPrices.sale !== null
+      ? parsePromoDates({
+          validFrom: details.offerValidFrom,
+          validUntil: details.offerValidUntil,
+          texts: details.promoTexts ?? [],
+          referenceDate: item.scraped_at,
+        })
+      : { promo_start: null, promo_end: null }),
+    unit_label:
+      details.unitLabel ||
+      unitPriceParsed.unitLabel ||
+      item.unit_label ||
+      null,
+    unit_price: unitPriceParsed.unitPrice ?? item.unit_price ?? null,
+    ...toCategoryFields(
+      adapter.getCategoryLevels({
+        breadcrumbItems: details.breadcrumbItems,
+        breadcrumb: details.breadcrumb,
+        productName: nameFallback,
+        url: item.url,
+      })
+    ),
+    url_en: details.alternateUrls?.en || item.url_en || null,
+    _sources: {
+      ...itemSources,
+      name: firstSource([
+        [details.h1Text, 'detail.h1'],
+        [details.ogTitle, 'detail.og-title'],
+        [details.productName, 'detail.jsonld'],
+        ...fallbackNameSources(item),
+      ]),
+      brand: firstSource([
+        [details.productBrand, 'detail.jsonld'],
+        [item.brand, itemSources.brand ?? listingSource(null)],
+      ]),
+      sku: firstSource([
+        [details.productSku, 'detail.jsonld'],
+        [item.sku, itemSources.sku ?? listingSource(null)],
+        [sku, 'fallback.url'],
+      ]),
+      ...normalizedSources,
+      availability: availability.source,
+      unit_label: firstSource([
+        [details.unitLabel, 'detail.dom'],
+        [unitPriceParsed.unitLabel, 'detail.unit-price'],
+        [item.unit_label, itemSources.unit_label ?? listingSource(null)],
+      ]),
+    },
+  };
+  // unit_label may hold the "/100g" of the unit price, which is not a pack size.
+  const packLabel = details.unitLabel || item.unit_label || null;
+  return {
+    ...merged,
+    ...computeUnitPricing(
+      { ...merged, unit_label: packLabel },
+      { unitPriceText: details.unitPriceText }
+    ),
+  };
+};
+
+// Resolves to { details, fromCache } or { error }, with `blocked` set when the page was a block or
+// challenge page.
+const loadProductDetails = async (
+  adapter,
+  context,
+  item,
+  options,
+  { cache, scheduler, blocks }
+) => {
+  const cacheKey = uniqueKeyForItem(item);
+  const fingerprint = listingFingerprint(item);
+  const cached = cache
+    ? lookupDetails(cache.state, cacheKey, fingerprint, { ttlHours: options.detailCacheTtlHours })
+    : null;
+  if (cached) return { details: cached, fromCache: true };
+  await sleep(options.detailDelayMs + Math.random() * options.detailJitterMs);
+  blocks?.throwIfAborted();
+  if (!(await acquireSlot(scheduler, item.url))) return { error: ROBOTS_DISALLOWED_ERROR };
+  const page = await context.newPage();
+  page.setDefaultTimeout(options.pageTimeoutMs);
+  const startedAt = Date.now();
+  try {
+    const details = await adapter.extractProductDetails(page, item.url);
+    log.debug('detail.load', {
+      adapter: adapter.id,
+      url: item.url,
+      status: details.status,
+      durationMs: Date.now() - startedAt,
+    });
+    const block = await blocks?.check(page, {
+      kind: 'product',
+      status: details.status,
+      expectedContent: Boolean(details.productName || details.h1Text || details.productSku),
+    });
+    if (block) return { error: `Blocked (${block.reason})`, blocked: true };
+    if (details.status !== null && details.status >= 400) {
+      throw new Error(`HTTP ${details.status}`);
+    }
+    if (cache) storeDetails(cache.state, cacheKey, fingerprint, details);
+    return { details, fromCache: false };
+  } catch (error) {
+    if (error instanceof BlockedError) throw error;
+    log.warn('detail.failed', { adapter: adapter.id, url: item.url, error: error?.message });
+    return { error: error?.message ?? String(error) };
+  } finally {
+    await page.close();
+  }
+};
+
+// Keeps the first item for each key; the others are returned as { key, url, keptUrl }.
+const dropDuplicateKeys = (items) => {
+  const kept = new Map();
+  const duplicates = [];
+  const unique = items.filter((item) => {
+    const key = uniqueKeyForItem(item);
+    if (!key) return true;
+    if (kept.has(key)) {
+      duplicates.push({ key, url: item.url ?? null, keptUrl: kept.get(key).url ?? null });
+      return false;
+    }
+    kept.set(key, item);
+    return true;
+  });
+  return { items: unique, duplicates };
+};
+
+// A product page that errors or answers with an HTTP error keeps the listing data and is counted
+// in `failures`. With a cache, a page is only fetched when its entry is missing, expired, or was
+// stored for different listing data. With a checkpoint, every outcome is saved in batches and
+// items already handled by an interrupted run are not fetched again; blocked pages are not saved,
+// so a resumed run fetches them again. Items that end up with the same key once merged (variants
+// listed under their own SKU whose product page gives the product SKU) are kept once and listed
+// in `duplicates`.
+const enrichItemsWithDetails = async (
+  adapter,
+  context,
+  items,
+  options,
+  { cache = null, checkpoint = null, scheduler = null, blocks = null } = {}
+) => {
+  const failures = [];
+  const saved = checkpoint?.state.details ?? {};
+  let cacheHits = 0;
+  let unsaved = 0;
+  const enriched = await mapWithConcurrency(items, options.detailConcurrency, async (item) => {
+    if (!item?.url) return item;
+    const key = uniqueKeyForItem(item);
+    let outcome = saved[key];
+    if (!outcome) {
+      outcome = await loadProductDetails(adapter, context, item, options, {
+        cache,
+        scheduler,
+        blocks,
+      });
+      if (!outcome.blocked) {
+        if (checkpoint) saved[key] = outcome;
+        unsaved += 1;
+        if (unsaved >= DETAIL_CHECKPOINT_BATCH) {
+          unsaved = 0;
+          await saveProgress(checkpoint, cache);
+        }
+      }
+    }
+    if (outcome.error) {
+      failures.push({ url: item.url, error: outcome.error });
+      return {
+        ...item,
+        name: item.name || item.sku || item.url || adapter.fallbackName,
+        _sources: { ...item._sources, name: firstSource(fallbackNameSources(item)) },
+      };
+    }
+    if (outcome.fromCache) cacheHits += 1;
+    const merged = mergeProductDetails(adapter, item, outcome.details);
+    if (merged.listing_detail_mismatch.length > 0) {
+      const valuesOf = (source) =>
+        Object.fromEntries(merged.listing_detail_mismatch.map((field) => [field, source[field]]));
+      log.info('detail.mismatch', {
+        adapter: adapter.id,
+        url: item.url,
+        fields: merged.listing_detail_mismatch,
+        listing: valuesOf(item),
+        detail: valuesOf(merged),
+      });
+    }
+    return merged;
+  });
+  if (checkpoint) checkpoint.state.details = saved;
+  await saveProgress(checkpoint, cache);
+  const { items: unique, duplicates } = dropDuplicateKeys(enriched);
+  duplicates.forEach((duplicate) => {
+    log.info('detail.duplicate', { adapter: adapter.id, ...duplicate });
+  });
+  return { items: unique, failures, cacheHits, duplicates };
+};
+
+const getPaginationInfo = (paginationLinks, baseUrl) => {
+  let maxPage = null;
+  paginationLinks.forEach((href) => {
+    if (!href) return;
+    try {
+      const url = new URL(href, baseUrl);
+      const pageParam = url.searchParams.get('page');
+      const pageNumber = pageParam ? Number.parseInt(pageParam, 10) : null;
+      if (Number.isFinite(pageNumber)) {
+        maxPage = maxPage ? Math.max(maxPage, pageNumber) : pageNumber;
+      }
+    } catch {
+      return;
+    }
+  });
+  return maxPage;
+};
+
+const getMaxPageFromButtons = (paginationButtons) => {
+  if (!paginationButtons || paginationButtons.length === 0) return null;
+  return paginationButtons.reduce((max, value) => (max === null ? value : Math.max(max, value)), null);
+};
+
+const waitForCardsStable = async (adapter, page) => {
+  let lastCount = 0;
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const count = await page.locator(adapter.selectors.cards).count();
+    if (count > 0 && count === lastCount) {
+      return count;
+    }
+    lastCount = count;
+    await page.waitForTimeout(250);
+  }
+  return lastCount;
+};
+
+const getListingCardCount = async (adapter, page) =>
+  page.evaluate(
+    ({ cardsSelector, fallbackSelectors }) => {
+      const isVisible = (element) => {
+        if (!element) return false;
+        const style = window.getComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        return (
+          rect.width > 0 &&
+          rect.height > 0 &&
+          style.visibility !== 'hidden' &&
+          style.display !== 'none' &&
+          Number.parseFloat(style.opacity || '1') > 0
+        );
+      };
+      const cardSet = new Set();
+      [cardsSelector, ...fallbackSelectors].forEach((selector) => {
+        document.querySelectorAll(selector).forEach((element) => cardSet.add(element));
+      });
+      return Array.from(cardSet).filter((element) => isVisible(element)).length;
+    },
+    { cardsSelector: adapter.selectors.cards, fallbackSelectors: adapter.selectors.fallbackCards }
+  );
+
+const scrollForLazyLoad = async (adapter, page) => {
+  const initialCount = await getListingCardCount(adapter, page);
+  await page.evaluate(async () => {
+    await new Promise((resolve) => {
+      let total = 0;
+      const distance = Math.max(window.innerHeight * 0.8, 300);
+      const timer = window.setInterval(() => {
+        window.scrollBy(0, distance);
+        total += distance;
+        if (total >= document.body.scrollHeight) {
+          window.clearInterval(timer);
+          resolve(null);
+        }
+      }, 200);
+    });
+  });
+  await page.waitForTimeout(500);
+  await page.evaluate(() => window.scrollTo({ top: 0, behavior: 'instant' }));
+  await page.waitForTimeout(400);
+  const finalCount = await getListingCardCount(adapter, page);
+  return { initialCount, finalCount };
+};
+
+// One capture per problem page, whatever made it empty: no extracted result, no visible card, or
+// both. Block and challenge pages are caught before this by the block monitor.
+const captureEmptyListing = async (adapter, page, artifacts, { query, currentPage, extracted }) => {
+  const details = {
+    empty_state_text: extracted?.emptyStateText ?? null,
+    results_count_text: extracted?.resultsCountText ?? null,
+    container_selector: extracted?.containerSelector ?? null,
+    visible_card_count: extracted?.visibleCardCount ?? null,
+    result_count: extracted?.results.length ?? null,
+    cards_selector: adapter.selectors.cards,
+    fallback_selectors: adapter.selectors.fallbackCards,
+  };
+  const kind = extracted?.results.length === 0 ? 'zero-items' : 'no-visible-cards';
+  log.warn(`listing.${kind}`, {
+    adapter: adapter.id,
+    query,
+    page: currentPage,
+    url: page.url(),
+  });
+  await artifacts?.capture(page, { kind, query, page: currentPage, details });
+};
+
+// Pagination is click-driven, so a resumed listing reopens its first page and jumps to the saved
+// one; when that fails the listing is crawled again from the start.
+const seekListingPage = async (
+  adapter,
+  page,
+  baseUrl,
+  target,
+  { artifacts, scheduler, blocks }
+) => {
+  const { query, page: targetPage } = target;
+  try {
+    if (!(await acquireSlot(scheduler, baseUrl))) return false;
+    const response = await page.goto(baseUrl, { waitUntil: 'domcontentloaded' });
+    const block = await blocks?.check(page, {
+      kind: 'listing',
+      status: response?.status() ?? null,
+      query,
+    });
+    if (block) return false;
+    await adapter.acceptConsent(page);
+    await page.waitForSelector(adapter.selectors.cards, { timeout: RESULTS_WAIT_TIMEOUT_MS });
+    await waitForCardsStable(adapter, page);
+    if (!(await acquireSlot(scheduler, baseUrl))) return false;
+    const status = await adapter.goToPage(page, baseUrl, targetPage, { artifacts, query });
+    return status?.afterActive === targetPage;
+  } catch (error) {
+    if (error instanceof BlockedError) throw error;
+    log.warn('listing.resume-failed', {
+      adapter: adapter.id,
+      url: baseUrl,
+      page: targetPage,
+      error: error?.message,
+    });
+    return false;
+  }
+};
+
+// The endpoint behind the rendered pages, once it has answered a plain HTTP replay of one of them;
+// null keeps the browser in charge.
+const findSearchEndpoint = async (
+  adapter,
+  query,
+  samples,
+  renderedPages,
+  { baseUrl, timeoutMs, scheduler }
+) => {
+  const { endpoint, reason } = detectSearchEndpoint(samples, renderedPages, { baseUrl });
+  if (!endpoint) {
+    log.info('listing.api-unavailable', {
+      adapter: adapter.id,
+      query,
+      reason,
+      requests: samples.length,
+    });
+    return null;
+  }
+  const check = await verifySearchEndpoint(endpoint, renderedPages[renderedPages.length - 1], {
+    timeoutMs,
+    scheduler,
+  });
+  if (!check.ok) {
+    log.warn('listing.api-fallback', {
+      adapter: adapter.id,
+      query,
+      url: endpoint.url,
+      reason: check.reason,
+    });
+    return null;
+  }
+  log.info('listing.api-detected', {
+    adapter: adapter.id,
+    query,
+    url: endpoint.url,
+    method: endpoint.method,
+    pageParameter: endpoint.pageParameter.name,
+  });
+  return endpoint;
+};
+
+// Listing cards, rendered or fetched from the search endpoint, to output items.
+const toListingItems = (adapter, query, baseUrlString, cards) =>
+  cards.map((item) => {
+    const parsedSale = parseNumber(item.priceSaleText);
+    const parsedRegular = parseNumber(item.priceRegularText);
+    const fromText = parsedSale !== null || parsedRegular !== null;
+    const { sale, regular } = fromText
+      ? { sale: parsedSale, regular: parsedRegular }
+      : parsePriceCandidates(item.priceCandidates);
+    const normalizedPrices = normalizePricePair({ sale, regular });
+    const resolvedLink = resolveUrl(item.link, baseUrlString);
+    const resolvedImage = resolveUrl(item.image, baseUrlString);
+    const availability = parseAvailability([item.availabilityText]);
+    const cardSources = item.sources ?? {};
+    const cardSource = (value, strategy) => (value ? listingSource(strategy) : null);
+    return {
+      source: adapter.source,
+      query,
+      name: item.name,
+      brand: item.brand,
+      sku: item.sku,
+      price_sale: normalizedPrices.sale,
+      price_regular: normalizedPrices.regular,
+      price_anomaly: normalizedPrices.anomaly,
+      availability,
+      promo_start: null,
+      promo_end: null,
+      unit_label: item.unitLabel,
+      unit_price: null,
+      ...computeUnitPricing({
+        name: item.name,
+        unit_label: item.unitLabel,
+        price_sale: normalizedPrices.sale,
+        price_regular: normalizedPrices.regular,
+      }),
+      url: resolvedLink || buildFallbackUrl(item.sku, item.name, baseUrlString),
+      image: resolvedImage,
+      ...toCategoryFields(
+        adapter.getCategoryLevels({
+          breadcrumb: item.category,
+          productName: item.name,
+          url: resolvedLink,
+        })
+      ),
+      scraped_at: new Date().toISOString(),
+      _sources: {
+        name: cardSource(item.name, cardSources.name),
+        brand: cardSource(item.brand, cardSources.brand),
+        sku: cardSource(item.sku, cardSources.sku),
+        ...priceSources(
+          { sale, regular },
+          fromText
+            ? {
+                sale: listingSource(cardSources.priceSaleText),
+                regular: listingSource(cardSources.priceRegularText),
+              }
+            : { sale: 'listing.price-candidates', regular: 'listing.price-candidates' }
+        ),
+        availability: cardSource(
+          availability !== AVAILABILITY.unknown,
+          cardSources.availabilityText
+        ),
+        unit_label: cardSource(item.unitLabel, cardSources.unitLabel),
+        image: cardSource(resolvedImage, cardSources.image),
+      },
+    };
+  });
+
+const crawlListing = async (
+  adapter,
+  page,
+  target,
+  options,
+  { checkpoint = null, artifacts = null, scheduler = null, blocks = null } = {}
+) => {
+  const { maxPages } = options;
+  const { query, url: baseUrlString } = target;
+  const allItems = [];
+  const uniqueItems = new Map();
+  let currentPage = 1;
+  let maxPage = null;
+  let emptyPageStreak = 0;
+  let pageCount = 0;
+  let stoppedReason = null;
+  const pages = [];
+
+  const saved = checkpoint?.state.listing.current;
+  if (
+    saved?.query === query &&
+    (await seekListingPage(
+      adapter,
+      page,
+      baseUrlString,
+      { query, page: saved.nextPage },
+      { artifacts, scheduler, blocks }
+    ))
+  ) {
+    log.info('listing.resumed', {
+      adapter: adapter.id,
+      query,
+      page: saved.nextPage,
+      items: saved.items.length,
+    });
+    saved.items.forEach((item) => {
+      const key = uniqueKeyForItem(item);
+      if (key) uniqueItems.set(key, item);
+      allItems.push(item);
+    });
+    pages.push(...saved.pages);
+    pageCount = saved.pages.length;
+    currentPage = saved.nextPage;
+    maxPage = saved.maxPage;
+    emptyPageStreak = saved.emptyPageStreak;
+  }
+
+  const addPageItems = (pageNumber, pageItems, pageStartedAt, source) => {
+    const allCountBefore = allItems.length;
+    const keyStats = { withSku: 0, withUrl: 0, withFallbackKey: 0 };
+    pageItems.forEach((item) => {
+      let key = null;
+      if (item.sku) {
+        keyStats.withSku += 1;
+        key = item.sku;
+      } else if (item.url) {
+        keyStats.withUrl += 1;
+        key = item.url;
+      } else if (item.name) {
+        keyStats.withFallbackKey += 1;
+        key = buildFallbackKey(item);
+      }
+
+      if (key) {
+        if (!uniqueItems.has(key)) {
+          uniqueItems.set(key, item);
+          allItems.push(item);
+        }
+        return;
+      }
+      allItems.push(item);
+    });
+    const allCountAfter = allItems.length;
+
+    pageCount += 1;
+    pages.push({
+      page: pageNumber,
+      extracted: pageItems.length,
+      added: allCountAfter - allCountBefore,
+      durationMs: Date.now() - pageStartedAt,
+      source,
+    });
+
+    log.info('listing.page', {
+      adapter: adapter.id,
+      query,
+      page: pageNumber,
+      source,
+      extracted: pageItems.length,
+      added: allCountAfter - allCountBefore,
+      unique: allCountAfter,
+      withSku: keyStats.withSku,
+      withUrl: keyStats.withUrl,
+      withFallbackKey: keyStats.withFallbackKey,
+      durationMs: Date.now() - pageStartedAt,
+    });
+    return allCountAfter - allCountBefore;
+  };
+
+  const saveProgress = async (nextPage) => {
+    if (!checkpoint) return;
+    checkpoint.state.listing.current = {
+      query,
+      nextPage,
+      items: [...allItems],
+      pages: [...pages],
+      maxPage,
+      emptyPageStreak,
+    };
+    await checkpoint.save();
+  };
+
+  const pauseBetweenPages = () =>
+    sleep(options.pageDelayMs + Math.floor(Math.random() * options.pageJitterMs));
+
+  // Fetches the remaining pages from the search endpoint. Returns the stop reason, or the page
+  // the browser has to pick up from when the endpoint stops answering as expected.
+  const followSearchEndpoint = async (endpoint, fromPage) => {
+    for (let pageNumber = fromPage; pageNumber <= maxPages; pageNumber += 1) {
+      const pageStartedAt = Date.now();
+      let cards;
+      try {
+        cards = await fetchSearchPage(endpoint, pageNumber, {
+          timeoutMs: options.pageTimeoutMs,
+          scheduler,
+        });
+      } catch (error) {
+        log.warn('listing.api-fallback', {
+          adapter: adapter.id,
+          query,
+          page: pageNumber,
+          reason: error?.message,
+        });
+        return { stoppedReason: null, nextPage: pageNumber };
+      }
+      if (cards.length === 0) return { stoppedReason: 'no-next-page' };
+      const added = addPageItems(
+        pageNumber,
+        toListingItems(adapter, query, baseUrlString, cards),
+        pageStartedAt,
+        'api'
+      );
+      // Past the last page, endpoints tend to repeat it rather than answer empty.
+      if (added === 0) return { stoppedReason: 'no-next-page' };
+      await saveProgress(pageNumber + 1);
+      await pauseBetweenPages();
+    }
+    return { stoppedReason: 'page-limit-reached' };
+  };
+
+  let recorder = options.listingSource === 'browser' ? null : recordJsonResponses(page);
+  const renderedPages = [];
+
+  while (currentPage <= maxPages) {
+    const pageStartedAt = Date.now();
+    const pageUrl = currentPage === 1 ? baseUrlString : page.url() || baseUrlString;
+
+    let extracted = null;
+    let lastError = null;
+    let disallowed = false;
+
+    for (let attempt = 0; attempt <= PAGE_RETRY_COUNT; attempt += 1) {
+      try {
+        let status = null;
+        if (currentPage === 1) {
+          if (!(await acquireSlot(scheduler, pageUrl))) {
+            disallowed = true;
+            break;
+          }
+          const response = await page.goto(pageUrl, { waitUntil: 'domcontentloaded' });
+          status = response?.status() ?? null;
+        }
+        await adapter.acceptConsent(page);
+        await page.waitForTimeout(750);
+        try {
+          await page.waitForSelector(adapter.selectors.cards, { timeout: RESULTS_WAIT_TIMEOUT_MS });
+        } catch {
+          // continue to fallback wait logic
+        }
+        await waitForCardsStable(adapter, page);
+        await waitForResultsWithRetry(adapter, page, `${query}-page-${currentPage}`);
+        await scrollForLazyLoad(adapter, page);
+        extracted = await adapter.extractListing(page);
+        const block = await blocks?.check(page, {
+          kind: 'listing',
+          status,
+          expectedContent:
+            extracted.results.length > 0 ||
+            Boolean(extracted.resultsCountText || extracted.emptyStateText),
+          query,
+        });
+        if (block) {
+          extracted = null;
+          throw new Error(`Blocked page (${block.reason})`);
+        }
+        if (extracted.results.length > 0 || attempt === PAGE_RETRY_COUNT) {
+          break;
+        }
+        log.warn('listing.retry', {
+          adapter: adapter.id,
+          query,
+          page: currentPage,
+          attempt: attempt + 1,
+          reason: 'no-results',
+        });
+        await sleep(1000);
+      } catch (error) {
+        if (error instanceof BlockedError) throw error;
+        lastError = error;
+        log.warn('listing.retry', {
+          adapter: adapter.id,
+          query,
+          page: currentPage,
+          attempt: attempt + 1,
+          reason: 'error',
+          error: error?.message,
+        });
+        await sleep(1000);
+      }
+    }
+
+    if (disallowed) {
+      stoppedReason = 'robots-disallowed';
+      break;
+    }
+
+    if (!extracted) {
+      const errorMessage = lastError ? lastError.message : 'Unknown error';
+      log.error('listing.failed', {
+        adapter: adapter.id,
+        query,
+        page: currentPage,
+        url: pageUrl,
+        error: errorMessage,
+      });
+      await artifacts?.note({
+        kind: 'listing-error',
+        query,
+        page: currentPage,
+        url: pageUrl,
+        message: `Failed to scrape page ${currentPage}: ${errorMessage}`,
+      });
+      // the pages after this one were never seen, so the crawl did not complete
+      stoppedReason = 'page-failed';
+      break;
+    }
+
+    if (extracted.results.length === 0 || extracted.visibleCardCount === 0) {
+      await captureEmptyListing(adapter, page, artifacts, { query, currentPage, extracted });
+    }
+
+    if (extracted.visibleCardCount === 0) {
+      emptyPageStreak += 1;
+    } else {
+      emptyPageStreak = 0;
+    }
+
+    const pageItems = toListingItems(adapter, query, baseUrlString, extracted.results);
+
+    addPageItems(currentPage, pageItems, pageStartedAt, 'browser');
+
+    const derivedMaxPage = adapter.getMaxPage(extracted, baseUrlString);
+    if (Number.isFinite(derivedMaxPage)) {
+      maxPage = maxPage === null ? derivedMaxPage : Math.max(maxPage, derivedMaxPage);
+    }
+
+    if (emptyPageStreak >= 2) {
+      stoppedReason = 'empty-pages-streak';
+      break;
+    }
+
+    if (maxPage !== null && currentPage >= maxPage) {
+      stoppedReason = 'max-page-reached';
+      break;
+    }
+
+    renderedPages.push({ page: currentPage, cards: extracted.results });
+    if (recorder && renderedPages.length >= SEARCH_API_RENDERED_PAGES) {
+      const samples = await recorder.stop();
+      recorder = null;
+      const endpoint = await findSearchEndpoint(adapter, query, samples, renderedPages, {
+        baseUrl: baseUrlString,
+        timeoutMs: options.pageTimeoutMs,
+        scheduler,
+      });
+      if (endpoint) {
+        await pauseBetweenPages();
+        const apiRun = await followSearchEndpoint(endpoint, currentPage + 1);
+        if (apiRun.stoppedReason) {
+          stoppedReason = apiRun.stoppedReason;
+          break;
+        }
+        const resumed = await seekListingPage(
+          adapter,
+          page,
+          baseUrlString,
+          { query, page: apiRun.nextPage },
+          { artifacts, scheduler, blocks }
+        );
+        if (!resumed) {
+          stoppedReason = 'no-next-page';
+          break;
+        }
+        currentPage = apiRun.nextPage;
+        continue;
+      }
+    }
+
+    const targetPage = currentPage + 1;
+    if (!(await acquireSlot(scheduler, baseUrlString))) {
+      stoppedReason = 'robots-disallowed';
+      break;
+    }
+    let paginationStatus = null;
+    if (extracted.nextPage && !extracted.nextPage.disabled) {
+      paginationStatus = await adapter.goToNextPage(page, baseUrlString, extracted.nextPage, {
+        artifacts,
+        query,
+      });
+    }
+    if (!paginationStatus && maxPage !== null && currentPage < maxPage) {
+      paginationStatus = await adapter.goToPage(page, baseUrlString, targetPage, {
+        artifacts,
+        query,
+      });
+    }
+
+    if (!paginationStatus) {
+      stoppedReason = extracted.nextPage?.disabled ? 'next-disabled' : 'no-next-page';
+      break;
+    }
+
+    if (paginationStatus.afterActive !== targetPage) {
+      stoppedReason = 'no-next-page';
+      break;
+    }
+
+    currentPage = targetPage;
+    await saveProgress(currentPage);
+    await pauseBetweenPages();
+  }
+  await recorder?.stop();
+
+  if (!stoppedReason) {
+    stoppedReason = currentPage > maxPages ? 'page-limit-reached' : 'completed';
+  }
+  log.info('listing.done', {
+    adapter: adapter.id,
+    query,
+    pages: pageCount,
+    items: allItems.length,
+    stoppedReason,
+  });
+
+  return {
+    query,
+    baseUrl: baseUrlString,
+    items: allItems,
+    pageCount,
+    pages,
+    stoppedReason,
+  };
+};
+
+const scrapeListing = async (
+  adapter,
+  page,
+  query,
+  options,
+  { checkpoint = null, artifacts = null, scheduler = null, blocks = null } = {}
+) =>
+  crawlListing(
+    adapter,
+    page,
+    { query, url: adapter.buildListingUrl(options.baseUrl, query) },
+    options,
+    { checkpoint, artifacts, scheduler, blocks }
+  );
+
+const recordRun = async (checkpoint, run) => {
+  if (!checkpoint) return;
+  checkpoint.state.listing.runs.push(run);
+  checkpoint.state.listing.current = null;
+  await checkpoint.save();
+};
+
+// Listings finished before an interruption come back from the checkpoint as they were.
+const scrapeQueries = async (
+  adapter,
+  page,
+  options,
+  { checkpoint = null, artifacts = null, scheduler = null, blocks = null } = {}
+) => {
+  const runs = [...(checkpoint?.state.listing.runs ?? [])];
+  for (const query of options.queries.slice(runs.length)) {
+    if (options.queryMode !== 'union' && runs.some((run) => run.items.length > 0)) break;
+    const run = await scrapeListing(adapter, page, query, options, {
+      checkpoint,
+      artifacts,
+      scheduler,
+      blocks,
+    });
+    runs.push(run);
+    await recordRun(checkpoint, run);
+  }
+  return runs;
+};
+
+// Category paths come both from category links and from the parent segments of product links, so
+// a department page that only lists products still reveals its sub-categories. Pages at the
+// adapter's deepest category level are not visited for discovery; only leaves are crawled later.
+const discoverCategories = async (
+  adapter,
+  page,
+  options,
+  { scheduler = null, blocks = null } = {}
+) => {
+  const known = new Map();
+  const queue = [{ path: [], url: options.baseUrl }];
+  const register = (categoryPath) => {
+    for (let depth = 1; depth <= categoryPath.length; depth += 1) {
+      const prefix = categoryPath.slice(0, depth);
+      const key = prefix.join('/');
+      if (known.has(key)) continue;
+      const category = { path: prefix, url: adapter.buildCategoryUrl(options.baseUrl, prefix) };
+      known.set(key, category);
+      if (depth < adapter.maxCategoryDepth) queue.push(category);
+    }
+  };
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!(await acquireSlot(scheduler, current.url))) continue;
+    try {
+      const response = await page.goto(current.url, { waitUntil: 'domcontentloaded' });
+      await adapter.acceptConsent(page);
+      const links = await adapter.extractCategoryLinks(page);
+      const block = await blocks?.check(page, {
+        kind: 'category',
+        status: response?.status() ?? null,
+        expectedContent: links.length > 0,
+      });
+      if (block) throw new Error(`Blocked page (${block.reason})`);
+      links.forEach((href) => {
+        const categoryPath = adapter.getCategoryPath(options.baseUrl, href);
+        if (categoryPath && categoryPath.length > 0) register(categoryPath);
+      });
+    } catch (error) {
+      if (error instanceof BlockedError) throw error;
+      log.warn('category.discovery-failed', {
+        adapter: adapter.id,
+        url: current.url,
+        error: error?.message,
+      });
+    }
+    await sleep(options.pageDelayMs + Math.floor(Math.random() * options.pageJitterMs));
+  }
+
+  const categories = [...known.values()];
+  return categories.filter(
+    (category) =>
+      !categories.some(
+        (other) =>
+          other.path.length > category.path.length &&
+          category.path.every((segment, index) => other.path[index] === segment)
+      )
+  );
+};
+
+const scrapeCatalogue = async (
+  adapter,
+  page,
+  options,
+  { checkpoint = null, artifacts = null, scheduler = null, blocks = null } = {}
+) => {
+  const listing = checkpoint?.state.listing;
+  const categories =
+    listing?.targets ??
+    (await discoverCategories(adapter, page, options, { scheduler, blocks }));
+  if (listing && !listing.targets) {
+    listing.targets = categories;
+    await checkpoint.save();
+  }
+  log.info('catalogue.categories', { adapter: adapter.id, count: categories.length });
+  const runs = [...(listing?.runs ?? [])];
+  for (const category of categories.slice(runs.length)) {
+    const run = await crawlListing(
+      adapter,
+      page,
+      { query: category.path.join('/'), url: category.url },
+      options,
+      { checkpoint, artifacts, scheduler, blocks }
+    );
+    runs.push(run);
+    await recordRun(checkpoint, run);
+  }
+  return runs;
+};
+
+// 'first' keeps the first query that returned anything (the historical behaviour); 'union'
+// merges every query on the dedup key and records on each item which queries matched it.
+const combineQueryRuns = (runs, { mode = 'first' } = {}) => {
+  const selectedRuns =
+    mode === 'union'
+      ? runs
+      : [runs.find((run) => run.items.length > 0) ?? runs[0]].filter(Boolean);
+  const byKey = new Map();
+  const items = [];
+  selectedRuns.forEach((run) => {
+    run.items.forEach((item) => {
+      const key = uniqueKeyForItem(item);
+      const existing = key ? byKey.get(key) : null;
+      if (existing) {
+        if (!existing.queries.includes(run.query)) existing.queries.push(run.query);
+        return;
+      }
+      const merged = { ...item, queries: [run.query] };
+      if (key) byKey.set(key, merged);
+      items.push(merged);
+    });
+  });
+
+  const queryStats = Object.fromEntries(
+    runs.map((run) => {
+      const stats = {
+        items: run.items.length,
+        pages: run.pageCount,
+        stoppedReason: run.stoppedReason,
+        pageCounts: run.pages ?? [],
+      };
+      if (mode === 'union') {
+        stats.exclusive = items.filter(
+          (item) => item.queries.length === 1 && item.queries[0] === run.query
+        ).length;
+      }
+      return [run.query, stats];
+    })
+  );
+
+  return {
+    items,
+    queryUsed: mode === 'union' ? null : selectedRuns[0]?.query ?? null,
+    stoppedReason: mode === 'union' ? null : selectedRuns[0]?.stoppedReason ?? null,
+    pageCount: selectedRuns.reduce((total, run) => total + run.pageCount, 0),
+    queryStats,
+  };
+};
+
+export {
+  combineQueryRuns,
+  CRAWL_MODES,
+  discoverCategories,
+  enrichItemsWithDetails,
+  getMaxPageFromButtons,
+  getPaginationInfo,
+  LISTING_SOURCES,
+  mergeProductDetails,
+  QUERY_MODES,
+  scrapeCatalogue,
+  scrapeListing,
+  scrapeQueries,
+  waitForCardsStable,
+  waitForResultsWithRetry,
+};
@@ -0,0 +1,160 @@
+import { normalizeWhitespace } from './utils.mjs';
+
+const MONTHS = {
+  janvier: 1,
+  janv: 1,
+  january: 1,
+  jan: 1,
+  fevrier: 2,
+  fevr: 2,
+  fev: 2,
+  february: 2,
+  feb: 2,
+  mars: 3,
+  march: 3,
+  mar: 3,
+  avril: 4,
+  avr: 4,
+  april: 4,
+  apr: 4,
+  mai: 5,
+  may: 5,
+  juin: 6,
+  june: 6,
+  jun: 6,
+  juillet: 7,
+  juil: 7,
+  july: 7,
+  jul: 7,
+  aout: 8,
+  august: 8,
+  aug: 8,
+  septembre: 9,
+  sept: 9,
+  september: 9,
+  sep: 9,
+  octobre: 10,
+  oct: 10,
+  october: 10,
+  novembre: 11,
+  nov: 11,
+  november: 11,
+  decembre: 12,
+  dec: 12,
+  december: 12,
+};
+
+const MONTH_NAME = '([a-z]{3,9})\\.?';
+const DAY = '(\\d{1,2})(?:er|st|nd|rd|th)?';
+const YEAR = '(\\d{4})';
+const DATE_PATTERNS = [
+  { regex: new RegExp(`${YEAR}-(\\d{1,2})-(\\d{1,2})`), order: ['year', 'month', 'day'] },
+  { regex: new RegExp(`(\\d{1,2})/(\\d{1,2})/${YEAR}`), order: ['day', 'month', 'year'] },
+  { regex: new RegExp(`${DAY}\\s+${MONTH_NAME}(?:\\s+${YEAR})?`), order: ['day', 'monthName', 'year'] },
+  { regex: new RegExp(`${MONTH_NAME}\\s+${DAY}(?:,?\\s+${YEAR})?`), order: ['monthName', 'day', 'year'] },
+];
+const DATE_SOURCE = DATE_PATTERNS.map(({ regex }) => `(?:${regex.source})`).join('|');
+
+const RANGE_REGEX = new RegExp(
+  `(?:du|from)\\s+(?<start>${DATE_SOURCE}|\\d{1,2}(?:er)?)\\s+(?:au|to|until)\\s+(?<end>${DATE_SOURCE})`
+);
+const END_REGEX = new RegExp(
+  `(?:jusqu['’]?\\s*au|jusqu['’]?\\s*[àa]|se termine le|prend fin le|until|ends?|expires?)\\s+(?:le\\s+)?(${DATE_SOURCE})`
+);
+const START_REGEX = new RegExp(
+  `(?:[àa] partir du|d[èe]s le|en vigueur le|d[ée]bute le|starts?|from)\\s+(?:le\\s+)?(${DATE_SOURCE})`
+);
+
+// A date far behind the run is assumed to belong to next year ("jusqu'au 3 janvier" in December).
+const YEAR_ROLLOVER_DAYS = 180;
+
+const foldText = (value) =>
+  (normalizeWhitespace(value) || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+const inferYear = (month, day, referenceDate) => {
+  const reference = new Date(referenceDate ?? Date.now());
+  const year = reference.getUTCFullYear();
+  const candidate = Date.UTC(year, month - 1, day);
+  const daysBehind = (reference.getTime() - candidate) / 86400000;
+  return daysBehind > YEAR_ROLLOVER_DAYS ? year + 1 : year;
+};
+
+// Accepts ISO timestamps, "2026-10-23", "23/10/2026" (day first, as on the French site),
+// "23 octobre 2026", "1er nov." and "October 23, 2026". Without a year, the run date decides.
+const parseDateText = (value, { referenceDate = null, fallback = {} } = {}) => {
+  const text = foldText(value);
+  if (!text) return null;
+  for (const { regex, order } of DATE_PATTERNS) {
+    const match = text.match(regex);
+    if (!match) continue;
+    const parts = {};
+    order.forEach((name, index) => {
+      parts[name] = match[index + 1];
+    });
+    const month = parts.monthName ? MONTHS[parts.monthName] : Number.parseInt(parts.month, 10);
+    if (parts.monthName && !month) continue;
+    const day = Number.parseInt(parts.day, 10);
+    const year = parts.year
+      ? Number.parseInt(parts.year, 10)
+      : (fallback.year ?? inferYear(month, day, referenceDate));
+    return toIsoDate(year, month, day);
+  }
+  return null;
+};
+
+// "du 17 au 23 octobre" borrows the month and year of the end date for the start date, and
+// "du 28 décembre au 3 janvier" starts the year before.
+const parseRange = (text, referenceDate) => {
+  const match = text.match(RANGE_REGEX);
+  if (!match) return null;
+  const end = parseDateText(match.groups.end, { referenceDate });
+  if (!end) return null;
+  const [endYear, endMonth] = end.split('-').map((part) => Number.parseInt(part, 10));
+  const startText = /^\d{1,2}(?:er)?$/.test(match.groups.start)
+    ? `${match.groups.start.replace(/er$/, '')}/${endMonth}/${endYear}`
+    : match.groups.start;
+  const start = parseDateText(startText, { referenceDate, fallback: { year: endYear } });
+  if (start && start > end) {
+    return {
+      start: parseDateText(startText, { referenceDate, fallback: { year: endYear - 1 } }),
+      end,
+    };
+  }
+  return { start, end };
+};
+
+const parsePromoDates = ({ validFrom, validUntil, texts = [], referenceDate = null }) => {
+  let start = parseDateText(validFrom, { referenceDate });
+  let end = parseDateText(validUntil, { referenceDate });
+  texts.map(foldText).forEach((text) => {
+    if (start && end) return;
+    const range = parseRange(text, referenceDate);
+    if (range) {
+      start = start ?? range.start;
+      end = end ?? range.end;
+      return;
+    }
+    const endMatch = text.match(END_REGEX);
+    if (endMatch && !end) end = parseDateText(endMatch[1], { referenceDate });
+    const startMatch = text.match(START_REGEX);
+    if (startMatch && !start) start = parseDateText(startMatch[1], { referenceDate });
+  });
+  return { promo_start: start ?? null, promo_end: end ?? null };
+};
+
+export { parseDateText, parsePromoDates };
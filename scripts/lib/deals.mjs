@@ -0,0 +1,108 @@
+import { isOutOfStock } from './availability.mjs';
+import { uniqueKeyForItem } from './utils.mjs';
+
+const PERCENT_OFF_WEIGHT = 0.7;
+const UNIT_VALUE_WEIGHT = 0.3;
+const MIN_UNIT_PEERS = 3;
+const TOP_DEALS_LIMIT = 10;
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const isActiveDeal = (item) =>
+  typeof item.price_sale === 'number' &&
+  typeof item.price_regular === 'number' &&
+  item.price_regular > 0 &&
+  !item.price_anomaly;
+
+const computeDiscount = (item) => {
+  if (!isActiveDeal(item)) return { savings: null, percent_off: null };
+  const savings = item.price_regular - item.price_sale;
+  return {
+    savings: round(savings, 2),
+    percent_off: round((savings / item.price_regular) * 100, 1),
+  };
+};
+
+// Peers share a normalized unit and a department, so flour is not ranked against olive oil.
+const peerGroupKey = (item) =>
+  item.normalized_unit && typeof item.normalized_price_sale === 'number'
+    ? `${item.normalized_unit}|${item.category_l1 ?? ''}`
+    : null;
+
+// 0 for the most expensive per kg / L / each within its group, 100 for the cheapest.
+const buildUnitValueRanks = (items) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = peerGroupKey(item);
+    if (!key || !isActiveDeal(item)) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  const ranks = new Map();
+  groups.forEach((group) => {
+    if (group.length < MIN_UNIT_PEERS) return;
+    const sorted = [...group].sort((a, b) => b.normalized_price_sale - a.normalized_price_sale);
+    sorted.forEach((item, index) => ranks.set(item, (index / (sorted.length - 1)) * 100));
+  });
+  return ranks;
+};
+
+// The deal score is the percent off, blended with how cheap the normalized sale price is among
+// comparable deals when there are enough of them.
+const scoreDeals = (items) => {
+  const discounted = items.map((item) => ({ ...item, ...computeDiscount(item) }));
+  const unitValueRanks = buildUnitValueRanks(discounted);
+  return discounted.map((item) => {
+    if (item.percent_off === null) return { ...item, deal_score: null };
+    const unitValue = unitValueRanks.get(item);
+    const score =
+      unitValue === undefined
+        ? item.percent_off
+        : item.percent_off * PERCENT_OFF_WEIGHT + unitValue * UNIT_VALUE_WEIGHT;
+    return { ...item, deal_score: round(Math.min(100, Math.max(0, score)), 1) };
+  });
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// Out-of-stock items keep their discount fields but are left out of the stats: a promo that
+// cannot be bought is not a deal to plan around.
+const summarizeDeals = (items) => {
+  const discounted = items.filter(
+    (item) => item.percent_off !== null && item.percent_off !== undefined
+  );
+  const deals = discounted.filter((item) => !isOutOfStock(item));
+  const percents = deals.map((item) => item.percent_off);
+  const average =
+    percents.length > 0
+      ? percents.reduce((sum, value) => sum + value, 0) / percents.length
+      : null;
+  return {
+    activeDeals: deals.length,
+    outOfStockDeals: discounted.length - deals.length,
+    flaggedPrices: items.filter((item) => item.price_anomaly).length,
+    totalSavings: round(deals.reduce((sum, item) => sum + item.savings, 0), 2),
+    averagePercentOff: average === null ? null : round(average, 1),
+    medianPercentOff: percents.length > 0 ? round(median(percents), 1) : null,
+    maxPercentOff: percents.length > 0 ? Math.max(...percents) : null,
+    topDeals: [...deals]
+      .sort((a, b) => b.deal_score - a.deal_score)
+      .slice(0, TOP_DEALS_LIMIT)
+      .map((item) => ({
+        key: uniqueKeyForItem(item),
+        name: item.name ?? null,
+        percent_off: item.percent_off,
+        deal_score: item.deal_score,
+      })),
+  };
+};
+
+export { isActiveDeal, scoreDeals, summarizeDeals };
@@ -0,0 +1,321 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { log } from './logger.mjs';
+import { slugify } from './utils.mjs';
+
+const RUNS_DIR = 'runs';
+const MANIFEST_FILE = 'manifest.json';
+const INDEX_FILE = 'index.html';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Files at the top of the debug directory that are not run artifacts and survive retention.
+const KEPT_ROOT_FILES = [INDEX_FILE, /-quality\.json$/, /-coverage\.json$/];
+
+const runDirFor = (debugDir, runId) => path.join(debugDir, RUNS_DIR, runId);
+
+// Run ids start with their UTC start time (see createRunId), which is what retention ages.
+const runIdTime = (runId) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/.exec(runId);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match;
+  return Date.parse(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+};
+
+const readManifest = async (runDir) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(runDir, MANIFEST_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const writeManifest = async (runDir, manifest) => {
+  await fs.mkdir(runDir, { recursive: true });
+  await fs.writeFile(
+    path.join(runDir, MANIFEST_FILE),
+    `${JSON.stringify(manifest, null, 2)}\n`,
+    'utf8'
+  );
+};
+
+const createManifest = ({ runId, adapter, mode }) => ({ runId, adapter, mode, artifacts: [] });
+
+// Nothing is written until the first artifact, so a clean run leaves no trace. Capturing must
+// never fail the run: a page that cannot be saved is logged and the entry keeps what was saved.
+const createDebugArtifacts = ({ debugDir, runId, adapter, mode }) => {
+  const runDir = runDirFor(debugDir, runId);
+  const manifest = createManifest({ runId, adapter, mode });
+  let pending = Promise.resolve();
+
+  const addEntry = (entry) => {
+    const id = String(manifest.artifacts.length + 1).padStart(3, '0');
+    const record = { id, createdAt: new Date().toISOString(), files: {}, ...entry };
+    manifest.artifacts.push(record);
+    return record;
+  };
+
+  const saveFile = async (record, key, fileName, write) => {
+    try {
+      await fs.mkdir(runDir, { recursive: true });
+      await write(path.join(runDir, fileName));
+      record.files[key] = fileName;
+    } catch (error) {
+      log.warn('debug.capture-failed', {
+        runId,
+        kind: record.kind,
+        file: fileName,
+        error: error?.message,
+      });
+    }
+  };
+
+  const persist = () => {
+    pending = pending.then(() => writeManifest(runDir, manifest));
+    return pending;
+  };
+
+  const baseName = (record) =>
+    [
+      record.id,
+      record.kind,
+      record.query ? slugify(record.query) : null,
+      record.page ? `p${record.page}` : null,
+    ]
+      .filter(Boolean)
+      .join('-');
+
+  // kind names the failure (zero-items, pagination-failed, ...); details is free-form context.
+  const capture = async (page, { kind, query = null, page: pageNumber = null, details = {} }) => {
+    let url = null;
+    let title = null;
+    let html = null;
+    try {
+      url = page.url();
+      title = await page.title();
+      html = await page.content();
+    } catch (error) {
+      log.warn('debug.capture-failed', { runId, kind, error: error?.message });
+    }
+    const record = addEntry({ kind, query, page: pageNumber, url, title, details });
+    const name = baseName(record);
+    if (html !== null) {
+      await saveFile(record, 'html', `${name}.html`, (target) =>
+        fs.writeFile(target, html, 'utf8')
+      );
+    }
+    await saveFile(record, 'screenshot', `${name}.png`, (target) =>
+      page.screenshot({ path: target, fullPage: true })
+    );
+    await persist();
+    return record;
+  };
+
+  // For failures with no page worth saving; the message is kept in the manifest.
+  const note = async ({
+    kind,
+    query = null,
+    page: pageNumber = null,
+    url = null,
+    message,
+    details = {},
+  }) => {
+    const record = addEntry({ kind, query, page: pageNumber, url, title: null, message, details });
+    await persist();
+    return record;
+  };
+
+  const finalize = async (retention) => {
+    await pending;
+    const removed = await applyRetention(debugDir, { ...retention, keepRunId: runId });
+    await writeDebugIndex(debugDir);
+    return { runDir, artifacts: manifest.artifacts.length, removed };
+  };
+
+  return { runDir, manifest, capture, note, finalize };
+};
+
+// Adds the error to the run's manifest (creating it when the run captured nothing else) so a
+// crash shows up in the index next to the pages that led to it.
+const recordFatalError = async (debugDir, { runId, adapter, mode, error }) => {
+  const runDir = runDirFor(debugDir, runId);
+  const manifest = (await readManifest(runDir)) ?? createManifest({ runId, adapter, mode });
+  const id = String(manifest.artifacts.length + 1).padStart(3, '0');
+  const fileName = `${id}-fatal.txt`;
+  await fs.mkdir(runDir, { recursive: true });
+  await fs.writeFile(
+    path.join(runDir, fileName),
+    error?.stack || String(error?.message ?? error),
+    'utf8'
+  );
+  manifest.artifacts.push({
+    id,
+    createdAt: new Date().toISOString(),
+    kind: 'fatal',
+    query: null,
+    page: null,
+    url: null,
+    title: null,
+    message: error?.message ?? String(error),
+    details: { name: error?.name ?? null, exitCode: error?.exitCode ?? null },
+    files: { text: fileName },
+  });
+  await writeManifest(runDir, manifest);
+  await writeDebugIndex(debugDir);
+};
+
+const listRunIds = async (debugDir) => {
+  try {
+    const entries = await fs.readdir(path.join(debugDir, RUNS_DIR), { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort()
+      .reverse();
+  } catch {
+    return [];
+  }
+};
+
+// Keeps the newest `maxRuns` run directories that are younger than `retentionDays`. Loose files
+// at the top of the debug directory come from the naming schemes used before run directories and
+// are always removed.
+const applyRetention = async (
+  debugDir,
+  { retentionDays, maxRuns, now = Date.now(), keepRunId = null }
+) => {
+  const removed = [];
+  const runIds = await listRunIds(debugDir);
+  for (const [index, runId] of runIds.entries()) {
+    if (runId === keepRunId) continue;
+    const startedAt = runIdTime(runId);
+    const expired = startedAt === null || now - startedAt > retentionDays * DAY_MS;
+    if (!expired && index < maxRuns) continue;
+    await fs.rm(runDirFor(debugDir, runId), { recursive: true, force: true });
+    removed.push(`${RUNS_DIR}/${runId}`);
+  }
+
+  let rootEntries = [];
+  try {
+    rootEntries = await fs.readdir(debugDir, { withFileTypes: true });
+  } catch {
+    return removed;
+  }
+  for (const entry of rootEntries) {
+    if (!entry.isFile()) continue;
+    const kept = KEPT_ROOT_FILES.some((rule) =>
+      typeof rule === 'string' ? rule === entry.name : rule.test(entry.name)
+    );
+    if (kept) continue;
+    await fs.rm(path.join(debugDir, entry.name), { force: true });
+    removed.push(entry.name);
+  }
+  if (removed.length > 0) {
+    log.info('debug.retention', { removed: removed.length, retentionDays, maxRuns });
+  }
+  return removed;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const renderArtifact = (runId, artifact) => {
+  const href = (fileName) =>
+    `${RUNS_DIR}/${encodeURIComponent(runId)}/${encodeURIComponent(fileName)}`;
+  const { html, screenshot, text } = artifact.files ?? {};
+  const where = [artifact.query, artifact.page ? `page ${artifact.page}` : null]
+    .filter(Boolean)
+    .join(' · ');
+  const links = [
+    artifact.url
+      ? `<a href="${escapeHtml(artifact.url)}">${escapeHtml(artifact.title || artifact.url)}</a>`
+      : null,
+    html ? `<a href="${href(html)}">HTML</a>` : null,
+    text ? `<a href="${href(text)}">texte</a>` : null,
+  ].filter(Boolean);
+  return [
+    '      <article class="artifact">',
+    `        <header><span class="kind">${escapeHtml(artifact.kind)}</span> ${escapeHtml(where)}</header>`,
+    screenshot
+      ? `        <a href="${href(screenshot)}"><img src="${href(screenshot)}" alt="" loading="lazy"></a>`
+      : null,
+    artifact.message ? `        <p class="message">${escapeHtml(artifact.message)}</p>` : null,
+    links.length > 0 ? `        <p>${links.join(' · ')}</p>` : null,
+    '        <details><summary>Détails</summary>',
+    `          <pre>${escapeHtml(JSON.stringify(artifact.details ?? {}, null, 2))}</pre>`,
+    '        </details>',
+    '      </article>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+const renderRun = (manifest) =>
+  [
+    '    <section>',
+    `      <h2>${escapeHtml(manifest.runId)} <small>${escapeHtml(manifest.adapter)} ` +
+      `${escapeHtml(manifest.mode)} · ${manifest.artifacts.length} artefact(s)</small></h2>`,
+    '      <div class="grid">',
+    ...manifest.artifacts.map((artifact) => renderArtifact(manifest.runId, artifact)),
+    '      </div>',
+    '    </section>',
+  ].join('\n');
+
+const INDEX_STYLE = `
+      body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #1f2933; }
+      h2 small { font-weight: normal; color: #616e7c; }
+      .grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+        gap: 1rem;
+      }
+      .artifact { border: 1px solid #cbd2d9; border-radius: 6px; padding: 0.75rem; }
+      .artifact img { width: 100%; max-height: 360px; object-fit: cover; object-position: top; }
+      .kind { font-weight: 600; background: #fde8e8; border-radius: 4px; padding: 0 0.4rem; }
+      .message { color: #9b1c1c; }
+      pre { white-space: pre-wrap; font-size: 0.8rem; }`;
+
+const renderDebugIndex = (manifests) => {
+  const body =
+    manifests.length > 0
+      ? manifests.map(renderRun).join('\n')
+      : '    <p>Aucun artefact conservé.</p>';
+  return `<!doctype html>
+<html lang="fr">
+  <head>
+    <meta charset="utf-8">
+    <title>Artefacts de débogage</title>
+    <style>${INDEX_STYLE}
+    </style>
+  </head>
+  <body>
+    <h1>Artefacts de débogage</h1>
+${body}
+  </body>
+</html>
+`;
+};
+
+// Newest run first. The page only depends on the manifests, so an unchanged set of runs leaves
+// the file untouched in git.
+const writeDebugIndex = async (debugDir) => {
+  const manifests = [];
+  for (const runId of await listRunIds(debugDir)) {
+    const manifest = await readManifest(runDirFor(debugDir, runId));
+    if (manifest) manifests.push(manifest);
+  }
+  await fs.mkdir(debugDir, { recursive: true });
+  await fs.writeFile(path.join(debugDir, INDEX_FILE), renderDebugIndex(manifests), 'utf8');
+};
+
+export {
+  applyRetention,
+  createDebugArtifacts,
+  recordFatalError,
+  renderDebugIndex,
+  runIdTime,
+  writeDebugIndex,
+};
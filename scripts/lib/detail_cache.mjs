@@ -0,0 +1,89 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { log } from './logger.mjs';
+
+const DETAIL_CACHE_VERSION = 1;
+const HOUR_MS = 60 * 60 * 1000;
+
+const createEmptyDetailCache = () => ({ version: DETAIL_CACHE_VERSION, entries: {} });
+
+const readDetailCache = async (targetPath) => {
+  try {
+    const parsed = JSON.parse(await fs.readFile(targetPath, 'utf8'));
+    if (parsed?.version === DETAIL_CACHE_VERSION && typeof parsed.entries === 'object') {
+      return { version: DETAIL_CACHE_VERSION, entries: parsed.entries ?? {} };
+    }
+  } catch {
+    // ignore
+  }
+  return createEmptyDetailCache();
+};
+
+// The listing fields a product page would be re-read for: if any of them moved, the cached page
+// is stale even when it has not expired.
+const listingFingerprint = (item) =>
+  createHash('sha1')
+    .update(
+      JSON.stringify([
+        item.price_sale ?? null,
+        item.price_regular ?? null,
+        item.name ?? null,
+        item.image ?? null,
+      ])
+    )
+    .digest('hex')
+    .slice(0, 16);
+
+const isFresh = (entry, { now, ttlHours }) =>
+  Boolean(entry) && now - Date.parse(entry.fetchedAt) < ttlHours * HOUR_MS;
+
+const lookupDetails = (cache, key, fingerprint, { now = Date.now(), ttlHours }) => {
+  const entry = key ? cache.entries[key] : null;
+  if (!entry || entry.fingerprint !== fingerprint) return null;
+  return isFresh(entry, { now, ttlHours }) ? entry.details : null;
+};
+
+const storeDetails = (cache, key, fingerprint, details, fetchedAt = new Date().toISOString()) => {
+  if (!key) return;
+  cache.entries[key] = { fetchedAt, fingerprint, details };
+};
+
+// Expired entries are dropped on write so the file only grows with the catalogue.
+const writeDetailCache = async (targetPath, cache, { now = Date.now(), ttlHours }) => {
+  const entries = Object.fromEntries(
+    Object.entries(cache.entries).filter(([, entry]) => isFresh(entry, { now, ttlHours }))
+  );
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  await fs.writeFile(
+    targetPath,
+    `${JSON.stringify({ version: DETAIL_CACHE_VERSION, entries })}\n`,
+    'utf8'
+  );
+};
+
+// Saved with each checkpointed batch of pages, so a crash keeps what was fetched. Writes are
+// chained like checkpoint saves; one that fails is logged and the next one tries again.
+const createDetailCacheStore = (targetPath, state, { ttlHours }) => {
+  let pending = Promise.resolve();
+  const save = () => {
+    pending = pending
+      .then(() => writeDetailCache(targetPath, state, { ttlHours }))
+      .catch((error) => {
+        log.warn('cache.save-failed', { path: targetPath, error: error?.message });
+      });
+    return pending;
+  };
+  return { path: targetPath, state, save };
+};
+
+export {
+  createDetailCacheStore,
+  createEmptyDetailCache,
+  listingFingerprint,
+  lookupDetails,
+  readDetailCache,
+  storeDetails,
+  writeDetailCache,
+};
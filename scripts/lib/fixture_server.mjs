@@ -0,0 +1,120 @@
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+
+const ROUTES_FILE = 'routes.json';
+const FIXTURE_ORIGIN = 'http://fixture.local';
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+};
+const NOT_FOUND_HTML =
+  '<!DOCTYPE html><html lang="fr"><head><title>Page introuvable</title></head><body><h1>404</h1></body></html>';
+
+const routeKey = (url) => {
+  const params = [...url.searchParams].sort(([a], [b]) => a.localeCompare(b));
+  const search = new URLSearchParams(params).toString();
+  return search ? `${url.pathname}?${search}` : url.pathname;
+};
+
+const loadRoutes = async (rootDir) => {
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(rootDir, ROUTES_FILE), 'utf8');
+  } catch {
+    return null;
+  }
+  const routes = new Map();
+  Object.entries(JSON.parse(raw)).forEach(([route, file]) => {
+    routes.set(routeKey(new URL(route, FIXTURE_ORIGIN)), file);
+  });
+  return routes;
+};
+
+// A malformed escape (`/%E0%A4%A`) cannot name a capture.
+const decodePathname = (pathname) => {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+};
+
+const isFile = async (candidate) => {
+  try {
+    return (await fs.stat(candidate)).isFile();
+  } catch {
+    return false;
+  }
+};
+
+// With a routes.json manifest, requests are matched on path + sorted query string, then on the
+// path alone. Without one, the directory is served as-is so any saved capture can be replayed.
+const resolveFixturePath = async (rootDir, routes, url) => {
+  const root = path.resolve(rootDir);
+  if (routes) {
+    const file = routes.get(routeKey(url)) ?? routes.get(url.pathname);
+    return file ? path.join(root, file) : null;
+  }
+  const pathname = decodePathname(url.pathname);
+  if (pathname === null) return null;
+  const candidate = path.resolve(root, `.${pathname}`);
+  if (candidate !== root && !candidate.startsWith(`${root}${path.sep}`)) return null;
+  for (const option of [candidate, `${candidate}.html`, path.join(candidate, 'index.html')]) {
+    if (await isFile(option)) return option;
+  }
+  return null;
+};
+
+const startFixtureServer = async ({ rootDir, host = '127.0.0.1', port = 0 }) => {
+  const routes = await loadRoutes(rootDir);
+  const requests = [];
+
+  const serve = async (req, res) => {
+    const url = new URL(req.url, FIXTURE_ORIGIN);
+    const filePath = await resolveFixturePath(rootDir, routes, url);
+    const body = filePath ? await fs.readFile(filePath).catch(() => null) : null;
+    requests.push({ method: req.method, path: routeKey(url), status: body ? 200 : 404 });
+    if (!body) {
+      res.writeHead(404, { 'content-type': CONTENT_TYPES['.html'] });
+      res.end(NOT_FOUND_HTML);
+      return;
+    }
+    res.writeHead(200, {
+      'content-type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] ?? 'application/octet-stream',
+    });
+    res.end(body);
+  };
+
+  // One bad request must not take the replay down with it.
+  const server = http.createServer((req, res) => {
+    serve(req, res).catch((error) => {
+      requests.push({ method: req.method, path: req.url, status: 500, error: error?.message });
+      if (!res.headersSent) res.writeHead(500, { 'content-type': CONTENT_TYPES['.txt'] });
+      res.end();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+
+  return {
+    origin: `http://${host}:${address.port}`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      }),
+  };
+};
+
+export { startFixtureServer };
@@ -0,0 +1,64 @@
+import fs from 'node:fs/promises';
+
+const HISTORY_VERSION = 1;
+
+const createEmptyHistory = () => ({ version: HISTORY_VERSION, runs: [], items: {} });
+
+// Only a missing file starts an empty history. A file that cannot be read or parsed throws: the
+// run would otherwise overwrite every recorded observation with its own.
+const readHistory = async (targetPath) => {
+  let raw;
+  try {
+    raw = await fs.readFile(targetPath, 'utf8');
+  } catch (error) {
+    if (error?.code === 'ENOENT') return createEmptyHistory();
+    throw new Error(`Cannot read ${targetPath}: ${error?.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${targetPath} is not valid JSON (${error.message}); fix or move it aside.`);
+  }
+  if (!parsed || typeof parsed.items !== 'object' || parsed.items === null) {
+    throw new Error(`${targetPath} has no items object; fix or move it aside.`);
+  }
+  return {
+    version: parsed.version ?? HISTORY_VERSION,
+    runs: Array.isArray(parsed.runs) ? parsed.runs : [],
+    items: parsed.items,
+  };
+};
+
+const toObservation = (item, runAt) => ({
+  run_at: runAt,
+  price_sale: item.price_sale ?? null,
+  price_regular: item.price_regular ?? null,
+  unit_label: item.unit_label ?? null,
+});
+
+// Existing observations are never rewritten: a run only ever appends one entry per key, and
+// replaying the same run timestamp is a no-op so a retried publish cannot double-count.
+const appendObservations = (history, items, { runAt, keyForItem }) => {
+  if (history.runs.includes(runAt)) return history;
+  const nextItems = { ...history.items };
+  items.forEach((item) => {
+    const key = keyForItem(item);
+    if (!key) return;
+    const entry = nextItems[key] ?? { name: null, url: null, observations: [] };
+    const observations = entry.observations ?? [];
+    if (observations.at(-1)?.run_at === runAt) return;
+    nextItems[key] = {
+      name: item.name || entry.name || null,
+      url: item.url || entry.url || null,
+      observations: [...observations, toObservation(item, runAt)],
+    };
+  });
+  return {
+    version: HISTORY_VERSION,
+    runs: [...history.runs, runAt],
+    items: nextItems,
+  };
+};
+
+export { appendObservations, createEmptyHistory, readHistory };
@@ -0,0 +1,122 @@
+import { randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Sortable and unique enough to tell daily runs apart, e.g. 20261019T031500Z-3f9a1c.
+const createRunId = (date = new Date()) =>
+  `${date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}-${randomBytes(3).toString('hex')}`;
+
+const formatValue = (value) => {
+  if (typeof value === 'string') {
+    return value === '' || /[\s="]/.test(value) ? JSON.stringify(value) : value;
+  }
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Terminal form: "03:15:02.481 INFO  listing.page adapter=mayrand query=onsale page=2 ...".
+const formatLine = ({ time, level, event, runId: _runId, ...fields }) =>
+  [
+    time.slice(11, 23),
+    level.toUpperCase().padEnd(5),
+    event,
+    ...Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${formatValue(value)}`),
+  ].join(' ');
+
+const writeToTerminal = (line, level) => {
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+// mkdirSync with { recursive: true } never returns where mkdir answers ENOENT for a path whose
+// parent exists (under /proc), so missing directories are created one at a time.
+const ensureDirSync = (dir) => {
+  const missing = [];
+  let current = path.resolve(dir);
+  while (!fs.existsSync(current) && path.dirname(current) !== current) {
+    missing.unshift(current);
+    current = path.dirname(current);
+  }
+  missing.forEach((entry) => fs.mkdirSync(entry));
+};
+
+// Opened up front, so an unwritable path throws before the run starts.
+const openLogFile = (filePath) => {
+  ensureDirSync(path.dirname(filePath));
+  return fs.createWriteStream(filePath, { fd: fs.openSync(filePath, 'a') });
+};
+
+// `level` filters the terminal only; the NDJSON file receives every event, debug included, so it
+// can be aggregated later without re-running at a lower level.
+const createLogger = ({
+  level = 'info',
+  runId = createRunId(),
+  filePath = null,
+  write = writeToTerminal,
+} = {}) => {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) throw new Error(`Unknown log level: ${level}`);
+  let fileStream = null;
+  if (filePath) {
+    fileStream = openLogFile(filePath);
+    // a write that fails later is reported on the terminal and the file dropped
+    fileStream.on('error', (error) => {
+      fileStream = null;
+      const entry = { time: new Date().toISOString(), level: 'error', runId, event: 'log.file-failed' };
+      write(formatLine({ ...entry, file: filePath, error: error.message }), 'error');
+    });
+  }
+
+  const emit = (entryLevel, event, fields = {}) => {
+    const entry = { time: new Date().toISOString(), level: entryLevel, runId, event, ...fields };
+    if (LOG_LEVELS.indexOf(entryLevel) >= threshold) write(formatLine(entry), entryLevel);
+    fileStream?.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    runId,
+    debug: (event, fields) => emit('debug', event, fields),
+    info: (event, fields) => emit('info', event, fields),
+    warn: (event, fields) => emit('warn', event, fields),
+    error: (event, fields) => emit('error', event, fields),
+    close: () =>
+      new Promise((resolve) => {
+        if (fileStream) fileStream.end(resolve);
+        else resolve();
+      }),
+  };
+};
+
+// Modules log through `log`; the entry point swaps in the configured logger for the run.
+let activeLogger = createLogger();
+
+const configureLogger = (settings) => {
+  activeLogger = createLogger(settings);
+  return activeLogger;
+};
+
+const closeLogger = () => activeLogger.close();
+
+const log = {
+  get runId() {
+    return activeLogger.runId;
+  },
+  debug: (event, fields) => activeLogger.debug(event, fields),
+  info: (event, fields) => activeLogger.info(event, fields),
+  warn: (event, fields) => activeLogger.warn(event, fields),
+  error: (event, fields) => activeLogger.error(event, fields),
+};
+
+export {
+  closeLogger,
+  configureLogger,
+  createLogger,
+  createRunId,
+  formatLine,
+  log,
+  LOG_LEVELS,
+};
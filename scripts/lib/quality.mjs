@@ -0,0 +1,151 @@
+import { ITEM_SCHEMA, METADATA_SCHEMA, validateRecord } from './schema.mjs';
+import { uniqueKeyForItem } from './utils.mjs';
+
+const QUALITY_GATE_EXIT_CODE = 3;
+const ISSUE_SAMPLE_LIMIT = 50;
+
+const DEFAULT_THRESHOLDS = {
+  maxItemDropRatio: 0.5,
+  maxMissingPriceRatio: 0.2,
+  maxMissingNameRatio: 0.1,
+  maxPriceAnomalyRatio: 0.05,
+};
+
+class QualityGateError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'QualityGateError';
+    this.report = report;
+    this.exitCode = QUALITY_GATE_EXIT_CODE;
+  }
+}
+
+const ratio = (count, total) => (total > 0 ? count / total : 0);
+
+const findDuplicateSkuIssues = (items) => {
+  const seen = new Map();
+  const issues = [];
+  items.forEach((item, index) => {
+    if (!item?.sku) return;
+    if (seen.has(item.sku)) {
+      issues.push({
+        index,
+        key: item.sku,
+        field: 'sku',
+        rule: 'unique',
+        message: `sku ${item.sku} already used by item ${seen.get(item.sku)}`,
+      });
+      return;
+    }
+    seen.set(item.sku, index);
+  });
+  return issues;
+};
+
+const hasPrice = (item) =>
+  typeof item.price_sale === 'number' || typeof item.price_regular === 'number';
+
+const hasName = (item, fallbackName) =>
+  typeof item.name === 'string' && item.name.trim() !== '' && item.name !== fallbackName;
+
+const isPriceInverted = (item) =>
+  typeof item.price_sale === 'number' &&
+  typeof item.price_regular === 'number' &&
+  item.price_sale >= item.price_regular;
+
+const thresholdCheck = (name, value, limit, message) => ({
+  name,
+  passed: value <= limit,
+  value: Math.round(value * 10000) / 10000,
+  limit,
+  message,
+});
+
+// Schema problems (missing or mistyped fields, bad URLs, duplicate SKUs) always fail the gate;
+// missing prices or names, inverted price pairs and a shrinking item count fail it past their
+// thresholds.
+const runQualityGate = (
+  items,
+  metadata,
+  { previousCount = 0, thresholds = {}, fallbackName = null } = {}
+) => {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const itemIssues = [
+    ...items.flatMap((item, index) =>
+      validateRecord(item, ITEM_SCHEMA).map((issue) => ({
+        index,
+        key: item ? uniqueKeyForItem(item) : null,
+        ...issue,
+      }))
+    ),
+    ...findDuplicateSkuIssues(items),
+  ];
+  const metadataIssues = validateRecord(metadata, METADATA_SCHEMA);
+
+  const total = items.length;
+  const missingPrice = items.filter((item) => !hasPrice(item)).length;
+  const missingName = items.filter((item) => !hasName(item, fallbackName)).length;
+  const inverted = items.filter(isPriceInverted).length;
+  const drop = previousCount > 0 ? Math.max(0, (previousCount - total) / previousCount) : 0;
+
+  const checks = [
+    {
+      name: 'itemSchema',
+      passed: itemIssues.length === 0,
+      value: itemIssues.length,
+      limit: 0,
+      message: `${itemIssues.length} item field issue(s)`,
+    },
+    {
+      name: 'metadataSchema',
+      passed: metadataIssues.length === 0,
+      value: metadataIssues.length,
+      limit: 0,
+      message: `${metadataIssues.length} metadata field issue(s)`,
+    },
+    thresholdCheck(
+      'itemDrop',
+      drop,
+      limits.maxItemDropRatio,
+      `${total} item(s), previous run had ${previousCount}`
+    ),
+    thresholdCheck(
+      'missingPrice',
+      ratio(missingPrice, total),
+      limits.maxMissingPriceRatio,
+      `${missingPrice} item(s) without any price`
+    ),
+    thresholdCheck(
+      'missingName',
+      ratio(missingName, total),
+      limits.maxMissingNameRatio,
+      `${missingName} item(s) without a real name`
+    ),
+    thresholdCheck(
+      'priceAnomaly',
+      ratio(inverted, total),
+      limits.maxPriceAnomalyRatio,
+      `${inverted} item(s) with a sale price not below the regular price`
+    ),
+  ];
+
+  const byRule = {};
+  itemIssues.forEach((issue) => {
+    byRule[issue.rule] = (byRule[issue.rule] ?? 0) + 1;
+  });
+
+  return {
+    passed: checks.every((check) => check.passed),
+    thresholds: limits,
+    counts: { items: total, previousItems: previousCount },
+    checks,
+    itemIssues: {
+      total: itemIssues.length,
+      byRule,
+      samples: itemIssues.slice(0, ISSUE_SAMPLE_LIMIT),
+    },
+    metadataIssues,
+  };
+};
+
+export { DEFAULT_THRESHOLDS, QUALITY_GATE_EXIT_CODE, QualityGateError, runQualityGate };
@@ -0,0 +1,121 @@
+// Playwright resource types that can be blocked; documents, scripts the page needs and XHR are
+// what the scraper reads, so only the types below are accepted in --block-resource-types.
+const BLOCKABLE_RESOURCE_TYPES = ['image', 'media', 'font', 'stylesheet', 'texttrack', 'manifest'];
+const DEFAULT_BLOCKED_RESOURCE_TYPES = ['image', 'media', 'font'];
+// Analytics, advertising and tag managers: nothing a retailer page needs to show its products.
+const TRACKER_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googleadservices.com',
+  'doubleclick.net',
+  'facebook.net',
+  'hotjar.com',
+  'clarity.ms',
+  'bat.bing.com',
+  'licdn.com',
+];
+// Rough transfer sizes used for a blocked type the run never loaded (images are all blocked).
+const TYPICAL_BYTES = {
+  image: 40000,
+  media: 500000,
+  font: 30000,
+  stylesheet: 20000,
+  script: 25000,
+  texttrack: 5000,
+  manifest: 2000,
+  other: 5000,
+};
+
+const matchesHost = (hostname, hosts) =>
+  hosts.find((host) => hostname === host || hostname.endsWith(`.${host}`)) ?? null;
+
+// Returns what the request is blocked for ('type:image', 'host:doubleclick.net') or null.
+const blockReason = (url, resourceType, { resourceTypes, hosts }) => {
+  if (resourceType === 'document') return null;
+  if (resourceTypes.includes(resourceType)) return `type:${resourceType}`;
+  let hostname = null;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  const host = matchesHost(hostname, hosts);
+  return host ? `host:${host}` : null;
+};
+
+const increment = (counts, key) => {
+  counts[key] = (counts[key] ?? 0) + 1;
+};
+
+// Blocks on the browser context, so listing, product and translation pages all go through it.
+// With `enabled` false nothing is blocked but the loaded bytes are still counted, which gives the
+// figure to compare against.
+const installResourceBlocking = async (context, { enabled, resourceTypes, hosts }) => {
+  const loaded = { requests: 0, bytes: 0, byType: {} };
+  const blocked = { requests: 0, byType: {}, byReason: {} };
+  let pending = Promise.resolve();
+
+  if (enabled) {
+    await context.route('**/*', (route) => {
+      const request = route.request();
+      const reason = blockReason(request.url(), request.resourceType(), { resourceTypes, hosts });
+      if (!reason) return route.fallback();
+      blocked.requests += 1;
+      increment(blocked.byType, request.resourceType());
+      increment(blocked.byReason, reason);
+      return route.abort('blockedbyclient');
+    });
+  }
+
+  context.on('requestfinished', (request) => {
+    pending = pending.then(async () => {
+      try {
+        const sizes = await request.sizes();
+        const bytes = sizes.responseHeadersSize + sizes.responseBodySize;
+        const type = request.resourceType();
+        const entry = loaded.byType[type] ?? { requests: 0, bytes: 0 };
+        loaded.byType[type] = { requests: entry.requests + 1, bytes: entry.bytes + bytes };
+        loaded.requests += 1;
+        loaded.bytes += bytes;
+      } catch {
+        // the page was closed before the sizes were read
+      }
+    });
+  });
+
+  const summary = async () => {
+    await pending;
+    return summarizeResources({ enabled, resourceTypes, loaded, blocked });
+  };
+  return { summary };
+};
+
+// Bytes saved are an estimate: a blocked request is never sent, so it is counted at the average
+// size of the same type loaded during the run, or at a typical size when none was.
+const summarizeResources = ({ enabled, resourceTypes, loaded, blocked }) => {
+  const bytesSavedEstimate = Object.entries(blocked.byType).reduce((total, [type, count]) => {
+    const seen = loaded.byType[type];
+    const average =
+      seen?.requests > 0 ? seen.bytes / seen.requests : TYPICAL_BYTES[type] ?? TYPICAL_BYTES.other;
+    return total + Math.round(count * average);
+  }, 0);
+  return {
+    blocking: enabled,
+    blockedResourceTypes: enabled ? resourceTypes : [],
+    requestsLoaded: loaded.requests,
+    bytesLoaded: loaded.bytes,
+    requestsBlocked: blocked.requests,
+    bytesSavedEstimate,
+    blockedByType: blocked.byType,
+    blockedByReason: blocked.byReason,
+  };
+};
+
+export {
+  BLOCKABLE_RESOURCE_TYPES,
+  blockReason,
+  DEFAULT_BLOCKED_RESOURCE_TYPES,
+  installResourceBlocking,
+  summarizeResources,
+  TRACKER_HOSTS,
+};
@@ -0,0 +1,134 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Product token looked up in robots.txt groups; sites without a group for it get the `*` rules.
+const ROBOTS_USER_AGENT = 'mayrand-scraper';
+const ALLOW_ALL = { status: 'missing', origin: null, rules: [], crawlDelaySeconds: null };
+
+// Groups as written: consecutive user-agent lines share the rules that follow them.
+const parseRobotsTxt = (text) => {
+  const groups = [];
+  let current = null;
+  let readingAgents = false;
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    if (field === 'user-agent') {
+      if (!current || !readingAgents) {
+        current = { agents: [], rules: [], crawlDelaySeconds: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      readingAgents = true;
+      return;
+    }
+    readingAgents = false;
+    if (!current) return;
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelaySeconds = seconds;
+    }
+  });
+  return groups;
+};
+
+// The groups naming our product token win over `*`; all matching groups are merged.
+const robotsRulesFor = (text, userAgent = ROBOTS_USER_AGENT) => {
+  const groups = parseRobotsTxt(text);
+  const token = userAgent.toLowerCase();
+  const specific = groups.filter((group) =>
+    group.agents.some((agent) => agent !== '*' && token.startsWith(agent))
+  );
+  const chosen =
+    specific.length > 0 ? specific : groups.filter((group) => group.agents.includes('*'));
+  const delays = chosen
+    .map((group) => group.crawlDelaySeconds)
+    .filter((seconds) => seconds !== null);
+  return {
+    rules: chosen.flatMap((group) => group.rules),
+    crawlDelaySeconds: delays.length > 0 ? Math.max(...delays) : null,
+  };
+};
+
+const patternMatches = (pattern, target) => {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(target);
+};
+
+// Longest matching rule wins and Allow wins a tie, as in RFC 9309.
+const isAllowed = (robots, url) => {
+  const { pathname, search } = new URL(url);
+  if (pathname === '/robots.txt') return true;
+  const target = `${pathname}${search}`;
+  let best = null;
+  robots.rules.forEach((rule) => {
+    if (!patternMatches(rule.path, target)) return;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  });
+  return best ? best.allow : true;
+};
+
+const readCachedRobots = async (cacheFile, origin) => {
+  try {
+    const cached = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+    return cached?.origin === origin && typeof cached.text === 'string' ? cached : null;
+  } catch {
+    return null;
+  }
+};
+
+// A missing robots.txt (4xx) allows everything. When it cannot be read (5xx, network error) the
+// last copy that could be is used, and without one everything is disallowed.
+const loadRobots = async (
+  origin,
+  { cacheFile, timeoutMs, headers = {}, userAgent = ROBOTS_USER_AGENT }
+) => {
+  let response = null;
+  try {
+    response = await fetch(new URL('/robots.txt', origin), {
+      headers,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch {
+    response = null;
+  }
+
+  if (response?.ok) {
+    const text = await response.text();
+    await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+    await fs.writeFile(
+      cacheFile,
+      `${JSON.stringify({ origin, fetchedAt: new Date().toISOString(), text })}\n`,
+      'utf8'
+    );
+    return { status: 'fetched', origin, ...robotsRulesFor(text, userAgent) };
+  }
+  if (response && response.status >= 400 && response.status < 500) {
+    return { ...ALLOW_ALL, origin };
+  }
+  const cached = await readCachedRobots(cacheFile, origin);
+  if (cached) return { status: 'cached', origin, ...robotsRulesFor(cached.text, userAgent) };
+  return {
+    status: 'unreachable',
+    origin,
+    rules: [{ allow: false, path: '/' }],
+    crawlDelaySeconds: null,
+  };
+};
+
+export { ALLOW_ALL, isAllowed, loadRobots, parseRobotsTxt, ROBOTS_USER_AGENT, robotsRulesFor };
@@ -0,0 +1,145 @@
+import { log } from './logger.mjs';
+import { ALLOW_ALL, isAllowed } from './robots.mjs';
+import { sleep } from './utils.mjs';
+
+const MINUTE_MS = 60 * 1000;
+const INITIAL_BACKOFF_MS = 5000;
+const THROTTLE_STATUSES = [429, 503];
+// Normal page responses in a row needed to halve the backoff.
+const DECAY_AFTER_SUCCESSES = 3;
+// Browser requests that stand for a page or its search results; assets do not count.
+const OBSERVED_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+
+// Retry-After is either a number of seconds or an HTTP date.
+const parseRetryAfter = (value, now) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+};
+
+// One scheduler is shared by the listing page, the search endpoint and every product page
+// worker. acquire() hands out request slots at most maxRequestsPerMinute apart (or the robots.txt
+// crawl-delay when it is longer), plus the current backoff; report() feeds it the outcome of
+// each request. A 429, a 503, a failed request or a response slower than slowResponseMs doubles
+// the backoff, up to maxBackoffMs. Only pages (documents and search endpoint pages, not the XHRs a
+// page fires) bring it down: every DECAY_AFTER_SUCCESSES normal ones in a row halve it.
+const createScheduler = ({
+  robots = ALLOW_ALL,
+  maxRequestsPerMinute,
+  slowResponseMs,
+  maxBackoffMs,
+  now = Date.now,
+  wait = sleep,
+}) => {
+  const intervalMs = Math.max(
+    Math.ceil(MINUTE_MS / maxRequestsPerMinute),
+    (robots.crawlDelaySeconds ?? 0) * 1000
+  );
+  let nextAt = 0;
+  let backoffMs = 0;
+  let successStreak = 0;
+  const stats = {
+    requests: 0,
+    disallowed: 0,
+    throttled: {},
+    slowResponses: 0,
+    failures: 0,
+    backoffs: 0,
+    maxBackoffMs: 0,
+    waitedMs: 0,
+  };
+
+  // Resolves to false, without waiting, for a URL robots.txt disallows.
+  const acquire = async (url) => {
+    if (!isAllowed(robots, url)) {
+      stats.disallowed += 1;
+      log.warn('politeness.disallowed', { url });
+      return false;
+    }
+    const current = now();
+    const startAt = Math.max(current, nextAt);
+    nextAt = startAt + intervalMs + backoffMs;
+    stats.requests += 1;
+    stats.waitedMs += startAt - current;
+    if (startAt > current) await wait(startAt - current);
+    return true;
+  };
+
+  // page is false for the XHR and fetch requests a page makes; failed for a request that got no
+  // response (network error, timeout).
+  const report = ({
+    url,
+    status = null,
+    durationMs = null,
+    retryAfter = null,
+    page = true,
+    failed = false,
+  }) => {
+    const throttled = THROTTLE_STATUSES.includes(status);
+    const slow = durationMs !== null && durationMs > slowResponseMs;
+    if (!throttled && !slow && !failed) {
+      if (!page || backoffMs === 0) return;
+      successStreak += 1;
+      if (successStreak >= DECAY_AFTER_SUCCESSES) {
+        successStreak = 0;
+        backoffMs = backoffMs / 2 < INITIAL_BACKOFF_MS ? 0 : backoffMs / 2;
+      }
+      return;
+    }
+    successStreak = 0;
+    if (throttled) stats.throttled[status] = (stats.throttled[status] ?? 0) + 1;
+    if (slow) stats.slowResponses += 1;
+    if (failed) stats.failures += 1;
+    backoffMs = Math.min(
+      maxBackoffMs,
+      backoffMs > 0 ? backoffMs * 2 : Math.max(INITIAL_BACKOFF_MS, intervalMs)
+    );
+    const pauseMs = Math.min(
+      maxBackoffMs,
+      Math.max(backoffMs, parseRetryAfter(retryAfter, now()) ?? 0)
+    );
+    nextAt = Math.max(nextAt, now() + pauseMs);
+    stats.backoffs += 1;
+    stats.maxBackoffMs = Math.max(stats.maxBackoffMs, pauseMs);
+    log.warn('politeness.backoff', { url, status, durationMs, backoffMs, pauseMs });
+  };
+
+  // Reports every page and search request the browser context completes on the site.
+  const observe = (context) => {
+    context.on('requestfinished', async (request) => {
+      if (!OBSERVED_RESOURCE_TYPES.includes(request.resourceType())) return;
+      if (robots.origin && new URL(request.url()).origin !== robots.origin) return;
+      try {
+        const response = await request.response();
+        const { responseEnd } = request.timing();
+        report({
+          url: request.url(),
+          page: request.resourceType() === 'document',
+          status: response?.status() ?? null,
+          durationMs: responseEnd > 0 ? Math.round(responseEnd) : null,
+          retryAfter: response ? await response.headerValue('retry-after') : null,
+        });
+      } catch {
+        // the page was closed before the response could be read
+      }
+    });
+  };
+
+  const summary = () => ({
+    robots: {
+      status: robots.status,
+      rules: robots.rules.length,
+      crawlDelaySeconds: robots.crawlDelaySeconds,
+    },
+    maxRequestsPerMinute,
+    intervalMs,
+    ...stats,
+    throttled: { ...stats.throttled },
+  });
+
+  return { acquire, report, observe, summary };
+};
+
+export { createScheduler, parseRetryAfter };
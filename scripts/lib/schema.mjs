@@ -0,0 +1,127 @@
+// Field rules for published records. `optional` fields may be absent (e.g. the English fields
+// with --skip-translations); every other field must be present, and only `nullable` ones may be
+// null.
+const ITEM_SCHEMA = {
+  source: { type: 'string' },
+  query: { type: 'string', nullable: true },
+  queries: { type: 'array' },
+  name: { type: 'string', nullable: true },
+  name_en: { type: 'string', nullable: true, optional: true },
+  brand: { type: 'string', nullable: true },
+  sku: { type: 'string', nullable: true },
+  price_sale: { type: 'price', nullable: true },
+  price_regular: { type: 'price', nullable: true },
+  price_anomaly: { type: 'string', nullable: true, values: ['sale-not-below-regular'] },
+  listing_detail_mismatch: { type: 'array' },
+  on_sale: { type: 'boolean' },
+  availability: { type: 'string', values: ['in_stock', 'out_of_stock', 'limited', 'unknown'] },
+  savings: { type: 'number', nullable: true },
+  percent_off: { type: 'number', nullable: true },
+  deal_score: { type: 'number', nullable: true },
+  promo_start: { type: 'date', nullable: true },
+  promo_end: { type: 'date', nullable: true },
+  unit_label: { type: 'string', nullable: true },
+  unit_label_en: { type: 'string', nullable: true, optional: true },
+  unit_price: { type: 'number', nullable: true },
+  pack_count: { type: 'number', nullable: true },
+  pack_quantity: { type: 'number', nullable: true },
+  pack_unit: { type: 'string', nullable: true },
+  normalized_unit: { type: 'string', nullable: true, values: ['kg', 'L', 'each'] },
+  normalized_price_sale: { type: 'number', nullable: true },
+  normalized_price_regular: { type: 'number', nullable: true },
+  url: { type: 'url' },
+  url_en: { type: 'url', nullable: true, optional: true },
+  image: { type: 'url', nullable: true },
+  category: { type: 'string', nullable: true },
+  category_path: { type: 'array' },
+  category_l1: { type: 'string', nullable: true },
+  category_l2: { type: 'string', nullable: true },
+  category_l3: { type: 'string', nullable: true },
+  category_en: { type: 'string', nullable: true, optional: true },
+  scraped_at: { type: 'datetime' },
+  _sources: { type: 'object', optional: true },
+};
+
+const METADATA_SCHEMA = {
+  scrapedAt: { type: 'datetime' },
+  startedAt: { type: 'datetime' },
+  finishedAt: { type: 'datetime' },
+  durationMs: { type: 'integer' },
+  pagesScraped: { type: 'integer' },
+  totalItems: { type: 'integer' },
+  scraperVersion: { type: 'string', nullable: true },
+  runId: { type: 'string' },
+  resumed: { type: 'boolean' },
+  adapter: { type: 'string' },
+  mode: { type: 'string', values: ['onsale', 'catalogue'] },
+  queryMode: { type: 'string', values: ['first', 'union'] },
+  queryUsed: { type: 'string', nullable: true },
+  stoppedReason: { type: 'string', nullable: true },
+  queryStats: { type: 'object' },
+  details: { type: 'object' },
+  deals: { type: 'object' },
+  resources: { type: 'object' },
+  politeness: { type: 'object' },
+  blocks: { type: 'object' },
+  coverage: { type: 'object' },
+  translations: { type: 'object', optional: true },
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value) && value >= 0,
+  price: (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  url: (value) => typeof value === 'string' && isHttpUrl(value),
+  date: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value),
+  datetime: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+};
+
+// Returns one { field, rule, message } per problem; an empty list means the record is valid.
+const validateRecord = (record, schema) => {
+  if (!record || typeof record !== 'object') {
+    return [{ field: null, rule: 'type', message: 'record is not an object' }];
+  }
+  const issues = [];
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (!(field in record)) {
+      if (!rule.optional) issues.push({ field, rule: 'required', message: `${field} is missing` });
+      return;
+    }
+    const value = record[field];
+    if (value === null || value === undefined) {
+      if (!rule.nullable) issues.push({ field, rule: 'required', message: `${field} is null` });
+      return;
+    }
+    if (!TYPE_CHECKS[rule.type](value)) {
+      issues.push({
+        field,
+        rule: rule.type === 'url' ? 'url' : 'type',
+        message: `${field} is not a valid ${rule.type}: ${JSON.stringify(value)}`,
+      });
+      return;
+    }
+    if (rule.values && !rule.values.includes(value)) {
+      issues.push({
+        field,
+        rule: 'enum',
+        message: `${field} must be one of ${rule.values.join(', ')} (got ${JSON.stringify(value)})`,
+      });
+    }
+  });
+  return issues;
+};
+
+export { ITEM_SCHEMA, METADATA_SCHEMA, validateRecord };
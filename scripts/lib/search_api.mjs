@@ -0,0 +1,390 @@
+import { normalizeWhitespace, parseNumber, resolveUrl } from './utils.mjs';
+
+const MAX_SAMPLES = 50;
+const MAX_DEPTH = 6;
+const MIN_MATCH_RATIO = 0.8;
+// How a card field from the rendered page is compared with a value from the endpoint's records.
+const CARD_FIELDS = {
+  sku: 'text',
+  name: 'text',
+  brand: 'text',
+  unitLabel: 'text',
+  category: 'text',
+  availabilityText: 'text',
+  priceSaleText: 'price',
+  priceRegularText: 'price',
+  link: 'url',
+  image: 'url',
+};
+const PRICE_FIELDS = ['priceSaleText', 'priceRegularText'];
+// Only trusted when a single request was seen; with two, the parameter that moved is the page.
+const PAGE_PARAMETER_PATTERN = /^(p|pg)$|page|offset|start|from|skip/i;
+// Set by fetch itself, or meaningless outside the browser connection.
+const DROPPED_HEADERS = /^(:|host$|connection$|content-length$|accept-encoding$)/i;
+// Dropped too, so the endpoint is only used if it answers without the browser's session.
+const SESSION_HEADERS = /^(cookie|authorization|proxy-authorization)$/i;
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+const readPath = (value, pathString) =>
+  pathString === '' ? value : pathString.split('.').reduce((current, key) => current?.[key], value);
+
+// Every non-empty array of objects in the payload, with its dotted path ('' for the root).
+const findRecordArrays = (value, pathParts = [], found = []) => {
+  if (pathParts.length > MAX_DEPTH || value === null || typeof value !== 'object') return found;
+  if (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((entry) => entry !== null && typeof entry === 'object' && !Array.isArray(entry))
+  ) {
+    found.push({ path: pathParts.join('.'), records: value });
+  }
+  Object.entries(value).forEach(([key, entry]) =>
+    findRecordArrays(entry, [...pathParts, key], found)
+  );
+  return found;
+};
+
+const flattenRecord = (value, prefix = '', flat = {}) => {
+  if (value === null || typeof value !== 'object') {
+    if (prefix && (typeof value === 'string' || typeof value === 'number')) flat[prefix] = value;
+    return flat;
+  }
+  if (prefix.split('.').length > MAX_DEPTH) return flat;
+  Object.entries(value).forEach(([key, entry]) =>
+    flattenRecord(entry, prefix ? `${prefix}.${key}` : key, flat)
+  );
+  return flat;
+};
+
+const urlPath = (value, baseUrl) => {
+  const resolved = resolveUrl(value, baseUrl);
+  return resolved ? new URL(resolved).pathname : null;
+};
+
+const valuesMatch = (kind, recordValue, cardValue, baseUrl) => {
+  if (recordValue === undefined || recordValue === '' || !cardValue) return false;
+  if (kind === 'price') {
+    const price = parseNumber(String(recordValue));
+    return price !== null && price === parseNumber(cardValue);
+  }
+  if (kind === 'url') {
+    const recordPath = urlPath(String(recordValue), baseUrl);
+    return recordPath !== null && recordPath === urlPath(cardValue, baseUrl);
+  }
+  return (
+    normalizeWhitespace(String(recordValue)).toLowerCase() ===
+    normalizeWhitespace(cardValue).toLowerCase()
+  );
+};
+
+// The record path that agrees with the cards most often, provided it agrees often enough.
+const bestPath = (paths, pairs, field, baseUrl) => {
+  const compared = pairs.filter(([, card]) => card[field]);
+  if (compared.length === 0) return null;
+  let best = null;
+  let bestCount = 0;
+  paths.forEach((candidate) => {
+    const count = compared.filter(([flat, card]) =>
+      valuesMatch(CARD_FIELDS[field], flat[candidate], card[field], baseUrl)
+    ).length;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  });
+  return bestCount >= compared.length * MIN_MATCH_RATIO ? best : null;
+};
+
+// Learns where each card field lives in the records by lining them up, SKU by SKU, with the cards
+// rendered from the same response. Null unless the SKU, the name and a price are all found.
+const learnRecordFields = (records, cards, baseUrl) => {
+  const cardsBySku = new Map(
+    cards.filter((card) => card.sku).map((card) => [String(card.sku), card])
+  );
+  if (cardsBySku.size === 0) return null;
+  const flats = records.map((record) => flattenRecord(record));
+  const paths = [...new Set(flats.flatMap((flat) => Object.keys(flat)))];
+
+  let skuPath = null;
+  let skuCount = 0;
+  paths.forEach((candidate) => {
+    const count = flats.filter((flat) => cardsBySku.has(String(flat[candidate]))).length;
+    if (count > skuCount) {
+      skuPath = candidate;
+      skuCount = count;
+    }
+  });
+  if (skuCount < cardsBySku.size * MIN_MATCH_RATIO) return null;
+
+  const pairs = flats
+    .map((flat) => [flat, cardsBySku.get(String(flat[skuPath]))])
+    .filter(([, card]) => card);
+  const fields = { sku: skuPath };
+  Object.keys(CARD_FIELDS)
+    .filter((field) => field !== 'sku')
+    .forEach((field) => {
+      const found = bestPath(paths, pairs, field, baseUrl);
+      if (found) fields[field] = found;
+    });
+  if (!fields.name || !PRICE_FIELDS.some((field) => fields[field])) return null;
+  return fields;
+};
+
+const requestParameters = (sample) => {
+  const parameters = [...new URL(sample.url).searchParams].map(([name, value]) => ({
+    location: 'query',
+    name,
+    value,
+  }));
+  if (sample.postData) {
+    const body = parseJson(sample.postData);
+    const entries =
+      body && typeof body === 'object' && !Array.isArray(body)
+        ? Object.entries(body).map(([name, value]) => ({ location: 'json', name, value }))
+        : [...new URLSearchParams(sample.postData)].map(([name, value]) => ({
+            location: 'form',
+            name,
+            value,
+          }));
+    parameters.push(...entries);
+  }
+  return parameters
+    .map((parameter) => ({ ...parameter, number: Number(parameter.value) }))
+    .filter((parameter) => parameter.value !== '' && Number.isInteger(parameter.number));
+};
+
+// Finds the request parameter carrying the page as `scale * page + offset`, where scale is 1 for a
+// page number and the page size for an offset. Two pages seen at the same endpoint settle it; a
+// single one has to go by the parameter name.
+const findPageParameter = (matches) => {
+  const [first, second] = matches;
+  const perPage = first.records.length;
+  if (second) {
+    const later = requestParameters(second.sample);
+    for (const parameter of requestParameters(first.sample)) {
+      const other = later.find(
+        (entry) => entry.location === parameter.location && entry.name === parameter.name
+      );
+      if (!other || other.number === parameter.number) continue;
+      const scale = (other.number - parameter.number) / (second.page - first.page);
+      if (scale !== 1 && scale !== perPage) continue;
+      const offset = parameter.number - scale * first.page;
+      // Pages and offsets count from 0 or 1; anything else is a counter such as a cache buster.
+      if (scale + offset < 0 || scale + offset > 1) continue;
+      return { location: parameter.location, name: parameter.name, scale, offset };
+    }
+    return null;
+  }
+  const candidate = requestParameters(first.sample)
+    .filter((parameter) => PAGE_PARAMETER_PATTERN.test(parameter.name))
+    .map((parameter) => {
+      if (parameter.number === first.page) return { ...parameter, scale: 1, offset: 0 };
+      if (parameter.number === (first.page - 1) * perPage) {
+        return { ...parameter, scale: perPage, offset: -perPage };
+      }
+      return null;
+    })
+    .find(Boolean);
+  return candidate
+    ? {
+        location: candidate.location,
+        name: candidate.name,
+        scale: candidate.scale,
+        offset: candidate.offset,
+      }
+    : null;
+};
+
+const forwardedHeaders = (headers = {}) =>
+  Object.fromEntries(
+    Object.entries(headers).filter(
+      ([name]) => !DROPPED_HEADERS.test(name) && !SESSION_HEADERS.test(name)
+    )
+  );
+
+// samples: JSON responses seen while the pages were rendered ({ url, method, postData, headers,
+// body }); renderedPages: [{ page, cards }] read from the DOM. Returns the endpoint description
+// used by fetchSearchPage, or the reason none could be trusted.
+const detectSearchEndpoint = (samples, renderedPages, { baseUrl }) => {
+  const matches = [];
+  samples.forEach((sample) => {
+    const payload = parseJson(sample.body);
+    if (payload === null) return;
+    findRecordArrays(payload).forEach(({ path: recordsPath, records }) => {
+      renderedPages.forEach(({ page, cards }) => {
+        const fields = learnRecordFields(records, cards, baseUrl);
+        if (fields) matches.push({ sample, page, recordsPath, records, fields });
+      });
+    });
+  });
+  if (matches.length === 0) {
+    return {
+      endpoint: null,
+      reason: samples.length === 0 ? 'no-json-requests' : 'no-matching-records',
+    };
+  }
+
+  // Requests to the same endpoint and records array, one per page, oldest page first.
+  const groups = new Map();
+  matches.forEach((match) => {
+    const url = new URL(match.sample.url);
+    const key = `${match.sample.method} ${url.origin}${url.pathname} ${match.recordsPath}`;
+    const group = groups.get(key) ?? [];
+    if (!group.some((entry) => entry.page === match.page)) group.push(match);
+    groups.set(key, group);
+  });
+  const group = [...groups.values()]
+    .sort((a, b) => b.length - a.length)[0]
+    .sort((a, b) => a.page - b.page);
+  const pageParameter = findPageParameter(group);
+  if (!pageParameter) return { endpoint: null, reason: 'no-page-parameter' };
+
+  const { sample, recordsPath, fields } = group[group.length - 1];
+  return {
+    endpoint: {
+      url: sample.url,
+      method: sample.method,
+      headers: forwardedHeaders(sample.headers),
+      postData: sample.postData ?? null,
+      pageParameter,
+      recordsPath,
+      fields,
+    },
+    reason: null,
+  };
+};
+
+const buildPageRequest = (endpoint, pageNumber) => {
+  const { location, name, scale, offset } = endpoint.pageParameter;
+  const value = scale * pageNumber + offset;
+  const url = new URL(endpoint.url);
+  let body = endpoint.postData;
+  if (location === 'query') {
+    url.searchParams.set(name, String(value));
+  } else if (location === 'json') {
+    const parsed = JSON.parse(body);
+    body = JSON.stringify({
+      ...parsed,
+      [name]: typeof parsed[name] === 'string' ? String(value) : value,
+    });
+  } else {
+    const form = new URLSearchParams(body);
+    form.set(name, String(value));
+    body = form.toString();
+  }
+  return { url: url.toString(), method: endpoint.method, headers: endpoint.headers, body };
+};
+
+// Same shape as adapter.extractListing cards, so the items go through the same conversion.
+const recordsToCards = (payload, endpoint) => {
+  const records = readPath(payload, endpoint.recordsPath);
+  if (!Array.isArray(records)) {
+    throw new Error(`Search endpoint response has no records at "${endpoint.recordsPath}"`);
+  }
+  return records.map((record) => {
+    const card = { priceCandidates: [], breadcrumb: null, sources: {} };
+    Object.keys(CARD_FIELDS).forEach((field) => {
+      const value = endpoint.fields[field] ? readPath(record, endpoint.fields[field]) : null;
+      card[field] =
+        value === null || value === undefined ? null : normalizeWhitespace(String(value));
+      card.sources[field] = card[field] === null ? null : 'api';
+    });
+    return card;
+  });
+};
+
+// With a scheduler (lib/scheduler.mjs), the call waits for its slot and reports its outcome like
+// the browser's requests do.
+const fetchSearchPage = async (endpoint, pageNumber, { timeoutMs, scheduler = null }) => {
+  const request = buildPageRequest(endpoint, pageNumber);
+  if (scheduler && !(await scheduler.acquire(request.url))) {
+    throw new Error(`Search endpoint is disallowed by robots.txt (${request.url})`);
+  }
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body ?? undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (error) {
+    scheduler?.report({ url: request.url, durationMs: Date.now() - startedAt, failed: true });
+    throw error;
+  }
+  scheduler?.report({
+    url: request.url,
+    status: response.status,
+    durationMs: Date.now() - startedAt,
+    retryAfter: response.headers.get('retry-after'),
+  });
+  if (!response.ok) {
+    throw new Error(`Search endpoint answered HTTP ${response.status} for page ${pageNumber}`);
+  }
+  const payload = parseJson(await response.text());
+  if (payload === null) throw new Error(`Search endpoint returned no JSON for page ${pageNumber}`);
+  return recordsToCards(payload, endpoint);
+};
+
+// Replays an already rendered page over plain HTTP: the endpoint is only trusted if it returns
+// the same products without the browser's session.
+const verifySearchEndpoint = async (endpoint, renderedPage, options) => {
+  let cards;
+  try {
+    cards = await fetchSearchPage(endpoint, renderedPage.page, options);
+  } catch (error) {
+    return { ok: false, reason: error?.message ?? String(error) };
+  }
+  const expected = renderedPage.cards.map((card) => card.sku).filter(Boolean);
+  const fetched = new Set(cards.map((card) => card.sku));
+  const found = expected.filter((sku) => fetched.has(String(sku))).length;
+  return found >= expected.length * MIN_MATCH_RATIO
+    ? { ok: true, reason: null }
+    : { ok: false, reason: `only ${found} of ${expected.length} products matched` };
+};
+
+// Keeps the JSON answers to the page's own XHR and fetch calls until stop() is called.
+const recordJsonResponses = (page) => {
+  const pending = [];
+  const onResponse = (response) => {
+    const request = response.request();
+    if (pending.length >= MAX_SAMPLES) return;
+    if (!['xhr', 'fetch'].includes(request.resourceType())) return;
+    if (!/json/i.test(response.headers()['content-type'] ?? '')) return;
+    pending.push(
+      Promise.all([request.allHeaders(), response.text()])
+        .then(([headers, body]) => ({
+          url: request.url(),
+          method: request.method(),
+          postData: request.postData(),
+          headers,
+          body,
+        }))
+        .catch(() => null)
+    );
+  };
+  page.on('response', onResponse);
+  return {
+    stop: async () => {
+      page.off('response', onResponse);
+      return (await Promise.all(pending)).filter(Boolean);
+    },
+  };
+};
+
+export {
+  buildPageRequest,
+  detectSearchEndpoint,
+  fetchSearchPage,
+  learnRecordFields,
+  recordJsonResponses,
+  verifySearchEndpoint,
+};
@@ -0,0 +1,150 @@
+import { BlockedError } from './block_detection.mjs';
+import { listingFingerprint, lookupDetails, storeDetails } from './detail_cache.mjs';
+import { mapWithConcurrency, parseUnitPriceText, sleep, uniqueKeyForItem } from './utils.mjs';
+
+const TRANSLATION_LANGUAGE = 'en';
+const TRANSLATION_CHECKPOINT_BATCH = 10;
+
+const saveProgress = (checkpoint, cache) => Promise.all([checkpoint?.save(), cache?.save()]);
+
+const normalizeSku = (value) => (value ? String(value).trim().toLowerCase() : null);
+
+const describeMissing = (item, url, reason) => ({
+  key: uniqueKeyForItem(item),
+  sku: item.sku ?? null,
+  name: item.name ?? null,
+  url: url ?? null,
+  reason,
+});
+
+// The English page fields of an item, or the reason they are missing. `finalUrl` is where the
+// page ended up, so a redirect to another product is caught by its SKU.
+const readTranslation = (adapter, item, url, details, finalUrl) => {
+  if (details.status !== null && details.status >= 400) {
+    return { missing: describeMissing(item, url, `http-${details.status}`) };
+  }
+  const pageSku = details.productSku || adapter.extractSkuFromUrl(finalUrl);
+  if (item.sku && pageSku && normalizeSku(item.sku) !== normalizeSku(pageSku)) {
+    return { missing: describeMissing(item, url, 'sku-mismatch') };
+  }
+  const name = details.h1Text || details.productName || details.ogTitle || null;
+  if (!name) return { missing: describeMissing(item, url, 'no-name') };
+  return {
+    translation: {
+      name_en: name,
+      category_en:
+        adapter
+          .getCategoryLevels({
+            breadcrumbItems: details.breadcrumbItems,
+            breadcrumb: details.breadcrumb,
+            productName: name,
+            url: null,
+          })
+          .join(' > ') || null,
+      unit_label_en:
+        details.unitLabel || parseUnitPriceText(details.unitPriceText).unitLabel || null,
+      url_en: url,
+    },
+  };
+};
+
+// The English page is matched on SKU: a page that loads but reports another SKU (a redirect to a
+// listing or to a different product) counts as missing rather than as a translation. English
+// pages share the product page cache, keyed by their own URL.
+const loadTranslation = async (adapter, context, item, options, { cache, scheduler, blocks }) => {
+  const url = item.url_en || adapter.translateProductUrl?.(item.url, TRANSLATION_LANGUAGE) || null;
+  if (!url) return { missing: describeMissing(item, null, 'no-url') };
+
+  const fingerprint = listingFingerprint(item);
+  const cached = cache
+    ? lookupDetails(cache.state, url, fingerprint, { ttlHours: options.detailCacheTtlHours })
+    : null;
+  if (cached) return { ...readTranslation(adapter, item, url, cached, url), fromCache: true };
+
+  await sleep(options.detailDelayMs + Math.random() * options.detailJitterMs);
+  blocks?.throwIfAborted();
+  if (scheduler && !(await scheduler.acquire(url))) {
+    return { missing: describeMissing(item, url, 'robots-disallowed') };
+  }
+  const page = await context.newPage();
+  page.setDefaultTimeout(options.pageTimeoutMs);
+  try {
+    const details = await adapter.extractProductDetails(page, url);
+    const block = await blocks?.check(page, {
+      kind: 'translation',
+      status: details.status,
+      expectedContent: Boolean(details.productName || details.h1Text || details.productSku),
+    });
+    if (block) {
+      return { missing: describeMissing(item, url, `blocked-${block.reason}`), blocked: true };
+    }
+    const outcome = readTranslation(adapter, item, url, details, page.url());
+    if (cache && (details.status === null || details.status < 400)) {
+      storeDetails(cache.state, url, fingerprint, details);
+    }
+    return outcome;
+  } catch (error) {
+    if (error instanceof BlockedError) throw error;
+    return { missing: describeMissing(item, url, error?.message || 'error') };
+  } finally {
+    await page.close();
+  }
+};
+
+// With a checkpoint, outcomes are saved in batches like product pages and items already handled
+// by an interrupted run are not fetched again; blocked pages are not saved.
+const translateItems = async (
+  adapter,
+  context,
+  items,
+  options,
+  { cache = null, checkpoint = null, scheduler = null, blocks = null } = {}
+) => {
+  const saved = checkpoint?.state.translations ?? {};
+  let cacheHits = 0;
+  let unsaved = 0;
+  const results = await mapWithConcurrency(items, options.detailConcurrency, async (item) => {
+    const key = uniqueKeyForItem(item);
+    let outcome = key ? saved[key] : null;
+    if (!outcome) {
+      outcome = await loadTranslation(adapter, context, item, options, {
+        cache,
+        scheduler,
+        blocks,
+      });
+      if (!outcome.blocked) {
+        if (checkpoint && key) {
+          saved[key] = { translation: outcome.translation, missing: outcome.missing };
+        }
+        unsaved += 1;
+        if (unsaved >= TRANSLATION_CHECKPOINT_BATCH) {
+          unsaved = 0;
+          await saveProgress(checkpoint, cache);
+        }
+      }
+    }
+    if (outcome.fromCache) cacheHits += 1;
+    return { item: { ...item, ...outcome.translation }, missing: outcome.missing ?? null };
+  });
+  if (checkpoint) checkpoint.state.translations = saved;
+  await saveProgress(checkpoint, cache);
+  const missing = results.map((result) => result.missing).filter(Boolean);
+  return {
+    items: results.map((result) => ({
+      name_en: null,
+      category_en: null,
+      unit_label_en: null,
+      url_en: null,
+      ...result.item,
+    })),
+    report: {
+      language: TRANSLATION_LANGUAGE,
+      requested: items.length,
+      translated: items.length - missing.length,
+      fromCache: cacheHits,
+      missing,
+    },
+  };
+};
+
+export { translateItems };
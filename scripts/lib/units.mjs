@@ -0,0 +1,129 @@
+import { normalizeWhitespace, parseNumber, parseUnitPriceText } from './utils.mjs';
+
+// Every unit is converted to one of three bases so prices compare across pack sizes.
+const UNITS = {
+  kg: { base: 'kg', factor: 1 },
+  g: { base: 'kg', factor: 0.001 },
+  mg: { base: 'kg', factor: 0.000001 },
+  lb: { base: 'kg', factor: 0.45359237 },
+  lbs: { base: 'kg', factor: 0.45359237 },
+  oz: { base: 'kg', factor: 0.028349523125 },
+  l: { base: 'L', factor: 1 },
+  ml: { base: 'L', factor: 0.001 },
+  cl: { base: 'L', factor: 0.01 },
+  un: { base: 'each', factor: 1 },
+  unite: { base: 'each', factor: 1 },
+  unites: { base: 'each', factor: 1 },
+  unit: { base: 'each', factor: 1 },
+  units: { base: 'each', factor: 1 },
+  pc: { base: 'each', factor: 1 },
+  pcs: { base: 'each', factor: 1 },
+  piece: { base: 'each', factor: 1 },
+  pieces: { base: 'each', factor: 1 },
+  ct: { base: 'each', factor: 1 },
+};
+
+const UNIT_PATTERN = '(kg|mg|g|lbs|lb|oz|ml|cl|l|unités|unité|unites|unite|units|unit|un|pcs|pc|pièces|pièce|pieces|piece|ct)(?![a-zà-ÿ])';
+const NUMBER_PATTERN = '(\\d+(?:[.,]\\d+)?)';
+// Counts can be chained ("1x4x160g", "2 x 6 x 355 ml"); they multiply.
+const MULTIPACK_REGEX = new RegExp(
+  `((?:\\d+\\s*[x×]\\s*)+)${NUMBER_PATTERN}\\s*${UNIT_PATTERN}`,
+  'i'
+);
+// Variable-weight items ("unité (2.5 1x±2.1kg)", "unité (1 3x±9.5kg)") are sold by weight: the
+// ± size is an estimate, and the shelf price is not for it.
+const VARIABLE_WEIGHT_REGEX = /±/;
+const SINGLE_REGEX = new RegExp(`${NUMBER_PATTERN}\\s*${UNIT_PATTERN}`, 'gi');
+const BARE_UNIT_REGEX = new RegExp(`^${UNIT_PATTERN}$`, 'i');
+
+const toUnitKey = (unit) =>
+  unit
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+const toPackSize = (count, quantity, unit) => {
+  const definition = UNITS[toUnitKey(unit)];
+  if (!definition || !Number.isFinite(count) || !Number.isFinite(quantity)) return null;
+  if (count <= 0 || quantity <= 0) return null;
+  return {
+    packCount: count,
+    packQuantity: quantity,
+    packUnit: toUnitKey(unit) === 'l' ? 'L' : toUnitKey(unit),
+    baseUnit: definition.base,
+    baseQuantity: count * quantity * definition.factor,
+  };
+};
+
+const isVariableWeight = (value) => VARIABLE_WEIGHT_REGEX.test(value ?? '');
+
+// "unité (1x320g)", "12 x 355 ml", "960ml", "Huile d'olive 1,5 L". A multipack wins over a single
+// size; with several single sizes the last one is used, since names end with the format.
+// With allowBareUnit, "kg" or "unité" alone (the "/kg" of a unit price) count as one unit.
+// Variable-weight labels have no pack size.
+const parsePackSize = (value, { allowBareUnit = false } = {}) => {
+  const text = normalizeWhitespace(value);
+  if (!text || isVariableWeight(text)) return null;
+  const multipack = text.match(MULTIPACK_REGEX);
+  if (multipack) {
+    const count = multipack[1]
+      .split(/[x×]/i)
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .reduce((product, part) => product * Number.parseInt(part, 10), 1);
+    return toPackSize(count, parseNumber(multipack[2]), multipack[3]);
+  }
+  const singles = [...text.matchAll(SINGLE_REGEX)];
+  if (singles.length > 0) {
+    const [, quantity, unit] = singles.at(-1);
+    return toPackSize(1, parseNumber(quantity), unit);
+  }
+  const bare = allowBareUnit ? text.match(BARE_UNIT_REGEX) : null;
+  return bare ? toPackSize(1, 1, bare[1]) : null;
+};
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const pricePerBaseUnit = (price, pack) =>
+  typeof price === 'number' && pack ? roundPrice(price / pack.baseQuantity) : null;
+
+// The pack size comes from unit_label, then from the name. Without one, a unit price such as
+// "1,33$/100g" still gives the normalized price of whichever price is current. A variable-weight
+// label rules out the name too: "meule 2,5 kg" is the wheel, not what the price is for.
+const computeUnitPricing = (item, { unitPriceText = null } = {}) => {
+  const pack = isVariableWeight(item.unit_label)
+    ? null
+    : parsePackSize(item.unit_label) ?? parsePackSize(item.name);
+  if (pack) {
+    return {
+      pack_count: pack.packCount,
+      pack_quantity: pack.packQuantity,
+      pack_unit: pack.packUnit,
+      normalized_unit: pack.baseUnit,
+      normalized_price_sale: pricePerBaseUnit(item.price_sale, pack),
+      normalized_price_regular: pricePerBaseUnit(item.price_regular, pack),
+    };
+  }
+
+  const empty = {
+    pack_count: null,
+    pack_quantity: null,
+    pack_unit: null,
+    normalized_unit: null,
+    normalized_price_sale: null,
+    normalized_price_regular: null,
+  };
+  const unitPrice = parseUnitPriceText(unitPriceText);
+  const reference = parsePackSize(unitPrice.unitLabel, { allowBareUnit: true });
+  if (unitPrice.unitPrice === null || !reference) return empty;
+  const normalized = pricePerBaseUnit(unitPrice.unitPrice, reference);
+  const isSale = item.price_sale !== null && item.price_sale !== undefined;
+  return {
+    ...empty,
+    normalized_unit: reference.baseUnit,
+    normalized_price_sale: isSale ? normalized : null,
+    normalized_price_regular: isSale ? null : normalized,
+  };
+};
+
+export { computeUnitPricing, parsePackSize, pricePerBaseUnit };
@@ -0,0 +1,142 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const mapWithConcurrency = async (items, limit, mapper) => {
+  const results = new Array(items.length);
+  let index = 0;
+
+  const worker = async () => {
+    while (index < items.length) {
+      const current = index;
+      index += 1;
+      results[current] = await mapper(items[current], current);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, limit) }, () => worker());
+  await Promise.all(workers);
+  return results;
+};
+
+const normalizeWhitespace = (value) =>
+  value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? null;
+
+const parseNumber = (value) => {
+  if (!value) return null;
+  const cleaned = value
+    .replace(/\s+/g, '')
+    .replace(/\$/g, '')
+    .replace(/,/g, '.')
+    .replace(/[^0-9.]/g, '');
+  if (!cleaned) return null;
+  const parsed = Number.parseFloat(cleaned);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const parseUnitPriceText = (value) => {
+  if (!value) return { unitPrice: null, unitLabel: null };
+  const normalized = value.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim();
+  const match = normalized.match(
+    /(?:\$|€)?\s*([0-9]+(?:[.,][0-9]+)?)\s*(?:\$|€)?\s*(?:\/|par)\s*([^\n]+)/i
+  );
+  if (!match) return { unitPrice: null, unitLabel: null };
+  return {
+    unitPrice: parseNumber(match[1]),
+    unitLabel: normalizeWhitespace(match[2]),
+  };
+};
+
+const parsePriceCandidates = (values) => {
+  const prices = values
+    .map((entry) => parseNumber(entry))
+    .filter((entry) => entry !== null);
+  if (prices.length === 0) return { sale: null, regular: null };
+  const sorted = [...prices].sort((a, b) => a - b);
+  const sale = sorted[0] ?? null;
+  const regular = sorted.length > 1 ? sorted[sorted.length - 1] : null;
+  return { sale, regular };
+};
+
+const PRICE_ANOMALY_SALE_NOT_BELOW_REGULAR = 'sale-not-below-regular';
+
+// A sale price that is not below the regular price is kept as scraped and flagged, so the
+// markup problem stays visible in the data instead of being silently corrected.
+const normalizePricePair = ({ sale, regular }) => {
+  if (regular === null && sale !== null) {
+    return { sale: null, regular: sale, anomaly: null };
+  }
+  if (sale !== null && regular !== null && sale >= regular) {
+    return { sale, regular, anomaly: PRICE_ANOMALY_SALE_NOT_BELOW_REGULAR };
+  }
+  return { sale, regular, anomaly: null };
+};
+
+const resolveUrl = (maybeUrl, baseUrl) => {
+  if (!maybeUrl) return null;
+  try {
+    return new URL(maybeUrl, baseUrl).toString();
+  } catch {
+    return null;
+  }
+};
+
+const buildFallbackUrl = (sku, name, baseUrl) => {
+  const anchor = sku || name;
+  if (!anchor) return baseUrl;
+  return `${baseUrl}#${encodeURIComponent(anchor.replace(/\s+/g, '-').slice(0, 80))}`;
+};
+
+const buildFallbackKey = (item) => {
+  if (!item?.name) return null;
+  return `${item.name}__${item.price_sale}__${item.unit_label || ''}`;
+};
+
+// public/mayrand/onsale/index.html repeats this to look items up in history.json.
+const uniqueKeyForItem = (item) => item?.sku || item?.url || buildFallbackKey(item);
+
+const BREADCRUMB_SEPARATOR_PATTERN = /\s+(?:>|›|»|\/|\|)\s+/;
+const CATEGORY_LEVEL_COUNT = 3;
+
+// A missing breadcrumb (null, undefined) has no levels.
+const splitBreadcrumb = (text) =>
+  (normalizeWhitespace(text) ?? '')
+    .split(BREADCRUMB_SEPARATOR_PATTERN)
+    .map((part) => normalizeWhitespace(part))
+    .filter(Boolean);
+
+// category keeps a readable "a > b > c" string; the l1..l3 columns are what pivots should use.
+const toCategoryFields = (levels) => {
+  const categoryPath = Array.isArray(levels) ? levels.filter(Boolean) : [];
+  const fields = {
+    category: categoryPath.length > 0 ? categoryPath.join(' > ') : null,
+    category_path: categoryPath,
+  };
+  for (let level = 1; level <= CATEGORY_LEVEL_COUNT; level += 1) {
+    fields[`category_l${level}`] = categoryPath[level - 1] ?? null;
+  }
+  return fields;
+};
+
+const slugify = (value) =>
+  (value || 'query')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'query';
+
+export {
+  buildFallbackKey,
+  buildFallbackUrl,
+  mapWithConcurrency,
+  normalizePricePair,
+  normalizeWhitespace,
+  parseNumber,
+  parsePriceCandidates,
+  parseUnitPriceText,
+  PRICE_ANOMALY_SALE_NOT_BELOW_REGULAR,
+  resolveUrl,
+  sleep,
+  slugify,
+  splitBreadcrumb,
+  toCategoryFields,
+  uniqueKeyForItem,
+};
@@ -2,112 +2,110 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { chromium } from 'playwright';
 
-const BASE_URL = 'https://mayrand.ca/fr/page-recherche';
-const OUTPUT_DIR = path.join('public', 'mayrand', 'onsale');
+import { DEFAULT_ADAPTER_ID, getAdapter, listAdapterIds } from './adapters/index.mjs';
+import { createBlockMonitor } from './lib/block_detection.mjs';
+import { diffItems, renderChangesSummary } from './lib/changes.mjs';
+import { createCheckpoint, createCheckpointStore, readCheckpoint } from './lib/checkpoint.mjs';
+import { CliUsageError, HELP_TEXT, parseCliArgs } from './lib/cli.mjs';
+import { buildCoverageReport, DEFAULT_MAX_COVERAGE_DROP } from './lib/coverage.mjs';
+import {
+  combineQueryRuns,
+  enrichItemsWithDetails,
+  scrapeCatalogue,
+  scrapeQueries,
+} from './lib/crawler.mjs';
+import { scoreDeals, summarizeDeals } from './lib/deals.mjs';
+import { createDebugArtifacts, recordFatalError } from './lib/debug_artifacts.mjs';
+import { createDetailCacheStore, readDetailCache } from './lib/detail_cache.mjs';
+import { startFixtureServer } from './lib/fixture_server.mjs';
+import { appendObservations, readHistory } from './lib/history.mjs';
+import { closeLogger, configureLogger, log } from './lib/logger.mjs';
+import { DEFAULT_THRESHOLDS, QualityGateError, runQualityGate } from './lib/quality.mjs';
+import {
+  DEFAULT_BLOCKED_RESOURCE_TYPES,
+  installResourceBlocking,
+  TRACKER_HOSTS,
+} from './lib/resource_blocking.mjs';
+import { loadRobots } from './lib/robots.mjs';
+import { createScheduler } from './lib/scheduler.mjs';
+import { translateItems } from './lib/translations.mjs';
+import {
+  normalizeWhitespace,
+  parseNumber,
+  parseUnitPriceText,
+  uniqueKeyForItem,
+} from './lib/utils.mjs';
+
+const PACKAGE_JSON_URL = new URL('../package.json', import.meta.url);
 const DEBUG_DIR = path.join('outputs', 'debug');
-const SOURCE = 'mayrand';
+const REPLAY_OUTPUT_DIR = path.join('outputs', 'replay');
+const CACHE_DIR = path.join('outputs', 'cache');
+const CHECKPOINT_DIR = path.join('outputs', 'checkpoints');
+// Well above the daily schedule, so the next run still finds the pages of the previous one.
+const DETAIL_CACHE_TTL_HOURS = 72;
+const DEBUG_RETENTION_DAYS = 7;
+const DEBUG_MAX_RUNS = 10;
 const USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
 const PAGE_TIMEOUT_MS = 45000;
-const PAGE_RETRY_COUNT = 2;
 const PAGE_MAX_LIMIT = 100;
-const RESULTS_WAIT_TIMEOUT_MS = 20000;
-const RESULT_WAIT_ATTEMPTS = 10;
-const RESULT_WAIT_INITIAL_DELAY_MS = 500;
-const RESULT_WAIT_MAX_DELAY_MS = 1500;
 const DETAIL_CONCURRENCY_LIMIT = 4;
 const DETAIL_BASE_DELAY_MS = 350;
 const DETAIL_JITTER_MS = 450;
-const CONTAINER_SELECTOR = '#product-container';
-const CARDS_SELECTOR = 'div.product-card-wrapper';
-const FALLBACK_CARD_SELECTORS = [
-  '#product-container a[href*="/fr/nos-produits/"]',
-  'a[href*="/fr/nos-produits/"]',
-];
-const CAPTCHA_KEYWORDS = ['captcha', 'verify', 'access denied', 'robot', 'cloudflare'];
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const normalizeWhitespace = (value) =>
-  value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? null;
-
-const parseNumber = (value) => {
-  if (!value) return null;
-  const cleaned = value
-    .replace(/\s+/g, '')
-    .replace(/\$/g, '')
-    .replace(/,/g, '.')
-    .replace(/[^0-9.]/g, '');
-  if (!cleaned) return null;
-  const parsed = Number.parseFloat(cleaned);
-  return Number.isFinite(parsed) ? parsed : null;
+const PAGE_BASE_DELAY_MS = 500;
+const PAGE_JITTER_MS = 700;
+const MAX_REQUESTS_PER_MINUTE = 40;
+const SLOW_RESPONSE_MS = 10000;
+const MAX_BACKOFF_MS = 120000;
+const MAX_BLOCKED_PAGES = 3;
+
+// baseUrl, outputDir, queries, detailCacheFile and checkpointFile default to null so the
+// selected adapter can fill them in.
+const DEFAULT_OPTIONS = {
+  adapter: DEFAULT_ADAPTER_ID,
+  mode: 'onsale',
+  baseUrl: null,
+  outputDir: null,
+  debugDir: DEBUG_DIR,
+  debugRetentionDays: DEBUG_RETENTION_DAYS,
+  debugMaxRuns: DEBUG_MAX_RUNS,
+  queries: null,
+  queryMode: 'first',
+  maxPages: PAGE_MAX_LIMIT,
+  listingSource: 'auto',
+  blockedResourceTypes: DEFAULT_BLOCKED_RESOURCE_TYPES,
+  pageTimeoutMs: PAGE_TIMEOUT_MS,
+  pageDelayMs: PAGE_BASE_DELAY_MS,
+  pageJitterMs: PAGE_JITTER_MS,
+  detailConcurrency: DETAIL_CONCURRENCY_LIMIT,
+  detailDelayMs: DETAIL_BASE_DELAY_MS,
+  detailJitterMs: DETAIL_JITTER_MS,
+  detailCacheFile: null,
+  detailCacheTtlHours: DETAIL_CACHE_TTL_HOURS,
+  maxRequestsPerMinute: MAX_REQUESTS_PER_MINUTE,
+  slowResponseMs: SLOW_RESPONSE_MS,
+  maxBackoffMs: MAX_BACKOFF_MS,
+  maxBlockedPages: MAX_BLOCKED_PAGES,
+  maxItemDropRatio: DEFAULT_THRESHOLDS.maxItemDropRatio,
+  maxMissingPriceRatio: DEFAULT_THRESHOLDS.maxMissingPriceRatio,
+  maxMissingNameRatio: DEFAULT_THRESHOLDS.maxMissingNameRatio,
+  maxPriceAnomalyRatio: DEFAULT_THRESHOLDS.maxPriceAnomalyRatio,
+  maxCoverageDropRatio: DEFAULT_MAX_COVERAGE_DROP,
+  checkpointFile: null,
+  logLevel: 'info',
+  logFile: null,
+  replayDir: null,
+  resume: false,
+  loadAllResources: false,
+  headed: false,
+  skipDetails: false,
+  skipTranslations: false,
+  includeSources: false,
 };
 
-const parseUnitPriceText = (value) => {
-  if (!value) return { unitPrice: null, unitLabel: null };
-  const normalized = value.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim();
-  const match = normalized.match(
-    /(?:\$|€)?\s*([0-9]+(?:[.,][0-9]+)?)\s*(?:\$|€)?\s*(?:\/|par)\s*([^\n]+)/i
-  );
-  if (!match) return { unitPrice: null, unitLabel: null };
-  return {
-    unitPrice: parseNumber(match[1]),
-    unitLabel: normalizeWhitespace(match[2]),
-  };
-};
-
-const parsePriceCandidates = (values) => {
-  const prices = values
-    .map((entry) => parseNumber(entry))
-    .filter((entry) => entry !== null);
-  if (prices.length === 0) return { sale: null, regular: null };
-  const sorted = [...prices].sort((a, b) => a - b);
-  const sale = sorted[0] ?? null;
-  const regular = sorted.length > 1 ? sorted[sorted.length - 1] : null;
-  return { sale, regular };
-};
-
-const normalizePricePair = ({ sale, regular }) => {
-  if (regular === null && sale !== null) {
-    return { sale: null, regular: sale };
-  }
-  if (sale !== null && regular !== null && sale === regular) {
-    return { sale: null, regular };
-  }
-  return { sale, regular };
-};
-
-const resolveUrl = (maybeUrl, baseUrl = BASE_URL) => {
-  if (!maybeUrl) return null;
-  try {
-    return new URL(maybeUrl, baseUrl).toString();
-  } catch {
-    return null;
-  }
-};
-
-const buildFallbackUrl = (sku, name, baseUrl) => {
-  const anchor = sku || name;
-  if (!anchor) return baseUrl;
-  return `${baseUrl}#${encodeURIComponent(anchor.replace(/\s+/g, '-').slice(0, 80))}`;
-};
-
-const buildFallbackKey = (item) => {
-  if (!item?.name) return null;
-  return `${item.name}__${item.price_sale}__${item.unit_label || ''}`;
-};
-
-const uniqueKeyForItem = (item) => item?.sku || item?.url || buildFallbackKey(item);
-
-const extractSkuFromUrl = (url) => {
-  if (!url) return null;
-  const match = url.match(/-(\d{3,})(?:\D|$)/);
-  return match?.[1] || null;
-};
-
-const ensureDirs = async () => {
-  await fs.mkdir(OUTPUT_DIR, { recursive: true });
-  await fs.mkdir(DEBUG_DIR, { recursive: true });
+const ensureDirs = async (options) => {
+  await fs.mkdir(options.outputDir, { recursive: true });
+  await fs.mkdir(options.debugDir, { recursive: true });
 };
 
 const writeJson = async (targetPath, data) => {
@@ -118,22 +116,45 @@ const writeCsv = async (targetPath, items) => {
   const headers = [
     'source',
     'query',
+    'queries',
     'name',
+    'name_en',
     'brand',
     'sku',
     'price_sale',
     'price_regular',
+    'on_sale',
+    'availability',
+    'price_anomaly',
+    'listing_detail_mismatch',
+    'savings',
+    'percent_off',
+    'deal_score',
+    'promo_start',
+    'promo_end',
     'unit_label',
+    'unit_label_en',
     'unit_price',
+    'pack_count',
+    'pack_quantity',
+    'pack_unit',
+    'normalized_unit',
+    'normalized_price_sale',
+    'normalized_price_regular',
     'url',
+    'url_en',
     'image',
     'category',
+    'category_l1',
+    'category_l2',
+    'category_l3',
+    'category_en',
     'scraped_at',
   ];
   const lines = [headers.join(',')];
   const sanitize = (value) => {
     if (value === null || value === undefined) return '';
-    const stringValue = String(value);
+    const stringValue = Array.isArray(value) ? value.join('|') : String(value);
     if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
       return `"${stringValue.replace(/"/g, '""')}"`;
     }
@@ -147,1225 +168,530 @@ const writeCsv = async (targetPath, items) => {
   await fs.writeFile(targetPath, `${lines.join('\n')}\n`, 'utf8');
 };
 
-const acceptCookies = async (page) => {
-  const consentSelectors = [
-    '#onetrust-accept-btn-handler',
-    'button#onetrust-accept-btn-handler',
-    'button[aria-label*="Accept"]',
-    'button[aria-label*="Accepter"]',
-    'button:has-text("Tout accepter")',
-    'button:has-text("Accepter")',
-    'button:has-text("Accept")',
-    'button:has-text("Agree")',
-  ];
-
-  for (const selector of consentSelectors) {
-    const locator = page.locator(selector).first();
-    try {
-      if (await locator.isVisible({ timeout: 2000 })) {
-        await locator.click({ timeout: 2000 });
-        await page.waitForTimeout(500);
-        break;
-      }
-    } catch {
-      continue;
-    }
-  }
-};
-
-const getResultsDomState = async (page) =>
-  page.evaluate(({ containerSelector, cardsSelector }) => {
-    const normalizeWhitespace = (value) =>
-      value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? null;
-
-    const isVisible = (element) => {
-      if (!element) return false;
-      const style = window.getComputedStyle(element);
-      const rect = element.getBoundingClientRect();
-      return (
-        rect.width > 0 &&
-        rect.height > 0 &&
-        style.visibility !== 'hidden' &&
-        style.display !== 'none' &&
-        Number.parseFloat(style.opacity || '1') > 0
-      );
-    };
-
-    const cardSelectors = [cardsSelector];
-    const loaderSelectors = [
-      '.loading',
-      '.loader',
-      '.spinner',
-      '.is-loading',
-      '[aria-busy="true"]',
-      '[data-loading="true"]',
-      '.skeleton',
-      '.skeleton-loader',
-    ];
-
-    const container = document.querySelector(containerSelector);
-    const scope = container ?? document;
-    const cards = scope.querySelectorAll(cardSelectors.join(','));
-    const loaderVisible = loaderSelectors.some((selector) => {
-      const node = document.querySelector(selector);
-      return node && isVisible(node);
-    });
-
-    const emptyStateTextFromSelectors = normalizeWhitespace(
-      Array.from(
-        document.querySelectorAll(
-          '.no-results, .empty, .results-empty, .search-empty, [data-testid="no-results"]'
-        )
-      )
-        .map((node) => node.textContent)
-        .find(Boolean)
-    );
-
-    const bodyText = normalizeWhitespace(document.body?.innerText || '');
-    const emptyStateMatch =
-      bodyText?.match(
-        /(Aucun r\u00e9sultat[^.]*|0\s*r\u00e9sultat[^.]*|Aucun produit[^.]*|No results[^.]*|0\s*results[^.]*)/i
-      ) ?? null;
-    const emptyStateText = emptyStateTextFromSelectors || emptyStateMatch?.[1] || null;
-
-    const resultsCountText = normalizeWhitespace(
-      Array.from(
-        document.querySelectorAll('.results-count, .search-result-count, .product-count, .count')
-      )
-        .map((node) => node.textContent)
-        .find(Boolean)
+const readHistoricalCount = async (outputDir) => {
+  try {
+    const metadata = JSON.parse(
+      await fs.readFile(path.join(outputDir, 'metadata.json'), 'utf8')
     );
-
-    return {
-      cardsCount: cards.length,
-      loaderVisible,
-      resultsCountText,
-      emptyStateText,
-      containerSelector: container ? container.className || container.id : null,
-    };
-  }, { containerSelector: CONTAINER_SELECTOR, cardsSelector: CARDS_SELECTOR });
-
-const waitForResultsWithRetry = async (page, contextLabel) => {
-  const step =
-    RESULT_WAIT_ATTEMPTS > 1
-      ? (RESULT_WAIT_MAX_DELAY_MS - RESULT_WAIT_INITIAL_DELAY_MS) / (RESULT_WAIT_ATTEMPTS - 1)
-      : 0;
-
-  for (let attempt = 1; attempt <= RESULT_WAIT_ATTEMPTS; attempt += 1) {
-    const state = await getResultsDomState(page);
-    console.log(`Mayrand onsale wait attempt ${attempt} (${contextLabel})`, state);
-
-    if (state.resultsCountText || state.cardsCount > 0 || !state.loaderVisible) {
-      await page.waitForTimeout(200);
-      return state;
+    if (Number.isFinite(metadata?.totalItems)) {
+      return metadata.totalItems;
     }
-
-    const delay = Math.round(
-      RESULT_WAIT_INITIAL_DELAY_MS + step * (attempt - 1)
-    );
-    await page.waitForTimeout(delay);
-  }
-
-  await page.waitForTimeout(500);
-  return getResultsDomState(page);
-};
-
-const scrapeProductPage = async (page, productUrl) => {
-  await page.goto(productUrl, { waitUntil: 'domcontentloaded' });
-  await acceptCookies(page);
-  await page.waitForTimeout(500);
-  return page.evaluate(() => {
-    const normalizeWhitespace = (value) =>
-      value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? null;
-
-    const readJsonLd = () => {
-      const scripts = Array.from(
-        document.querySelectorAll('script[type="application/ld+json"]')
-      )
-        .map((node) => node.textContent)
-        .filter(Boolean);
-      const parsed = [];
-      for (const raw of scripts) {
-        try {
-          parsed.push(JSON.parse(raw));
-        } catch {
-          continue;
-        }
-      }
-      return parsed;
-    };
-
-    const flattenJsonLd = (data) => {
-      if (!data) return [];
-      if (Array.isArray(data)) return data.flatMap(flattenJsonLd);
-      if (typeof data === 'object') {
-        if (data['@graph']) return flattenJsonLd(data['@graph']);
-        return [data];
-      }
-      return [];
-    };
-
-    const jsonLdEntries = readJsonLd().flatMap(flattenJsonLd);
-    const productEntry = jsonLdEntries.find((entry) => {
-      const type = entry?.['@type'];
-      if (!type) return false;
-      if (Array.isArray(type)) {
-        return type.some((value) => String(value).toLowerCase() === 'product');
-      }
-      return String(type).toLowerCase() === 'product';
-    });
-
-    const productName = normalizeWhitespace(productEntry?.name);
-    const productBrand = normalizeWhitespace(
-      productEntry?.brand?.name || productEntry?.brand
-    );
-    const productSku = normalizeWhitespace(productEntry?.sku);
-
-    const offers = productEntry?.offers;
-    const offersList = Array.isArray(offers) ? offers : offers ? [offers] : [];
-    const offerPrices = offersList
-      .map((offer) => {
-        if (!offer) return null;
-        if (offer.price) return String(offer.price);
-        if (offer.lowPrice) return String(offer.lowPrice);
-        if (offer.priceSpecification?.price) return String(offer.priceSpecification.price);
-        return null;
-      })
-      .filter(Boolean);
-
-    const h1Text = normalizeWhitespace(document.querySelector('h1')?.textContent);
-    const ogTitle = normalizeWhitespace(
-      document.querySelector('meta[property="og:title"], meta[name="og:title"]')?.getAttribute(
-        'content'
-      )
-    );
-
-    const breadcrumb = normalizeWhitespace(
-      Array.from(document.querySelectorAll('nav.breadcrumb, .breadcrumb, .breadcrumbs'))
-        .map((node) => node.textContent)
-        .find(Boolean)
-    );
-
-    const unitPriceSaleText = normalizeWhitespace(
-      document.querySelector('.unit_price span.me-2')?.textContent
-    );
-    const unitPriceRegularText = normalizeWhitespace(
-      document.querySelector('.unit_price del.price-discount')?.textContent
-    );
-    const priceSaleText =
-      unitPriceSaleText ||
-      normalizeWhitespace(
-        document.querySelector(
-          '.price--sale, .price-sale, .sale-price, .special-price, .price-promo, .promo-price'
-        )?.textContent
-      );
-    const priceRegularText =
-      unitPriceRegularText ||
-      normalizeWhitespace(
-        document.querySelector('del, s, .price--regular, .regular-price, .old-price')
-          ?.textContent
-      );
-
-    const priceCandidates = Array.from(
-      document.querySelectorAll(
-        '.product-price, .price, .price-value, .value, .pricing, .product-card-price'
-      )
-    )
-      .map((node) => node.textContent)
-      .filter(Boolean);
-
-    const unitLabel = normalizeWhitespace(
-      document.querySelector(
-        '.unit_quantity, .unit, .unit-label, .unit-text, .product-unit, .unitLabel, [data-testid="unit"]'
-      )?.textContent
-    );
-    const unitPriceText = normalizeWhitespace(
-      document.querySelector(
-        '.unit-price-ref, .unit-price, .price-unit, .price-per, .unit-price-value, [data-testid="unit-price"]'
-      )?.textContent
-    );
-
-    return {
-      productName,
-      productBrand,
-      productSku,
-      offerPrices,
-      h1Text,
-      ogTitle,
-      breadcrumb,
-      priceSaleText,
-      priceRegularText,
-      priceCandidates,
-      unitLabel,
-      unitPriceText,
-    };
-  });
-};
-
-const enrichItemsWithDetails = async (context, items) => {
-  const results = new Array(items.length);
-  let index = 0;
-
-  const worker = async () => {
-    while (index < items.length) {
-      const current = index;
-      index += 1;
-      const item = items[current];
-      if (!item?.url) {
-        results[current] = item;
-        continue;
-      }
-      await sleep(DETAIL_BASE_DELAY_MS + Math.random() * DETAIL_JITTER_MS);
-      const page = await context.newPage();
-      page.setDefaultTimeout(PAGE_TIMEOUT_MS);
-      try {
-        const details = await scrapeProductPage(page, item.url);
-        const parsedSale = parseNumber(details.priceSaleText);
-        const parsedRegular = parseNumber(details.priceRegularText);
-        const offerPrices = details.offerPrices.map((entry) => parseNumber(entry)).filter(Boolean);
-        const offerSale = offerPrices.length > 0 ? Math.min(...offerPrices) : null;
-        const offerRegular = offerPrices.length > 1 ? Math.max(...offerPrices) : null;
-        const priceCandidates =
-          parsedSale !== null || parsedRegular !== null
-            ? { sale: parsedSale, regular: parsedRegular }
-            : parsePriceCandidates(details.priceCandidates);
-        const combinedPriceSale = parsedSale ?? offerSale ?? priceCandidates.sale ?? null;
-        const combinedPriceRegular =
-          parsedRegular ?? offerRegular ?? priceCandidates.regular ?? null;
-        const normalizedPrices = normalizePricePair({
-          sale: combinedPriceSale,
-          regular: combinedPriceRegular,
-        });
-
-        const unitPriceParsed = parseUnitPriceText(details.unitPriceText);
-        const nameFallback =
-          details.h1Text ||
-          details.ogTitle ||
-          details.productName ||
-          item.name ||
-          item.sku ||
-          item.url ||
-          'Produit Mayrand';
-
-        results[current] = {
-          ...item,
-          name: nameFallback,
-          brand: details.productBrand || item.brand || null,
-          sku:
-            details.productSku ||
-            item.sku ||
-            extractSkuFromUrl(item.url) ||
-            null,
-          price_sale: normalizedPrices.sale ?? item.price_sale ?? null,
-          price_regular: normalizedPrices.regular ?? item.price_regular ?? null,
-          unit_label:
-            details.unitLabel ||
-            unitPriceParsed.unitLabel ||
-            item.unit_label ||
-            null,
-          unit_price: unitPriceParsed.unitPrice ?? item.unit_price ?? null,
-          category: details.breadcrumb || item.category || null,
-        };
-      } catch (error) {
-        results[current] = {
-          ...item,
-          name: item.name || item.sku || item.url || 'Produit Mayrand',
-        };
-        console.log('Mayrand onsale product scrape failed', {
-          url: item.url,
-          error: error?.message,
-        });
-      } finally {
-        await page.close();
-      }
+    if (Number.isFinite(metadata?.total_items)) {
+      return metadata.total_items;
     }
-  };
-
-  const workers = Array.from({ length: DETAIL_CONCURRENCY_LIMIT }, () => worker());
-  await Promise.all(workers);
-  return results;
-};
-
-const scrapePage = async (page) => {
-  return page.evaluate(({ containerSelector, cardsSelector, fallbackSelectors }) => {
-    const normalizeWhitespace = (value) =>
-      value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? null;
-
-    const isVisible = (element) => {
-      if (!element) return false;
-      const style = window.getComputedStyle(element);
-      const rect = element.getBoundingClientRect();
-      return (
-        rect.width > 0 &&
-        rect.height > 0 &&
-        style.visibility !== 'hidden' &&
-        style.display !== 'none' &&
-        Number.parseFloat(style.opacity || '1') > 0
-      );
-    };
-
-    const cardSelectors = [cardsSelector, ...fallbackSelectors];
-    const cardSet = new Set();
-    cardSelectors.forEach((selector) => {
-      document.querySelectorAll(selector).forEach((element) => cardSet.add(element));
-    });
-    const cards = Array.from(cardSet).filter((element) => isVisible(element));
-
-    const resultsContainer = document.querySelector(containerSelector);
-
-    const breadcrumb = normalizeWhitespace(
-      Array.from(document.querySelectorAll('nav.breadcrumb, .breadcrumb, .breadcrumbs'))
-        .map((node) => node.textContent)
-        .find(Boolean)
-    );
-
-    const results = cards.map((card) => {
-      try {
-        const cardRoot =
-          card.closest?.(cardsSelector) ||
-          card.closest?.('[data-product-id]') ||
-          card.closest?.('[class*="product"]') ||
-          card;
-        const text = normalizeWhitespace(
-          cardRoot?.innerText || cardRoot?.textContent || card.innerText || card.textContent || ''
-        );
-        const linkElement = card.matches('a[href]') ? card : cardRoot?.querySelector('a[href]');
-        const name = normalizeWhitespace(linkElement?.textContent);
-        const link = linkElement?.getAttribute('href') || cardRoot?.getAttribute('href') || null;
-
-        const brand = normalizeWhitespace(
-          cardRoot?.querySelector('.product-brand, .brand, .manufacturer')?.textContent
-        );
-
-        const skuAttribute =
-          normalizeWhitespace(cardRoot?.getAttribute('data-sku')) ||
-          normalizeWhitespace(cardRoot?.getAttribute('data-product-id')) ||
-          normalizeWhitespace(card.getAttribute('data-sku')) ||
-          normalizeWhitespace(card.getAttribute('data-product-id'));
-        const skuNode = normalizeWhitespace(
-          cardRoot?.querySelector('.sku, .product-sku, .code, .product-code')?.textContent
-        );
-        const skuMatch = text?.match(/(?:code|sku|produit|item|article)\s*:?\s*([0-9]{3,})/i);
-        const skuFallback = text?.match(/\b([0-9]{3,})\b/);
-        const sku = skuAttribute || skuNode || skuMatch?.[1] || skuFallback?.[1] || null;
-
-        const unitPriceSaleText = normalizeWhitespace(
-          cardRoot?.querySelector('.unit_price span.me-2')?.textContent
-        );
-        const unitPriceRegularText = normalizeWhitespace(
-          cardRoot?.querySelector('.unit_price del.price-discount')?.textContent
-        );
-        const priceSaleText =
-          unitPriceSaleText ||
-          normalizeWhitespace(
-            cardRoot?.querySelector(
-              '.price--sale, .price-sale, .sale-price, .special-price, .price-promo, .promo-price'
-            )?.textContent
-          );
-        const priceRegularText =
-          unitPriceRegularText ||
-          normalizeWhitespace(
-            cardRoot?.querySelector('del, s, .price--regular, .regular-price, .old-price')
-              ?.textContent
-          );
-
-        const priceCandidates = Array.from(
-          cardRoot?.querySelectorAll(
-            '.product-price, .price, .price-value, .value, .pricing, .product-card-price'
-          ) || []
-        )
-          .map((node) => node.textContent)
-          .filter(Boolean);
-
-        const unitLabel = normalizeWhitespace(
-          cardRoot?.querySelector(
-            '.unit_quantity, .unit, .unit-label, .unit-text, .product-unit, .unitLabel, [data-testid="unit"]'
-          )?.textContent
-        );
-
-        const image =
-          cardRoot?.querySelector('img')?.getAttribute('src') ||
-          cardRoot?.querySelector('img')?.getAttribute('data-src') ||
-          cardRoot?.querySelector('img')?.getAttribute('data-lazy') ||
-          null;
-
-        const category =
-          normalizeWhitespace(cardRoot?.getAttribute('data-category')) ||
-          normalizeWhitespace(cardRoot?.querySelector('.category, .product-category')?.textContent) ||
-          null;
-
-        return {
-          name,
-          brand,
-          sku,
-          priceSaleText,
-          priceRegularText,
-          priceCandidates,
-          unitLabel,
-          link,
-          image,
-          category,
-          breadcrumb,
-        };
-      } catch (error) {
-        return {
-          name: null,
-          brand: null,
-          sku: null,
-          priceSaleText: null,
-          priceRegularText: null,
-          priceCandidates: [],
-          unitLabel: null,
-          link: null,
-          image: null,
-          category: null,
-          breadcrumb,
-          error: error?.message || String(error),
-        };
-      }
-    });
-
-    const paginationLinks = Array.from(
-      document.querySelectorAll(
-        '.pagination a, nav.pagination a, .pager a, .pagination-link, .pagination__link'
-      )
-    ).map((link) => link.getAttribute('href'));
-
-    const paginationButtons = Array.from(
-      document.querySelectorAll('button.pagination-btn[data-page]')
-    )
-      .map((button) => {
-        const pageValue = button.getAttribute('data-page');
-        const pageNumber = pageValue ? Number.parseInt(pageValue, 10) : null;
-        return Number.isFinite(pageNumber) ? pageNumber : null;
-      })
-      .filter((pageNumber) => pageNumber !== null);
-
-    const emptyStateTextFromSelectors = normalizeWhitespace(
-      Array.from(
-        document.querySelectorAll(
-          '.no-results, .empty, .results-empty, .search-empty, [data-testid="no-results"]'
-        )
-      )
-        .map((node) => node.textContent)
-        .find(Boolean)
-    );
-
-    const bodyText = normalizeWhitespace(document.body?.innerText || '');
-    const emptyStateMatch =
-      bodyText?.match(
-        /(Aucun r\u00e9sultat[^.]*|0\s*r\u00e9sultat[^.]*|Aucun produit[^.]*|No results[^.]*|0\s*results[^.]*)/i
-      ) ?? null;
-    const emptyStateText = emptyStateTextFromSelectors || emptyStateMatch?.[1] || null;
-
-    const resultsCountText = normalizeWhitespace(
-      Array.from(
-        document.querySelectorAll('.results-count, .search-result-count, .product-count, .count')
-      )
-        .map((node) => node.textContent)
-        .find(Boolean)
-    );
-
-    const nextCandidates = Array.from(document.querySelectorAll('a, button')).filter((node) => {
-      const text = normalizeWhitespace(node.textContent || '');
-      const aria = normalizeWhitespace(node.getAttribute('aria-label') || '');
-      const rel = normalizeWhitespace(node.getAttribute('rel') || '');
-      const haystack = [text, aria, rel].filter(Boolean).join(' ').toLowerCase();
-      return (
-        haystack.includes('suivant') ||
-        haystack.includes('next') ||
-        haystack.includes('prochain') ||
-        haystack.includes('suivante') ||
-        rel.toLowerCase() === 'next'
-      );
-    });
-
-    const nextPageNode = nextCandidates.find((node) => isVisible(node)) || null;
-    const nextPageDisabled = nextPageNode
-      ? nextPageNode.hasAttribute('disabled') ||
-        nextPageNode.getAttribute('aria-disabled') === 'true' ||
-        nextPageNode.classList.contains('disabled') ||
-        nextPageNode.classList.contains('is-disabled')
-      : null;
-    const nextPageHref = nextPageNode?.getAttribute('href') || null;
-    const nextPageNumber = nextPageNode?.getAttribute('data-page');
-    const nextPageLabel = normalizeWhitespace(nextPageNode?.textContent || '');
-
-    return {
-      results,
-      paginationLinks,
-      paginationButtons,
-      nextPage: {
-        href: nextPageHref,
-        pageNumber: nextPageNumber ? Number.parseInt(nextPageNumber, 10) : null,
-        label: nextPageLabel,
-        disabled: nextPageDisabled,
-      },
-      breadcrumb,
-      emptyStateText,
-      resultsCountText,
-      containerSelector: resultsContainer ? resultsContainer.className || resultsContainer.id : null,
-      visibleCardCount: cards.length,
-    };
-  }, {
-    containerSelector: CONTAINER_SELECTOR,
-    cardsSelector: CARDS_SELECTOR,
-    fallbackSelectors: FALLBACK_CARD_SELECTORS,
-  });
-};
-
-const getPaginationInfo = (paginationLinks, baseUrl) => {
-  let maxPage = null;
-  paginationLinks.forEach((href) => {
-    if (!href) return;
-    try {
-      const url = new URL(href, baseUrl);
-      const pageParam = url.searchParams.get('page');
-      const pageNumber = pageParam ? Number.parseInt(pageParam, 10) : null;
-      if (Number.isFinite(pageNumber)) {
-        maxPage = maxPage ? Math.max(maxPage, pageNumber) : pageNumber;
-      }
-    } catch {
-      return;
+    if (Number.isFinite(metadata?.product_count)) {
+      return metadata.product_count;
     }
-  });
-  return maxPage;
+  } catch {
+    // ignore
+  }
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(outputDir, 'data.json'), 'utf8'));
+    return Array.isArray(data) ? data.length : 0;
+  } catch {
+    return 0;
+  }
 };
 
-const getMaxPageFromButtons = (paginationButtons) => {
-  if (!paginationButtons || paginationButtons.length === 0) return null;
-  return paginationButtons.reduce((max, value) => (max === null ? value : Math.max(max, value)), null);
+const readScraperVersion = async () => {
+  try {
+    return JSON.parse(await fs.readFile(PACKAGE_JSON_URL, 'utf8')).version ?? null;
+  } catch {
+    return null;
+  }
 };
 
-const waitForCardsStable = async (page) => {
-  let lastCount = 0;
-  for (let attempt = 0; attempt < 3; attempt += 1) {
-    const count = await page.locator(CARDS_SELECTOR).count();
-    if (count > 0 && count === lastCount) {
-      return count;
-    }
-    lastCount = count;
-    await page.waitForTimeout(250);
+const readPreviousCoverage = async (outputDir) => {
+  try {
+    const metadata = JSON.parse(await fs.readFile(path.join(outputDir, 'metadata.json'), 'utf8'));
+    return metadata?.coverage ?? null;
+  } catch {
+    return null;
   }
-  return lastCount;
 };
 
-const getListingCardCount = async (page) =>
-  page.evaluate(
-    ({ cardsSelector, fallbackSelectors }) => {
-      const isVisible = (element) => {
-        if (!element) return false;
-        const style = window.getComputedStyle(element);
-        const rect = element.getBoundingClientRect();
-        return (
-          rect.width > 0 &&
-          rect.height > 0 &&
-          style.visibility !== 'hidden' &&
-          style.display !== 'none' &&
-          Number.parseFloat(style.opacity || '1') > 0
-        );
-      };
-      const cardSet = new Set();
-      [cardsSelector, ...fallbackSelectors].forEach((selector) => {
-        document.querySelectorAll(selector).forEach((element) => cardSet.add(element));
-      });
-      return Array.from(cardSet).filter((element) => isVisible(element)).length;
-    },
-    { cardsSelector: CARDS_SELECTOR, fallbackSelectors: FALLBACK_CARD_SELECTORS }
-  );
-
-const scrollForLazyLoad = async (page) => {
-  const initialCount = await getListingCardCount(page);
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let total = 0;
-      const distance = Math.max(window.innerHeight * 0.8, 300);
-      const timer = window.setInterval(() => {
-        window.scrollBy(0, distance);
-        total += distance;
-        if (total >= document.body.scrollHeight) {
-          window.clearInterval(timer);
-          resolve(null);
-        }
-      }, 200);
-    });
-  });
-  await page.waitForTimeout(500);
-  await page.evaluate(() => window.scrollTo({ top: 0, behavior: 'instant' }));
-  await page.waitForTimeout(400);
-  const finalCount = await getListingCardCount(page);
-  return { initialCount, finalCount };
+const readPreviousItems = async (outputDir) => {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(outputDir, 'data.json'), 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
 };
 
-const getCaptchaStatus = async (page, html = null) => {
-  const content = html || (await page.content());
-  const lower = content.toLowerCase();
-  const hits = CAPTCHA_KEYWORDS.filter((keyword) => lower.includes(keyword));
-  return {
-    detected: hits.length > 0,
-    keywords: hits,
-  };
+const publishHistory = async (history, items, runAt, outputDir) => {
+  await writeJson(
+    path.join(outputDir, 'history.json'),
+    appendObservations(history, items, { runAt, keyForItem: uniqueKeyForItem })
+  );
 };
 
-const saveZeroItemsDebug = async (page, query, currentPage, extracted) => {
-  const debugStamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const debugBase = `mayrand_zero_items-${slugify(query)}-page-${currentPage}-${debugStamp}`;
-  const html = await page.content();
-  const pageUrl = page.url();
-  const pageTitle = await page.title();
-  const captchaStatus = await getCaptchaStatus(page, html);
-
-  await fs.writeFile(path.join(DEBUG_DIR, `${debugBase}.html`), html, 'utf8');
-  await page.screenshot({
-    path: path.join(DEBUG_DIR, `${debugBase}.png`),
-    fullPage: true,
-  });
+const publishChanges = async (adapter, previousItems, items, { runAt, outputDir, mode }) => {
+  const changes = diffItems(previousItems, items, { keyForItem: uniqueKeyForItem });
+  await writeJson(path.join(outputDir, 'changes.json'), { generatedAt: runAt, ...changes });
   await fs.writeFile(
-    path.join(DEBUG_DIR, `${debugBase}.json`),
-    `${JSON.stringify(
-      {
-        query,
-        page: currentPage,
-        url: pageUrl,
-        title: pageTitle,
-        captcha: captchaStatus,
-        empty_state_text: extracted?.emptyStateText ?? null,
-        results_count_text: extracted?.resultsCountText ?? null,
-        container_selector: extracted?.containerSelector ?? null,
-        visible_card_count: extracted?.visibleCardCount ?? null,
-        cards_selector: CARDS_SELECTOR,
-        fallback_selectors: FALLBACK_CARD_SELECTORS,
-      },
-      null,
-      2
-    )}\n`,
+    path.join(outputDir, 'changes.md'),
+    `${renderChangesSummary(changes, { generatedAt: runAt, source: adapter.name, mode })}\n`,
     'utf8'
   );
-  console.log('Mayrand onsale 0 items debug', {
-    query,
-    page: currentPage,
-    url: pageUrl,
-    title: pageTitle,
-    captcha: captchaStatus,
-  });
+  log.info('changes.summary', changes.counts);
 };
 
-const killOverlays = async (page) => {
-  await page.evaluate(() => {
-    const selectors = [
-      '#hs-interactives-modal-overlay',
-      '#hs-web-interactives-top-anchor',
-      '[id*="hs-interactives"]',
-      '[class*="modal-overlay"]',
-      '[class*="overlay"]',
-      '[role="dialog"]',
-    ];
-    for (const sel of selectors) {
-      document.querySelectorAll(sel).forEach((el) => el.remove());
-    }
-    document.querySelectorAll('body *').forEach((el) => {
-      const id = (el.id || '').toLowerCase();
-      const cls = (el.className || '').toString().toLowerCase();
-      if (id.includes('overlay') || cls.includes('overlay')) {
-        el.style.pointerEvents = 'none';
-      }
-    });
+// The report lands in the debug directory whatever the outcome, so a blocked publish can be
+// inspected without touching the published files.
+const checkQuality = async (adapter, items, metadata, { runAt, previousCount, options }) => {
+  const quality = runQualityGate(items, metadata, {
+    previousCount,
+    fallbackName: adapter.fallbackName,
+    thresholds: {
+      maxItemDropRatio: options.maxItemDropRatio,
+      maxMissingPriceRatio: options.maxMissingPriceRatio,
+      maxMissingNameRatio: options.maxMissingNameRatio,
+      maxPriceAnomalyRatio: options.maxPriceAnomalyRatio,
+    },
   });
+  const reportPath = path.join(options.debugDir, `${adapter.id}-${options.mode}-quality.json`);
+  await writeJson(reportPath, { generatedAt: runAt, ...quality });
+  const failed = quality.checks.filter((check) => !check.passed);
+  if (failed.length > 0) {
+    throw new QualityGateError(
+      `${adapter.name} quality gate failed (${failed
+        .map((check) => `${check.name}: ${check.message}`)
+        .join('; ')}). Report: ${reportPath}. Aborting publish.`,
+      quality
+    );
+  }
+  log.info('quality.passed', { adapter: adapter.id, report: reportPath });
+  return quality;
 };
 
-const getActivePage = async (page) =>
-  page.evaluate(() => {
-    const btns = Array.from(document.querySelectorAll('button.pagination-btn'));
-    const active =
-      btns.find((b) => b.classList.contains('active')) ||
-      btns.find((b) => b.getAttribute('aria-current') === 'page');
-    const raw = active?.getAttribute('data-page') || active?.textContent?.trim() || null;
-    const n = raw ? Number(String(raw).replace(/\D/g, '')) : null;
-    return Number.isFinite(n) ? n : null;
+// Compared with the last published run, so runs held back by the quality gate keep being measured
+// against data that was good. The report is written whatever the outcome, like the quality one.
+const reportCoverage = async (adapter, items, options) => {
+  const previous = await readPreviousCoverage(options.outputDir);
+  const coverage = buildCoverageReport(items, previous, {
+    maxDropRatio: options.maxCoverageDropRatio,
   });
-
-const getCardsSignature = async (page) =>
-  page.evaluate(() => {
-    const cards = Array.from(document.querySelectorAll('.product-container *'))
-      .filter(
-        (el) => el.tagName === 'A' || (el.className || '').toString().toLowerCase().includes('product')
-      )
-      .slice(0, 15);
-    const sig = cards.map((el) => (el.getAttribute('href') || el.textContent || '').trim().slice(0, 80));
-    return sig.join('|');
+  const reportPath = path.join(options.debugDir, `${adapter.id}-${options.mode}-coverage.json`);
+  await writeJson(reportPath, { runId: log.runId, ...coverage });
+  coverage.warnings.forEach((warning) => {
+    log.warn('coverage.drop', { adapter: adapter.id, ...warning });
   });
-
-const getPagerText = async (page) =>
-  page.evaluate(() => {
-    const normalizeWhitespace = (value) =>
-      value?.replace(/\s+/g, ' ').replace(/\u00a0/g, ' ').trim() ?? '';
-    const pager = document.querySelector(
-      '.pagination, nav.pagination, .pager, .pagination__list, [aria-label*="pagination" i]'
-    );
-    return normalizeWhitespace(pager?.textContent || '');
+  log.info('coverage.summary', {
+    adapter: adapter.id,
+    report: reportPath,
+    warnings: coverage.warnings.length,
   });
-
-const countCards = async (page) => page.locator(CARDS_SELECTOR).count();
-
-const pagerShowsTarget = (pagerText, targetPage) => {
-  if (!pagerText) return false;
-  const normalized = pagerText.replace(/\s+/g, ' ').toLowerCase();
-  const target = String(targetPage);
-  return normalized.includes(` ${target} `) || normalized.endsWith(` ${target}`) || normalized.startsWith(`${target} `);
+  return coverage;
 };
 
-const goToPage = async (page, baseUrl, targetPage) => {
-  const buttonSelector = `button.pagination-btn[data-page="${targetPage}"]`;
-  const button = page.locator(buttonSelector).first();
-  const initialActive = await getActivePage(page);
-  if ((await button.count()) > 0) {
-    const isDisabled =
-      (await button.getAttribute('disabled')) !== null ||
-      (await button.getAttribute('aria-disabled')) === 'true';
-    if (!isDisabled) {
-      for (let attempt = 1; attempt <= 5; attempt += 1) {
-        await killOverlays(page);
-
-        const beforeActive = await getActivePage(page);
-        const beforeCount = await countCards(page);
-        const beforeSig = await getCardsSignature(page);
-        const beforePagerText = await getPagerText(page);
-
-        await button.scrollIntoViewIfNeeded();
-
-        try {
-          await button.click({ timeout: 15000 });
-        } catch {
-          await killOverlays(page);
-          await button.click({ timeout: 15000, force: true });
-        }
-
-        try {
-          await page.waitForLoadState('networkidle', { timeout: 20000 });
-          await waitForResultsWithRetry(page, `pagination-${targetPage}-attempt-${attempt}`);
-          await waitForCardsStable(page);
-          const afterActive = await getActivePage(page);
-          const afterCount = await countCards(page);
-          const afterSig = await getCardsSignature(page);
-          const afterPagerText = await getPagerText(page);
-          const sigChanged = beforeActive !== afterActive || beforeCount !== afterCount;
-
-          console.log('Pagination status', {
-            attempt,
-            target: targetPage,
-            beforeActive,
-            afterActive,
-            beforePagerText,
-            afterPagerText,
-            sigChanged,
-            signatureDelta: beforeSig !== afterSig,
-          });
-
-          if (afterActive === targetPage || pagerShowsTarget(afterPagerText, targetPage)) {
-            return {
-              beforeActive,
-              afterActive,
-              sigChanged,
-            };
-          }
-
-          await page.waitForTimeout(500);
-        } catch (error) {
-          const afterActive = await getActivePage(page);
-          console.log('Pagination attempt failed', {
-            attempt,
-            target: targetPage,
-            beforeActive,
-            afterActive,
-            error: error?.message,
-          });
-          await page.waitForTimeout(800);
-        }
-      }
-
-      await page.screenshot({
-        path: path.join(DEBUG_DIR, `mayrand-pagination-fail-${targetPage}.png`),
-        fullPage: true,
-      });
-      const html = await page.content();
-      await fs.writeFile(path.join(DEBUG_DIR, `mayrand-pagination-fail-${targetPage}.html`), html, 'utf8');
-      return null;
-    }
+// Every run keeps a checkpoint so an interrupted one can be finished with --resume; a finished
+// run removes it. Without --resume any previous checkpoint is overwritten.
+const openCheckpoint = async (adapter, options) => {
+  const saved = options.resume ? await readCheckpoint(options.checkpointFile, options) : null;
+  if (saved) {
+    log.info('checkpoint.resumed', {
+      adapter: adapter.id,
+      checkpoint: options.checkpointFile,
+      startedAt: saved.startedAt,
+      listingsDone: saved.listing.runs.length,
+      detailsDone: Object.keys(saved.details).length,
+    });
+  } else if (options.resume) {
+    log.warn('checkpoint.not-found', {
+      adapter: adapter.id,
+      checkpoint: options.checkpointFile,
+    });
   }
-
-  const url = new URL(baseUrl);
-  url.searchParams.set('page', String(targetPage));
-  const beforeActive = initialActive ?? (await getActivePage(page));
-  await page.goto(url.toString(), { waitUntil: 'domcontentloaded' });
-  await page.waitForTimeout(750);
-  await page.waitForSelector(CARDS_SELECTOR, { timeout: 15000 });
-  await waitForCardsStable(page);
-  const afterActive = await getActivePage(page);
   return {
-    beforeActive,
-    afterActive,
-    sigChanged: beforeActive !== afterActive,
+    checkpoint: createCheckpointStore(options.checkpointFile, saved ?? createCheckpoint(options)),
+    resumed: Boolean(saved),
   };
 };
 
-const goToNextPage = async (page, baseUrl, nextPage) => {
-  if (!nextPage || nextPage.disabled) return null;
-  if (Number.isFinite(nextPage.pageNumber)) {
-    const moved = await goToPage(page, baseUrl, nextPage.pageNumber);
-    return moved;
-  }
-  if (nextPage.href) {
-    const resolved = resolveUrl(nextPage.href, baseUrl);
-    if (!resolved) return null;
-    await page.goto(resolved, { waitUntil: 'domcontentloaded' });
-    await page.waitForTimeout(750);
-    await page.waitForSelector(CARDS_SELECTOR, { timeout: 15000 });
-    await waitForCardsStable(page);
-    const afterActive = await getActivePage(page);
-    return {
-      beforeActive: null,
-      afterActive,
-      sigChanged: false,
-    };
+// Listing, product and English pages: everything that needs the browser.
+const scrapeWithBrowser = async (
+  browser,
+  adapter,
+  options,
+  { checkpoint, artifacts, scheduler, blocks, resumed }
+) => {
+  const browserContext = await browser.newContext({
+    userAgent: USER_AGENT,
+    locale: adapter.locale,
+    viewport: { width: 1365, height: 768 },
+  });
+  if (options.replayDir) {
+    const replayOrigin = new URL(options.baseUrl).origin;
+    await browserContext.route('**/*', (route) =>
+      new URL(route.request().url()).origin === replayOrigin ? route.continue() : route.abort()
+    );
   }
-  return null;
-};
+  const resources = await installResourceBlocking(browserContext, {
+    enabled: !options.loadAllResources,
+    resourceTypes: options.blockedResourceTypes,
+    hosts: [...TRACKER_HOSTS, ...(adapter.blockedHosts ?? [])],
+  });
+  scheduler.observe(browserContext);
+  const page = await browserContext.newPage();
+  page.setDefaultTimeout(options.pageTimeoutMs);
+
+  const isCatalogue = options.mode === 'catalogue';
+  const runs = isCatalogue
+    ? await scrapeCatalogue(adapter, page, options, { checkpoint, artifacts, scheduler, blocks })
+    : await scrapeQueries(adapter, page, options, { checkpoint, artifacts, scheduler, blocks });
+  const listing = combineQueryRuns(runs, { mode: isCatalogue ? 'union' : options.queryMode });
+  const finalItems = listing.items;
+  const runMetadata = {
+    scraperVersion: await readScraperVersion(),
+    runId: log.runId,
+    resumed,
+    adapter: adapter.id,
+    mode: options.mode,
+    queryMode: isCatalogue ? 'union' : options.queryMode,
+    queryUsed: listing.queryUsed,
+    stoppedReason: listing.stoppedReason,
+    queryStats: listing.queryStats,
+  };
 
-const readHistoricalCount = async () => {
-  try {
-    const metadata = JSON.parse(
-      await fs.readFile(path.join(OUTPUT_DIR, 'metadata.json'), 'utf8')
-    );
-    if (Number.isFinite(metadata?.totalItems)) {
-      return metadata.totalItems;
-    }
-    if (Number.isFinite(metadata?.total_items)) {
-      return metadata.total_items;
-    }
-    if (Number.isFinite(metadata?.product_count)) {
-      return metadata.product_count;
-    }
-  } catch {
-    // ignore
+  // English pages share the product page cache, saved with each checkpointed batch of pages.
+  const useCache = !options.skipDetails && options.detailCacheTtlHours > 0;
+  const cache = useCache
+    ? createDetailCacheStore(
+        options.detailCacheFile,
+        await readDetailCache(options.detailCacheFile),
+        { ttlHours: options.detailCacheTtlHours }
+      )
+    : null;
+  let detailedItems = finalItems;
+  if (options.skipDetails) {
+    runMetadata.details = {
+      skipped: true,
+      requested: 0,
+      fromCache: 0,
+      fetched: 0,
+      failed: 0,
+      failures: [],
+      mismatched: 0,
+      duplicates: 0,
+    };
+  } else {
+    const details = await enrichItemsWithDetails(adapter, browserContext, finalItems, options, {
+      cache,
+      checkpoint,
+      scheduler,
+      blocks,
+    });
+    detailedItems = details.items;
+    const requested = finalItems.filter((item) => item?.url).length;
+    const mismatched = details.items.filter(
+      (item) => item.listing_detail_mismatch?.length > 0
+    ).length;
+    runMetadata.details = {
+      skipped: false,
+      requested,
+      fromCache: details.cacheHits,
+      fetched: requested - details.cacheHits,
+      failed: details.failures.length,
+      failures: details.failures,
+      mismatched,
+      duplicates: details.duplicates.length,
+    };
+    log.info('details.summary', {
+      adapter: adapter.id,
+      requested,
+      fromCache: details.cacheHits,
+      failed: details.failures.length,
+      mismatched,
+      duplicates: details.duplicates.length,
+    });
   }
-  try {
-    const data = JSON.parse(await fs.readFile(path.join(OUTPUT_DIR, 'data.json'), 'utf8'));
-    return Array.isArray(data) ? data.length : 0;
-  } catch {
-    return 0;
+  let translatedItems = detailedItems;
+  // --skip-details publishes listing data only, so it skips the English pages too
+  if (!options.skipTranslations && !options.skipDetails) {
+    const translation = await translateItems(adapter, browserContext, detailedItems, options, {
+      cache,
+      checkpoint,
+      scheduler,
+      blocks,
+    });
+    translatedItems = translation.items;
+    runMetadata.translations = translation.report;
+    log.info('translations.summary', {
+      adapter: adapter.id,
+      language: translation.report.language,
+      translated: translation.report.translated,
+      fromCache: translation.report.fromCache,
+      missing: translation.report.missing.length,
+    });
   }
+  const enrichedItems = scoreDeals(
+    translatedItems.map((item) => ({
+      ...item,
+      // items left without a product page have nothing to compare
+      listing_detail_mismatch: item.listing_detail_mismatch ?? [],
+      on_sale: item.price_sale !== null && item.price_sale !== undefined && !item.price_anomaly,
+    }))
+  );
+  runMetadata.deals = summarizeDeals(enrichedItems);
+  runMetadata.resources = await resources.summary();
+  log.info('resources.summary', {
+    adapter: adapter.id,
+    blocking: runMetadata.resources.blocking,
+    requestsLoaded: runMetadata.resources.requestsLoaded,
+    bytesLoaded: runMetadata.resources.bytesLoaded,
+    requestsBlocked: runMetadata.resources.requestsBlocked,
+    bytesSavedEstimate: runMetadata.resources.bytesSavedEstimate,
+  });
+  runMetadata.politeness = scheduler.summary();
+  log.info('politeness.summary', {
+    adapter: adapter.id,
+    requests: runMetadata.politeness.requests,
+    disallowed: runMetadata.politeness.disallowed,
+    throttled: runMetadata.politeness.throttled,
+    slowResponses: runMetadata.politeness.slowResponses,
+    waitedMs: runMetadata.politeness.waitedMs,
+  });
+  runMetadata.blocks = blocks.summary();
+  runMetadata.coverage = await reportCoverage(adapter, enrichedItems, options);
+  // _sources feeds the coverage report and is only published on request
+  return {
+    listing,
+    enrichedItems: options.includeSources
+      ? enrichedItems
+      : enrichedItems.map(({ _sources, ...item }) => item),
+    runMetadata,
+  };
 };
 
-const slugify = (value) =>
-  (value || 'query')
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-    .slice(0, 40) || 'query';
-
-const scrapeListing = async (page, query) => {
-  const baseUrl = new URL(BASE_URL);
-  if (query) {
-    baseUrl.searchParams.set('search', query);
-  }
-  const baseUrlString = baseUrl.toString();
-  const allItems = [];
-  const uniqueItems = new Map();
-  let currentPage = 1;
-  let maxPage = null;
-  let emptyPageStreak = 0;
-  let pageCount = 0;
-  let stoppedReason = null;
-  while (currentPage <= PAGE_MAX_LIMIT) {
-    const pageUrl = currentPage === 1 ? baseUrlString : page.url() || baseUrlString;
-
-    let extracted = null;
-    let lastError = null;
-
-    for (let attempt = 0; attempt <= PAGE_RETRY_COUNT; attempt += 1) {
-      try {
-        if (currentPage === 1) {
-          await page.goto(pageUrl, { waitUntil: 'domcontentloaded' });
-        }
-        await acceptCookies(page);
-        await page.waitForTimeout(750);
-        try {
-          await page.waitForSelector(CARDS_SELECTOR, { timeout: RESULTS_WAIT_TIMEOUT_MS });
-        } catch {
-          // continue to fallback wait logic
-        }
-        await waitForCardsStable(page);
-        await waitForResultsWithRetry(page, `${query}-page-${currentPage}`);
-        await scrollForLazyLoad(page);
-        extracted = await scrapePage(page);
-        if (extracted.results.length > 0 || attempt === PAGE_RETRY_COUNT) {
-          break;
-        }
-        await sleep(1000);
-      } catch (error) {
-        lastError = error;
-        await sleep(1000);
-      }
-    }
+const scrapeAndPublish = async (adapter, options, artifacts) => {
+  const { outputDir } = options;
+  await ensureDirs(options);
+  const { checkpoint, resumed } = await openCheckpoint(adapter, options);
+  const runAt = checkpoint.state.startedAt;
+  log.info('run.started', {
+    adapter: adapter.id,
+    mode: options.mode,
+    queries: options.mode === 'catalogue' ? null : options.queries,
+    resumed,
+  });
 
-    if (!extracted) {
-      const errorMessage = lastError ? lastError.message : 'Unknown error';
-      const debugStamp = new Date().toISOString().replace(/[:.]/g, '-');
-      await fs.writeFile(
-        path.join(DEBUG_DIR, `mayrand-onsale-${slugify(query)}-page-${currentPage}-${debugStamp}.error.txt`),
-        `Failed to scrape page ${currentPage}: ${errorMessage}\n`,
-        'utf8'
-      );
-      break;
-    }
+  // Kept next to the product page cache so a replay never reads the live site's copy.
+  const robots = await loadRobots(new URL(options.baseUrl).origin, {
+    cacheFile: path.join(path.dirname(options.detailCacheFile), `${adapter.id}-robots.json`),
+    timeoutMs: options.pageTimeoutMs,
+    headers: { 'user-agent': USER_AGENT },
+  });
+  const robotsLevel = robots.status === 'unreachable' ? 'warn' : 'info';
+  log[robotsLevel]('politeness.robots', {
+    adapter: adapter.id,
+    status: robots.status,
+    rules: robots.rules.length,
+    crawlDelaySeconds: robots.crawlDelaySeconds,
+  });
+  const scheduler = createScheduler({
+    robots,
+    maxRequestsPerMinute: options.maxRequestsPerMinute,
+    slowResponseMs: options.slowResponseMs,
+    maxBackoffMs: options.maxBackoffMs,
+  });
 
-    if (extracted.results.length === 0) {
-      await saveZeroItemsDebug(page, query, currentPage, extracted);
-    }
+  const blocks = createBlockMonitor({ maxBlockedPages: options.maxBlockedPages, artifacts });
+  const browser = await chromium.launch({ headless: !options.headed });
+  // Closed whatever the outcome, so a blocked run exits instead of waiting on Chromium.
+  const { listing, enrichedItems, runMetadata } = await scrapeWithBrowser(
+    browser,
+    adapter,
+    options,
+    { checkpoint, artifacts, scheduler, blocks, resumed }
+  ).finally(() => browser.close());
+
+  const finishedAt = new Date().toISOString();
+  const metadata = {
+    scrapedAt: finishedAt,
+    startedAt: runAt,
+    finishedAt,
+    durationMs: Date.parse(finishedAt) - Date.parse(runAt),
+    pagesScraped: listing.pageCount,
+    totalItems: enrichedItems.length,
+    ...runMetadata,
+  };
+  log.info('run.finished', {
+    adapter: adapter.id,
+    durationMs: metadata.durationMs,
+    totalItems: metadata.totalItems,
+    stoppedReason: metadata.stoppedReason,
+    detailFailures: metadata.details.failed,
+  });
 
-    if (extracted.visibleCardCount === 0) {
-      const debugBase = `mayrand-onsale-${slugify(query)}-page-${currentPage}`;
-      const htmlPath = path.join(DEBUG_DIR, `${debugBase}.html`);
-      await fs.writeFile(htmlPath, await page.content(), 'utf8');
-      await page.screenshot({
-        path: path.join(DEBUG_DIR, `${debugBase}.png`),
-        fullPage: true,
-      });
-      const emptyDebug = {
-        page: currentPage,
-        url: pageUrl,
-        timestamp: new Date().toISOString(),
-        empty_state_text: extracted.emptyStateText,
-        results_count_text: extracted.resultsCountText,
-        container_selector: extracted.containerSelector,
-        visible_card_count: extracted.visibleCardCount,
-        cards_selector: CARDS_SELECTOR,
-      };
-      await fs.writeFile(
-        path.join(DEBUG_DIR, `${debugBase}.empty.json`),
-        `${JSON.stringify(emptyDebug, null, 2)}\n`,
-        'utf8'
+  const historicalCount = await readHistoricalCount(outputDir);
+  if (enrichedItems.length === 0) {
+    if (historicalCount > 0) {
+      throw new Error(
+        `${adapter.name} scrape returned 0 items; historical count ${historicalCount}. Aborting publish.`
       );
-      console.log(`Mayrand onsale ${query} page ${currentPage}: 0 items`, emptyDebug);
-      emptyPageStreak += 1;
-    } else {
-      emptyPageStreak = 0;
     }
+    await writeJson(path.join(outputDir, 'metadata.json'), metadata);
+    await checkpoint.clear();
+    return;
+  }
 
-    const pageCategory = extracted.breadcrumb || null;
+  const quality = await checkQuality(adapter, enrichedItems, metadata, {
+    runAt,
+    previousCount: historicalCount,
+    options,
+  });
 
-    const pageItems = extracted.results.map((item) => {
-      const parsedSale = parseNumber(item.priceSaleText);
-      const parsedRegular = parseNumber(item.priceRegularText);
-      const { sale, regular } =
-        parsedSale !== null || parsedRegular !== null
-          ? { sale: parsedSale, regular: parsedRegular }
-          : parsePriceCandidates(item.priceCandidates);
-      const normalizedPrices = normalizePricePair({ sale, regular });
-      const resolvedLink = resolveUrl(item.link, baseUrlString);
-      const resolvedImage = resolveUrl(item.image, baseUrlString);
-      return {
-        source: SOURCE,
-        query,
-        name: item.name,
-        brand: item.brand,
-        sku: item.sku,
-        price_sale: normalizedPrices.sale,
-        price_regular: normalizedPrices.regular,
-        unit_label: item.unitLabel,
-        unit_price: null,
-        url: resolvedLink || buildFallbackUrl(item.sku, item.name, baseUrlString),
-        image: resolvedImage,
-        category: item.category || pageCategory,
-        scraped_at: new Date().toISOString(),
-      };
-    });
+  const previousItems = await readPreviousItems(outputDir);
+  // Read before anything is written: an unreadable history stops the run with nothing published.
+  const history = await readHistory(path.join(outputDir, 'history.json'));
+  await writeJson(path.join(outputDir, 'data.json'), enrichedItems);
+  await writeCsv(path.join(outputDir, 'data.csv'), enrichedItems);
+  await publishHistory(history, enrichedItems, runAt, outputDir);
+  await publishChanges(adapter, previousItems, enrichedItems, {
+    runAt,
+    outputDir,
+    mode: options.mode,
+  });
 
-    const allCountBefore = allItems.length;
-    const keyStats = { withSku: 0, withUrl: 0, withFallbackKey: 0 };
-    pageItems.forEach((item) => {
-      let key = null;
-      if (item.sku) {
-        keyStats.withSku += 1;
-        key = item.sku;
-      } else if (item.url) {
-        keyStats.withUrl += 1;
-        key = item.url;
-      } else if (item.name) {
-        keyStats.withFallbackKey += 1;
-        key = buildFallbackKey(item);
-      }
+  await writeJson(path.join(outputDir, 'metadata.json'), {
+    ...metadata,
+    quality: { passed: quality.passed, checks: quality.checks },
+  });
+  await checkpoint.clear();
+};
 
-      if (key) {
-        if (!uniqueItems.has(key)) {
-          uniqueItems.set(key, item);
-          allItems.push(item);
-        }
-        return;
-      }
-      allItems.push(item);
+// Debug captures of this run land in <debugDir>/runs/<runId>; old runs are pruned and the index
+// page rebuilt whether the run succeeds or not.
+const runScrape = async (adapter, options) => {
+  const artifacts = createDebugArtifacts({
+    debugDir: options.debugDir,
+    runId: log.runId,
+    adapter: adapter.id,
+    mode: options.mode,
+  });
+  try {
+    return await scrapeAndPublish(adapter, options, artifacts);
+  } finally {
+    const debug = await artifacts.finalize({
+      retentionDays: options.debugRetentionDays,
+      maxRuns: options.debugMaxRuns,
     });
-    const allCountAfter = allItems.length;
-
-    pageCount += 1;
-
-    const derivedMaxPage =
-      getMaxPageFromButtons(extracted.paginationButtons) ??
-      getPaginationInfo(extracted.paginationLinks, baseUrl);
-    if (Number.isFinite(derivedMaxPage)) {
-      maxPage = maxPage === null ? derivedMaxPage : Math.max(maxPage, derivedMaxPage);
-    }
-
-    console.log(
-      `Mayrand onsale ${query} page ${currentPage}: extracted ${pageItems.length}, unique total ${allItems.length}`,
-      {
-        extractedCount: pageItems.length,
-        allCountBefore,
-        allCountAfter,
-        withSku: keyStats.withSku,
-        withUrl: keyStats.withUrl,
-        withFallbackKey: keyStats.withFallbackKey,
-      }
-    );
-
-    if (pageItems.length === 0) {
-      const debugStamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const debugBase = `mayrand-onsale-${slugify(query)}-page-${currentPage}-extraction-0-${debugStamp}`;
-      await fs.writeFile(path.join(DEBUG_DIR, `${debugBase}.html`), await page.content(), 'utf8');
-      await page.screenshot({
-        path: path.join(DEBUG_DIR, `${debugBase}.png`),
-        fullPage: true,
+    if (debug.artifacts > 0) {
+      log.warn('debug.artifacts', {
+        adapter: adapter.id,
+        count: debug.artifacts,
+        dir: debug.runDir,
       });
     }
-
-    if (emptyPageStreak >= 2) {
-      console.log(
-        `Mayrand onsale ${query} stopping after ${emptyPageStreak} empty pages in a row.`
-      );
-      stoppedReason = 'empty-pages-streak';
-      break;
-    }
-
-    if (maxPage !== null && currentPage >= maxPage) {
-      stoppedReason = 'max-page-reached';
-      break;
-    }
-
-    const targetPage = currentPage + 1;
-    let paginationStatus = null;
-    if (extracted.nextPage && !extracted.nextPage.disabled) {
-      paginationStatus = await goToNextPage(page, baseUrlString, extracted.nextPage);
-    }
-    if (!paginationStatus && maxPage !== null && currentPage < maxPage) {
-      paginationStatus = await goToPage(page, baseUrlString, targetPage);
-    }
-
-    if (!paginationStatus) {
-      stoppedReason = extracted.nextPage?.disabled ? 'next-disabled' : 'no-next-page';
-      break;
-    }
-
-    if (paginationStatus.afterActive !== targetPage) {
-      console.log('No more pages, stopping at page', currentPage);
-      stoppedReason = 'no-next-page';
-      break;
-    }
-
-    currentPage = targetPage;
-    const jitter = 500 + Math.floor(Math.random() * 700);
-    await sleep(jitter);
-  }
-
-  if (!stoppedReason) {
-    stoppedReason = currentPage > PAGE_MAX_LIMIT ? 'page-limit-reached' : 'completed';
   }
+};
 
+const defaultBaseUrl = (adapter, mode) =>
+  mode === 'catalogue' ? adapter.catalogueUrl : adapter.listingUrl;
+
+const resolveAdapterOptions = (adapter, options) => ({
+  ...options,
+  baseUrl: options.baseUrl ?? defaultBaseUrl(adapter, options.mode),
+  outputDir: options.outputDir ?? path.join('public', adapter.id, options.mode),
+  queries: options.queries ?? adapter.defaultQueries,
+  detailCacheFile: options.detailCacheFile ?? path.join(CACHE_DIR, `${adapter.id}-details.json`),
+  checkpointFile:
+    options.checkpointFile ?? path.join(CHECKPOINT_DIR, `${adapter.id}-${options.mode}.json`),
+});
+
+const toReplayOptions = (adapter, options, origin) => {
+  const baseUrl = new URL(options.baseUrl ?? defaultBaseUrl(adapter, options.mode));
   return {
-    baseUrl: baseUrlString,
-    items: allItems,
-    pageCount,
-    stoppedReason,
+    ...options,
+    baseUrl: new URL(`${baseUrl.pathname}${baseUrl.search}`, origin).toString(),
+    outputDir: options.outputDir ?? REPLAY_OUTPUT_DIR,
+    detailCacheFile:
+      options.detailCacheFile ??
+      path.join(REPLAY_OUTPUT_DIR, 'cache', `${adapter.id}-details.json`),
+    checkpointFile:
+      options.checkpointFile ??
+      path.join(REPLAY_OUTPUT_DIR, 'checkpoints', `${adapter.id}-${options.mode}.json`),
   };
 };
 
-const main = async () => {
-  await ensureDirs();
-
-  const browser = await chromium.launch({ headless: true });
-  const browserContext = await browser.newContext({
-    userAgent: USER_AGENT,
-    locale: 'fr-CA',
-    viewport: { width: 1365, height: 768 },
+const main = async (options = DEFAULT_OPTIONS) => {
+  const adapter = getAdapter(options.adapter);
+  if (!adapter) {
+    throw new Error(`Unknown adapter: ${options.adapter}`);
+  }
+  if (!options.replayDir) return runScrape(adapter, resolveAdapterOptions(adapter, options));
+  const fixtureServer = await startFixtureServer({ rootDir: options.replayDir });
+  log.info('replay.started', {
+    adapter: adapter.id,
+    rootDir: options.replayDir,
+    origin: fixtureServer.origin,
   });
-  const page = await browserContext.newPage();
-  page.setDefaultTimeout(PAGE_TIMEOUT_MS);
-
-  const queries = ['onsale', 'promo', 'solde'];
-  let result = null;
-  let queryUsed = null;
-  for (const query of queries) {
-    const runResult = await scrapeListing(page, query);
-    if (runResult.items.length > 0) {
-      result = runResult;
-      queryUsed = query;
-      break;
-    }
-    if (!result) {
-      result = runResult;
-      queryUsed = query;
-    }
+  try {
+    const replayOptions = toReplayOptions(adapter, options, fixtureServer.origin);
+    return await runScrape(adapter, resolveAdapterOptions(adapter, replayOptions));
+  } finally {
+    await fixtureServer.close();
   }
+};
 
-  const uniqueItems = new Map();
-  const finalItems = [];
-  const candidateItems = result?.items ?? [];
-  candidateItems.forEach((item) => {
-    const key = uniqueKeyForItem(item);
-    if (key) {
-      if (uniqueItems.has(key)) return;
-      uniqueItems.set(key, item);
-    }
-    finalItems.push(item);
+// The stack trace goes to the debug directory; the terminal and the log file get run.failed only.
+const writeFatalError = async (error, options) => {
+  await recordFatalError(options.debugDir, {
+    runId: log.runId,
+    adapter: options.adapter,
+    mode: options.mode,
+    error,
   });
+  process.exitCode = error.exitCode ?? 1;
+  log.error('run.failed', {
+    adapter: options.adapter,
+    error: error.message,
+    errorName: error.name,
+    exitCode: process.exitCode,
+  });
+};
 
-  const enrichedItems = await enrichItemsWithDetails(browserContext, finalItems);
-  await browser.close();
+const reportUsageError = (error) => {
+  console.error(error instanceof CliUsageError ? `${error.message}\n\n${HELP_TEXT}` : error);
+  process.exitCode = 2;
+};
 
-  const historicalCount = await readHistoricalCount();
-  if (enrichedItems.length === 0) {
-    if (historicalCount > 0) {
-      throw new Error(
-        `Mayrand onsale scrape returned 0 items; historical count ${historicalCount}. Aborting publish.`
-      );
-    }
-    await writeJson(path.join(OUTPUT_DIR, 'metadata.json'), {
-      pagesScraped: result?.pageCount ?? 0,
-      totalItems: enrichedItems.length,
-    });
+export { DEFAULT_OPTIONS, normalizeWhitespace, parseNumber, parseUnitPriceText };
+
+// Usage problems, an unwritable --log-file included, exit with code 2 before anything is scraped.
+const runCli = async (argv) => {
+  let parsed;
+  try {
+    parsed = await parseCliArgs(argv, DEFAULT_OPTIONS);
+  } catch (error) {
+    reportUsageError(error);
     return;
   }
-
-  await writeJson(path.join(OUTPUT_DIR, 'data.json'), enrichedItems);
-  await writeCsv(path.join(OUTPUT_DIR, 'data.csv'), enrichedItems);
-
-  await writeJson(path.join(OUTPUT_DIR, 'metadata.json'), {
-    pagesScraped: result?.pageCount ?? 0,
-    totalItems: enrichedItems.length,
-  });
+  const { help, options } = parsed;
+  if (help) {
+    console.log(HELP_TEXT);
+    return;
+  }
+  if (!getAdapter(options.adapter)) {
+    reportUsageError(
+      new CliUsageError(
+        `Unknown --adapter ${options.adapter} (available: ${listAdapterIds().join(', ')})`
+      )
+    );
+    return;
+  }
+  try {
+    configureLogger({ level: options.logLevel, filePath: options.logFile });
+  } catch (error) {
+    console.error(`Cannot write the log file ${options.logFile}: ${error.message}`);
+    process.exitCode = 2;
+    return;
+  }
+  await main(options).catch((error) => writeFatalError(error, options));
+  await closeLogger();
 };
 
-export { normalizeWhitespace, parseNumber, parseUnitPriceText };
-
 if (import.meta.url === new URL(process.argv[1], 'file:').href) {
-  main().catch(async (error) => {
-    await ensureDirs();
-    const debugStamp = new Date().toISOString().replace(/[:.]/g, '-');
-    await fs.writeFile(
-      path.join(DEBUG_DIR, `mayrand-onsale-fatal-${debugStamp}.error.txt`),
-      error.stack || error.message,
-      'utf8'
-    );
-    console.error(error);
-    process.exitCode = 1;
-  });
+  runCli(process.argv.slice(2));
 }
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { parseAvailability } from '../scripts/lib/availability.mjs';
+
+test('parseAvailability maps schema.org values and French or English badges', () => {
+  assert.equal(parseAvailability(['https://schema.org/InStock']), 'in_stock');
+  assert.equal(parseAvailability(['http://schema.org/OutOfStock']), 'out_of_stock');
+  assert.equal(parseAvailability(['https://schema.org/LimitedAvailability']), 'limited');
+  assert.equal(parseAvailability(['Non disponible']), 'out_of_stock');
+  assert.equal(parseAvailability(['Produit épuisé']), 'out_of_stock');
+  assert.equal(parseAvailability(['out-of-stock']), 'out_of_stock');
+  assert.equal(parseAvailability(['Quantités limitées']), 'limited');
+  assert.equal(parseAvailability(['Disponible en magasin']), 'in_stock');
+  assert.equal(parseAvailability(['Spécial', null]), 'unknown');
+  assert.equal(parseAvailability([]), 'unknown');
+});
+
+test('parseAvailability trusts the first value that says something', () => {
+  assert.equal(parseAvailability([null, 'Spécial', 'Rupture de stock', 'En stock']), 'out_of_stock');
+  assert.equal(parseAvailability(['https://schema.org/InStock', 'Rupture de stock']), 'in_stock');
+});
+
+test('parseAvailability finds the stock badge among all the badges of a card', () => {
+  // the listing joins every badge of a card, promo ones included
+  assert.equal(parseAvailability(['Disponible en ligne | Rupture de stock']), 'out_of_stock');
+  assert.equal(parseAvailability(['Rabais 20 % | En stock']), 'in_stock');
+});
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  BLOCKED_EXIT_CODE,
+  BlockedError,
+  classifyBlock,
+  createBlockMonitor,
+} from '../scripts/lib/block_detection.mjs';
+
+// Stands in for a Playwright page: readPageSignals only needs the title, the markers found by
+// page.evaluate and the URL.
+const fakePage = ({ url, title = 'Mayrand', challenges = [], captchas = [] }) => ({
+  url: () => url,
+  title: async () => title,
+  evaluate: async () => ({ challenges, captchas }),
+});
+
+test('classifyBlock reads the status, the title and challenge markup', () => {
+  assert.equal(classifyBlock({ status: 403, title: 'Mayrand' }).reason, 'http-403');
+  assert.equal(classifyBlock({ status: 401 }).signal, 'status');
+  assert.equal(classifyBlock({ status: 429, expectedContent: false, contentSeenBefore: true }), null);
+  assert.equal(classifyBlock({ status: 200, title: 'Just a moment...' }).reason, 'challenge-title');
+  assert.equal(classifyBlock({ status: 503, title: 'Accès refusé' }).reason, 'challenge-title');
+  assert.deepEqual(classifyBlock({ status: 503, challenges: ['cloudflare'] }), {
+    reason: 'challenge-cloudflare',
+    signal: 'markup',
+    detail: 'cloudflare',
+  });
+  assert.equal(classifyBlock({ status: 503, title: 'Maintenance' }), null);
+  assert.equal(classifyBlock({ status: 200, title: 'Fromages | Mayrand' }), null);
+});
+
+test('classifyBlock only counts captchas and missing content on pages that lack it', () => {
+  const withContent = { status: 200, captchas: ['recaptcha'], expectedContent: true };
+  assert.equal(classifyBlock(withContent), null);
+  assert.equal(
+    classifyBlock({ ...withContent, expectedContent: false }).reason,
+    'captcha-recaptcha'
+  );
+  assert.equal(classifyBlock({ status: 200, expectedContent: false }), null);
+  assert.equal(
+    classifyBlock({ status: 200, expectedContent: false, contentSeenBefore: true }).reason,
+    'content-missing'
+  );
+  assert.equal(
+    classifyBlock({ status: 404, expectedContent: false, contentSeenBefore: true }),
+    null
+  );
+});
+
+test('createBlockMonitor aborts after maxBlockedPages blocked pages in a row', async () => {
+  const captures = [];
+  const artifacts = { capture: async (_page, entry) => captures.push(entry) };
+  const blocks = createBlockMonitor({ maxBlockedPages: 2, artifacts });
+  const product = fakePage({ url: 'https://mayrand.ca/fr/nos-produits/fromage-12380' });
+  const challenge = fakePage({
+    url: 'https://mayrand.ca/fr/nos-produits/fromage-12381',
+    title: 'Just a moment...',
+  });
+
+  assert.equal(await blocks.check(product, { kind: 'product', expectedContent: true }), null);
+  const first = await blocks.check(product, { kind: 'product', expectedContent: false });
+  assert.equal(first.reason, 'content-missing');
+  // a normal page in between resets the streak
+  assert.equal(await blocks.check(product, { kind: 'product', expectedContent: true }), null);
+  assert.equal((await blocks.check(challenge, { kind: 'product' })).reason, 'challenge-title');
+
+  await assert.rejects(
+    blocks.check(product, { kind: 'product', status: 403 }),
+    (error) =>
+      error instanceof BlockedError &&
+      error.exitCode === BLOCKED_EXIT_CODE &&
+      error.report.last.reason === 'http-403'
+  );
+  assert.throws(() => blocks.throwIfAborted(), BlockedError);
+  assert.deepEqual(blocks.summary(), {
+    maxBlockedPages: 2,
+    checked: 5,
+    blocked: 3,
+    byReason: { 'content-missing': 1, 'challenge-title': 1, 'http-403': 1 },
+    aborted: true,
+  });
+  assert.deepEqual(
+    captures.map((entry) => [entry.kind, entry.details.reason]),
+    [
+      ['blocked', 'content-missing'],
+      ['blocked', 'challenge-title'],
+      ['blocked', 'http-403'],
+    ]
+  );
+});
+
+test('createBlockMonitor leaves a burst of 429 responses to the scheduler', async () => {
+  const blocks = createBlockMonitor({ maxBlockedPages: 3 });
+  const product = fakePage({ url: 'https://mayrand.ca/fr/nos-produits/fromage-12380' });
+
+  assert.equal(await blocks.check(product, { kind: 'product', expectedContent: true }), null);
+  // four workers hit by the same rate limit
+  for (let worker = 0; worker < 4; worker += 1) {
+    const verdict = await blocks.check(product, {
+      kind: 'product',
+      status: 429,
+      expectedContent: false,
+    });
+    assert.equal(verdict, null);
+  }
+  assert.equal(
+    await blocks.check(product, { kind: 'product', status: 200, expectedContent: true }),
+    null
+  );
+  assert.doesNotThrow(() => blocks.throwIfAborted());
+  assert.equal(blocks.summary().blocked, 0);
+  assert.equal(blocks.summary().aborted, false);
+});
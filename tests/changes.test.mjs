@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { diffItems, renderChangesSummary } from '../scripts/lib/changes.mjs';
+
+const keyForItem = (item) => item.sku;
+
+test('diffItems classifies new deals, ended deals and price changes', () => {
+  const previous = [
+    { sku: '1', name: 'Stable', price_sale: 1.99, price_regular: 2.49 },
+    { sku: '2', name: 'Ending', price_sale: 3.99, price_regular: 4.99 },
+    { sku: '3', name: 'Cheaper', price_sale: 5.99, price_regular: 7.99 },
+  ];
+  const current = [
+    { sku: '1', name: 'Stable', price_sale: 1.99, price_regular: 2.49 },
+    { sku: '3', name: 'Cheaper', price_sale: 4.99, price_regular: 7.99 },
+    { sku: '4', name: 'New', price_sale: 0.99, price_regular: 1.49 },
+  ];
+
+  const changes = diffItems(previous, current, { keyForItem });
+
+  assert.deepEqual(changes.counts, { wentOnSale: 1, leftPromo: 1, priceChanged: 1 });
+  assert.equal(changes.wentOnSale[0].sku, '4');
+  assert.equal(changes.wentOnSale[0].before, null);
+  assert.equal(changes.leftPromo[0].sku, '2');
+  assert.equal(changes.leftPromo[0].after, null);
+  assert.deepEqual(changes.priceChanged[0].before, { price_sale: 5.99, price_regular: 7.99 });
+  assert.deepEqual(changes.priceChanged[0].after, { price_sale: 4.99, price_regular: 7.99 });
+});
+
+test('renderChangesSummary lists before and after prices', () => {
+  const changes = diffItems(
+    [{ sku: '3', name: 'Cheaper', url: 'https://example.test/3', price_sale: 5.99, price_regular: 7.99 }],
+    [{ sku: '3', name: 'Cheaper', url: 'https://example.test/3', price_sale: 4.99, price_regular: 7.99 }],
+    { keyForItem }
+  );
+  const summary = renderChangesSummary(changes, {
+    generatedAt: '2026-08-22T03:15:00.000Z',
+    source: 'Mayrand',
+    mode: 'catalogue',
+  });
+  assert.match(summary, /^# Mayrand \(catalogue\) — changements depuis la dernière collecte\n/);
+  assert.match(summary, /\[Cheaper\]\(https:\/\/example\.test\/3\) — 5,99 \$ \(rég\. 7,99 \$\) → 4,99 \$/);
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import {
+  createCheckpoint,
+  createCheckpointStore,
+  readCheckpoint,
+} from '../scripts/lib/checkpoint.mjs';
+
+const options = {
+  adapter: 'mayrand',
+  mode: 'onsale',
+  baseUrl: 'https://mayrand.ca/fr/promotions',
+  queries: ['onsale', 'promo'],
+  queryMode: 'first',
+  maxPages: 100,
+  detailConcurrency: 4,
+};
+
+const withTempDir = async (run) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-'));
+  try {
+    await run(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+test('readCheckpoint only resumes a checkpoint written for the same crawl', () =>
+  withTempDir(async (dir) => {
+    const target = path.join(dir, 'nested', 'mayrand-onsale.json');
+    assert.equal(await readCheckpoint(target, options), null);
+
+    const store = createCheckpointStore(
+      target,
+      createCheckpoint(options, '2026-10-19T03:15:00.000Z')
+    );
+    store.state.listing.current = { query: 'onsale', nextPage: 3, items: [], pages: [] };
+    await store.save();
+
+    const resumed = await readCheckpoint(target, { ...options, detailConcurrency: 1 });
+    assert.equal(resumed.startedAt, '2026-10-19T03:15:00.000Z');
+    assert.equal(resumed.listing.current.nextPage, 3);
+    assert.equal(await readCheckpoint(target, { ...options, maxPages: 2 }), null);
+    assert.equal(await readCheckpoint(target, { ...options, queries: ['promo'] }), null);
+  }));
+
+test('checkpoint saves are serialized and clear removes the file', () =>
+  withTempDir(async (dir) => {
+    const target = path.join(dir, 'checkpoint.json');
+    const store = createCheckpointStore(target, createCheckpoint(options));
+    await Promise.all(
+      Array.from({ length: 5 }, (_, index) => {
+        store.state.details[`sku-${index}`] = { error: 'HTTP 404' };
+        return store.save();
+      })
+    );
+    assert.equal(Object.keys((await readCheckpoint(target, options)).details).length, 5);
+    assert.deepEqual(await fs.readdir(dir), ['checkpoint.json']);
+
+    await store.clear();
+    assert.deepEqual(await fs.readdir(dir), []);
+  }));
+
+test('a failed checkpoint save does not stop later ones', () =>
+  withTempDir(async (dir) => {
+    const target = path.join(dir, 'checkpoint.json');
+    const store = createCheckpointStore(target, createCheckpoint(options));
+    // a directory where the temporary file goes makes the first write fail
+    await fs.mkdir(`${target}.tmp`);
+    store.state.details['sku-1'] = { error: 'HTTP 404' };
+    await store.save();
+    assert.equal(await readCheckpoint(target, options), null);
+
+    await fs.rm(`${target}.tmp`, { recursive: true });
+    store.state.details['sku-2'] = { error: 'HTTP 404' };
+    await store.save();
+    const saved = await readCheckpoint(target, options);
+    assert.deepEqual(Object.keys(saved.details), ['sku-1', 'sku-2']);
+  }));
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { CliUsageError, HELP_TEXT, parseCliArgs } from '../scripts/lib/cli.mjs';
+import { DEFAULT_OPTIONS } from '../scripts/scrape_mayrand_onsale.mjs';
+
+test('parseCliArgs returns the defaults when no flags are given', async () => {
+  const { help, options } = await parseCliArgs([], DEFAULT_OPTIONS);
+  assert.equal(help, false);
+  assert.deepEqual(options, DEFAULT_OPTIONS);
+});
+
+test('parseCliArgs lets flags override the config file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mayrand-cli-'));
+  const configPath = path.join(dir, 'config.json');
+  await fs.writeFile(configPath, JSON.stringify({ queries: ['promo'], maxPages: 3, headed: true }));
+
+  const { options } = await parseCliArgs(
+    ['--config', configPath, '--max-pages', '2', '--query', 'lait,fromage', '--skip-details'],
+    DEFAULT_OPTIONS
+  );
+
+  assert.deepEqual(options.queries, ['lait', 'fromage']);
+  assert.equal(options.maxPages, 2);
+  assert.equal(options.headed, true);
+  assert.equal(options.skipDetails, true);
+  assert.equal(options.baseUrl, DEFAULT_OPTIONS.baseUrl);
+});
+
+test('parseCliArgs rejects invalid values and unknown config keys', async () => {
+  await assert.rejects(parseCliArgs(['--max-pages', 'abc'], DEFAULT_OPTIONS), CliUsageError);
+  await assert.rejects(parseCliArgs(['--nope'], DEFAULT_OPTIONS), CliUsageError);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mayrand-cli-'));
+  const configPath = path.join(dir, 'config.json');
+  await fs.writeFile(configPath, JSON.stringify({ maxPage: 3 }));
+  await assert.rejects(parseCliArgs(['--config', configPath], DEFAULT_OPTIONS), /maxPage/);
+  // inherited Object properties are not options either
+  await fs.writeFile(configPath, JSON.stringify({ toString: 'x' }));
+  await assert.rejects(parseCliArgs(['--config', configPath], DEFAULT_OPTIONS), /toString/);
+});
+
+test('the help prints the --max-pages default', () => {
+  const line = HELP_TEXT.split('\n').find((entry) => entry.includes('--max-pages'));
+  assert.match(line, new RegExp(`\\(default: ${DEFAULT_OPTIONS.maxPages}\\)`));
+});
+
+test('parseCliArgs reads quality gate ratios between 0 and 1', async () => {
+  const { options } = await parseCliArgs(
+    ['--max-item-drop', '0.25', '--max-missing-name', '0'],
+    DEFAULT_OPTIONS
+  );
+  assert.equal(options.maxItemDropRatio, 0.25);
+  assert.equal(options.maxMissingNameRatio, 0);
+  assert.equal(options.maxMissingPriceRatio, DEFAULT_OPTIONS.maxMissingPriceRatio);
+  await assert.rejects(parseCliArgs(['--max-item-drop', '1.5'], DEFAULT_OPTIONS), CliUsageError);
+  await assert.rejects(parseCliArgs(['--max-price-anomalies', 'x'], DEFAULT_OPTIONS), CliUsageError);
+});
+
+test('parseCliArgs accepts the known log levels only', async () => {
+  const { options } = await parseCliArgs(
+    ['--log-level', 'debug', '--log-file', 'outputs/logs/mayrand.ndjson'],
+    DEFAULT_OPTIONS
+  );
+  assert.equal(options.logLevel, 'debug');
+  assert.equal(options.logFile, 'outputs/logs/mayrand.ndjson');
+  await assert.rejects(parseCliArgs(['--log-level', 'verbose'], DEFAULT_OPTIONS), /--log-level/);
+});
+
+test('parseCliArgs reads the listing source', async () => {
+  const { options } = await parseCliArgs([], DEFAULT_OPTIONS);
+  assert.equal(options.listingSource, 'auto');
+  const browser = await parseCliArgs(['--listing-source', 'browser'], DEFAULT_OPTIONS);
+  assert.equal(browser.options.listingSource, 'browser');
+  await assert.rejects(
+    parseCliArgs(['--listing-source', 'api'], DEFAULT_OPTIONS),
+    /--listing-source/
+  );
+});
+
+test('parseCliArgs reads the blocked resource types and --load-all-resources', async () => {
+  const { options } = await parseCliArgs(
+    ['--block-resource-types', 'image,font', '--load-all-resources'],
+    DEFAULT_OPTIONS
+  );
+  assert.deepEqual(options.blockedResourceTypes, ['image', 'font']);
+  assert.equal(options.loadAllResources, true);
+  assert.deepEqual(
+    (await parseCliArgs(['--block-resource-types', ''], DEFAULT_OPTIONS)).options
+      .blockedResourceTypes,
+    []
+  );
+  await assert.rejects(
+    parseCliArgs(['--block-resource-types', 'image,document'], DEFAULT_OPTIONS),
+    /--block-resource-types/
+  );
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { buildCoverageReport, measureCoverage } from '../scripts/lib/coverage.mjs';
+
+const item = (sku, skuSource, overrides = {}) => ({
+  name: `Produit ${sku}`,
+  brand: null,
+  sku,
+  price_sale: 2.49,
+  price_regular: 2.99,
+  unit_label: null,
+  image: null,
+  availability: 'unknown',
+  _sources: {
+    name: 'detail.h1',
+    sku: skuSource,
+    price_sale: 'listing.unit-price',
+    price_regular: 'listing.unit-price',
+  },
+  ...overrides,
+});
+
+test('measureCoverage counts the strategies of each field and the empty ones', () => {
+  const coverage = measureCoverage([
+    item('100', 'listing.data-sku'),
+    item('101', 'listing.data-sku'),
+    item('102', 'fallback.url'),
+    item(null, null, { price_sale: null, _sources: { name: 'detail.h1' } }),
+  ]);
+  assert.equal(coverage.totalItems, 4);
+  assert.deepEqual(coverage.fields.sku, {
+    strategies: { 'listing.data-sku': 2, 'fallback.url': 1 },
+    missing: 1,
+    missingShare: 0.25,
+    primary: 'listing.data-sku',
+    primaryShare: 0.5,
+  });
+  // a price with no recorded strategy still counts as filled
+  assert.deepEqual(coverage.fields.price_regular.strategies, {
+    'listing.unit-price': 3,
+    unknown: 1,
+  });
+  assert.equal(coverage.fields.availability.missing, 4);
+  assert.equal(coverage.fields.availability.primary, null);
+});
+
+test('buildCoverageReport warns when the previous primary strategy loses its share', () => {
+  const skus = Array.from({ length: 10 }, (_, index) => String(200 + index));
+  const previous = measureCoverage(skus.map((sku) => item(sku, 'listing.data-sku')));
+  const redesigned = skus.map((sku, index) =>
+    item(sku, index < 3 ? 'listing.data-sku' : 'listing.text-number')
+  );
+
+  const report = buildCoverageReport(redesigned, previous, { maxDropRatio: 0.2 });
+  assert.deepEqual(report.warnings, [
+    {
+      field: 'sku',
+      strategy: 'listing.data-sku',
+      previousShare: 1,
+      share: 0.3,
+      currentPrimary: 'listing.text-number',
+      missingShare: 0,
+    },
+  ]);
+  assert.deepEqual(buildCoverageReport(redesigned, previous, { maxDropRatio: 0.8 }).warnings, []);
+  assert.deepEqual(buildCoverageReport(redesigned, null).warnings, []);
+  assert.deepEqual(buildCoverageReport([], previous).warnings, []);
+});
@@ -0,0 +1,529 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { mayrandAdapter } from '../scripts/adapters/mayrand.mjs';
+import {
+  combineQueryRuns,
+  discoverCategories,
+  enrichItemsWithDetails,
+  mergeProductDetails,
+  scrapeListing,
+  scrapeQueries,
+} from '../scripts/lib/crawler.mjs';
+import { BlockedError } from '../scripts/lib/block_detection.mjs';
+import {
+  createDetailCacheStore,
+  createEmptyDetailCache,
+  readDetailCache,
+} from '../scripts/lib/detail_cache.mjs';
+import { runQualityGate } from '../scripts/lib/quality.mjs';
+
+const run = (query, skus, pageCount = 1) => ({
+  query,
+  items: skus.map((sku) => ({ sku, query, name: `Produit ${sku}` })),
+  pageCount,
+  stoppedReason: 'completed',
+});
+
+test('combineQueryRuns keeps the first query with items in first mode', () => {
+  const combined = combineQueryRuns([run('onsale', []), run('promo', ['1', '2'], 2)]);
+  assert.equal(combined.queryUsed, 'promo');
+  assert.equal(combined.pageCount, 2);
+  assert.deepEqual(
+    combined.items.map((item) => item.queries),
+    [['promo'], ['promo']]
+  );
+  assert.equal(combined.stoppedReason, 'completed');
+  assert.deepEqual(combined.queryStats.onsale, {
+    items: 0,
+    pages: 1,
+    stoppedReason: 'completed',
+    pageCounts: [],
+  });
+});
+
+test('combineQueryRuns merges every query and records provenance in union mode', () => {
+  const combined = combineQueryRuns(
+    [run('onsale', ['1', '2']), run('promo', ['2', '3']), run('solde', ['3'])],
+    { mode: 'union' }
+  );
+  assert.equal(combined.queryUsed, null);
+  assert.equal(combined.pageCount, 3);
+  assert.deepEqual(
+    Object.fromEntries(combined.items.map((item) => [item.sku, item.queries])),
+    { 1: ['onsale'], 2: ['onsale', 'promo'], 3: ['promo', 'solde'] }
+  );
+  assert.equal(combined.items.find((item) => item.sku === '2').query, 'onsale');
+  assert.deepEqual(
+    Object.fromEntries(
+      Object.entries(combined.queryStats).map(([query, stats]) => [query, stats.exclusive])
+    ),
+    { onsale: 1, promo: 0, solde: 0 }
+  );
+});
+
+test('discoverCategories walks the tree and returns leaf categories only', async () => {
+  const root = 'https://example.test/fr/nos-produits';
+  const links = {
+    [root]: [`${root}/epicerie`, `${root}/fruits-et-legumes`, 'https://example.test/fr/contact'],
+    [`${root}/epicerie`]: [
+      `${root}/epicerie/confiserie`,
+      `${root}/epicerie/confiserie/bonbon/bonbon-gelatine-gummi-party-01128`,
+    ],
+    [`${root}/fruits-et-legumes`]: [`${root}/fruits-et-legumes/fruits/mangue/mangue-rouge-12383`],
+    [`${root}/epicerie/confiserie`]: [`${root}/epicerie/confiserie/chocolat`],
+  };
+  let currentUrl = null;
+  const visited = [];
+  const page = {
+    goto: async (url) => {
+      currentUrl = url;
+      visited.push(url);
+    },
+  };
+  const adapter = {
+    ...mayrandAdapter,
+    acceptConsent: async () => {},
+    extractCategoryLinks: async () => links[currentUrl] ?? [],
+  };
+
+  const categories = await discoverCategories(adapter, page, {
+    baseUrl: root,
+    pageDelayMs: 0,
+    pageJitterMs: 0,
+  });
+
+  assert.deepEqual(
+    categories.map((category) => category.path.join('/')).sort(),
+    ['epicerie/confiserie/bonbon', 'epicerie/confiserie/chocolat', 'fruits-et-legumes/fruits/mangue']
+  );
+  assert.equal(
+    categories.find((category) => category.path.at(-1) === 'mangue').url,
+    `${root}/fruits-et-legumes/fruits/mangue`
+  );
+  assert.ok(!visited.includes(`${root}/epicerie/confiserie/bonbon`));
+});
+
+const productDetails = (overrides) => ({
+  productName: '',
+  productBrand: '',
+  productSku: '12383',
+  offerPrices: [],
+  h1Text: 'Mangue rouge',
+  ogTitle: '',
+  breadcrumb: '',
+  breadcrumbItems: [],
+  priceSaleText: '1.49 $',
+  priceRegularText: '1.99 $',
+  priceCandidates: [],
+  unitLabel: '',
+  unitPriceText: '',
+  ...overrides,
+});
+
+test('mergeProductDetails splits the breadcrumb into category levels', () => {
+  const item = mergeProductDetails(
+    mayrandAdapter,
+    { url: 'https://mayrand.ca/fr/nos-produits/fruits-et-legumes/fruits/mangue/mangue-rouge-12383' },
+    productDetails({
+      breadcrumb: 'Nos produits / Fruits et légumes / Fruits / Mangue / Mangue rouge',
+      breadcrumbItems: ['Nos produits', 'Fruits et légumes', 'Fruits', 'Mangue', 'Mangue rouge'],
+    })
+  );
+  assert.deepEqual(item.category_path, ['Fruits et légumes', 'Fruits', 'Mangue']);
+  assert.equal(item.category, 'Fruits et légumes > Fruits > Mangue');
+  assert.equal(item.category_l1, 'Fruits et légumes');
+  assert.equal(item.category_l2, 'Fruits');
+  assert.equal(item.category_l3, 'Mangue');
+});
+
+test('mergeProductDetails falls back to the URL segments without a breadcrumb', () => {
+  const item = mergeProductDetails(
+    mayrandAdapter,
+    { url: 'https://mayrand.ca/fr/nos-produits/epicerie/confiserie/bonbon-gummi-01128' },
+    productDetails({ breadcrumb: 'Accueil > Nos produits' })
+  );
+  assert.deepEqual(item.category_path, ['epicerie', 'confiserie']);
+  assert.equal(item.category_l2, 'confiserie');
+  assert.equal(item.category_l3, null);
+
+  const unknown = mergeProductDetails(
+    mayrandAdapter,
+    { url: 'https://mayrand.ca/fr/page-recherche#sans-lien' },
+    productDetails({})
+  );
+  assert.equal(unknown.category, null);
+  assert.deepEqual(unknown.category_path, []);
+});
+
+test('getCategoryLevels tolerates a missing breadcrumb and product name', () => {
+  const url = 'https://mayrand.ca/fr/nos-produits/epicerie/confiserie/bonbon-gummi-01128';
+  [null, undefined].forEach((missing) => {
+    assert.deepEqual(
+      mayrandAdapter.getCategoryLevels({ breadcrumb: missing, productName: missing, url }),
+      ['epicerie', 'confiserie']
+    );
+    assert.deepEqual(
+      mayrandAdapter.getCategoryLevels({
+        breadcrumbItems: missing,
+        breadcrumb: 'Nos produits > Épicerie > Confiserie',
+        productName: missing,
+        url: null,
+      }),
+      ['Épicerie', 'Confiserie']
+    );
+    assert.deepEqual(
+      mayrandAdapter.getCategoryLevels({ breadcrumb: missing, productName: missing, url: null }),
+      []
+    );
+
+    const item = mergeProductDetails(
+      mayrandAdapter,
+      { url, name: missing },
+      productDetails({ breadcrumb: missing, breadcrumbItems: missing, h1Text: missing })
+    );
+    assert.deepEqual(item.category_path, ['epicerie', 'confiserie']);
+  });
+});
+
+test('mergeProductDetails keeps promotion dates for sale items only', () => {
+  const url = 'https://mayrand.ca/fr/nos-produits/fruits-et-legumes/fruits/mangue/mangue-rouge-12383';
+  const details = productDetails({
+    offerValidUntil: '2026-10-29',
+    promoTexts: ['Prix valide du 23 au 29 octobre 2026'],
+  });
+  const onSale = mergeProductDetails(
+    mayrandAdapter,
+    { url, scraped_at: '2026-10-19T12:00:00Z' },
+    details
+  );
+  assert.equal(onSale.promo_start, '2026-10-23');
+  assert.equal(onSale.promo_end, '2026-10-29');
+
+  const regular = mergeProductDetails(
+    mayrandAdapter,
+    { url },
+    { ...details, priceSaleText: '', priceRegularText: '1.99 $' }
+  );
+  assert.equal(regular.promo_start, null);
+  assert.equal(regular.promo_end, null);
+});
+
+test('mergeProductDetails reads availability from JSON-LD, then page text, then the listing', () => {
+  const url = 'https://mayrand.ca/fr/nos-produits/fruits-et-legumes/fruits/mangue/mangue-rouge-12383';
+  const merge = (details, item = {}) =>
+    mergeProductDetails(mayrandAdapter, { url, ...item }, productDetails(details)).availability;
+  assert.equal(merge({ offerAvailability: ['https://schema.org/OutOfStock'] }), 'out_of_stock');
+  assert.equal(merge({ availabilityTexts: ['Non disponible'] }), 'out_of_stock');
+  assert.equal(merge({}, { availability: 'limited' }), 'limited');
+  assert.equal(merge({}), 'unknown');
+});
+
+test('mergeProductDetails records which step of each fallback chain filled a field', () => {
+  const url = 'https://mayrand.ca/fr/nos-produits/fruits-et-legumes/fruits/mangue/mangue-rouge-12383';
+  const listed = {
+    url,
+    name: 'Mangue',
+    sku: '12383',
+    price_sale: 1.29,
+    price_regular: 1.99,
+    image: 'https://mayrand.ca/images/mangue.jpg',
+    _sources: {
+      name: 'listing.link-text',
+      sku: 'listing.text-number',
+      price_sale: 'listing.unit-price',
+      price_regular: 'listing.unit-price',
+      image: 'listing.img-src',
+    },
+  };
+  const fromPage = mergeProductDetails(
+    mayrandAdapter,
+    listed,
+    productDetails({
+      priceSaleText: '',
+      priceRegularText: '1.99 $',
+      offerPrices: ['1.49'],
+      sources: { priceSaleText: null, priceRegularText: 'strikethrough' },
+    })
+  );
+  assert.deepEqual(fromPage._sources, {
+    name: 'detail.h1',
+    brand: null,
+    sku: 'detail.jsonld',
+    price_sale: 'detail.jsonld',
+    price_regular: 'detail.strikethrough',
+    availability: null,
+    unit_label: null,
+    image: 'listing.img-src',
+  });
+
+  const fromListing = mergeProductDetails(
+    mayrandAdapter,
+    listed,
+    productDetails({ h1Text: '', productSku: '', priceSaleText: '', priceRegularText: '' })
+  );
+  assert.equal(fromListing._sources.name, 'listing.link-text');
+  assert.equal(fromListing._sources.sku, 'listing.text-number');
+  assert.equal(fromListing._sources.price_sale, 'listing.unit-price');
+
+  const fallback = mergeProductDetails(
+    mayrandAdapter,
+    { url },
+    productDetails({ h1Text: '', productSku: '', priceSaleText: '', priceRegularText: '' })
+  );
+  assert.equal(fallback._sources.name, 'fallback.url');
+  assert.equal(fallback._sources.sku, 'fallback.url');
+  assert.equal(fallback._sources.price_sale, null);
+});
+
+test('mergeProductDetails lists the fields where the product page contradicts the listing', () => {
+  const url = 'https://mayrand.ca/fr/nos-produits/fruits-et-legumes/fruits/mangue/mangue-rouge-12383';
+  const merge = (listed, overrides = {}) =>
+    mergeProductDetails(mayrandAdapter, { url, ...listed }, productDetails(overrides))
+      .listing_detail_mismatch;
+
+  assert.deepEqual(merge({ sku: '12383', price_sale: 1.29, price_regular: 1.99 }), ['price_sale']);
+  assert.deepEqual(merge({ sku: '12384', price_sale: 1.49, price_regular: 1.99 }), ['sku']);
+  assert.deepEqual(merge({ sku: '12383', price_sale: 1.49, price_regular: 1.99 }), []);
+  // a value only one side has is missing data, not a disagreement
+  assert.deepEqual(merge({ price_sale: null }), []);
+  assert.deepEqual(merge({ price_sale: 1.29 }, { priceSaleText: '', priceRegularText: '' }), []);
+});
+
+test('enrichItemsWithDetails keeps listing data and counts failed product pages', async () => {
+  const base = 'https://mayrand.ca/fr/nos-produits/fruits-et-legumes/fruits/mangue';
+  const context = {
+    newPage: async () => ({ setDefaultTimeout: () => {}, close: async () => {} }),
+  };
+  const adapter = {
+    ...mayrandAdapter,
+    extractProductDetails: async (page, url) => {
+      if (url.endsWith('-404')) return productDetails({ status: 404 });
+      if (url.endsWith('-boom')) throw new Error('Timeout 45000ms exceeded');
+      return productDetails({ status: 200 });
+    },
+  };
+  const items = ['12383', '404', 'boom'].map((suffix) => ({
+    name: `Mangue ${suffix}`,
+    sku: null,
+    url: `${base}/mangue-${suffix}`,
+  }));
+
+  const { items: enriched, failures } = await enrichItemsWithDetails(adapter, context, items, {
+    detailConcurrency: 2,
+    detailDelayMs: 0,
+    detailJitterMs: 0,
+    pageTimeoutMs: 1000,
+  });
+
+  assert.equal(enriched[0].name, 'Mangue rouge');
+  assert.equal(enriched[1].name, 'Mangue 404');
+  assert.deepEqual(failures.map((failure) => failure.error).sort(), [
+    'HTTP 404',
+    'Timeout 45000ms exceeded',
+  ]);
+});
+
+test('enrichItemsWithDetails keeps one item when product pages give two listings one SKU', async () => {
+  const base = 'https://mayrand.ca/fr/nos-produits/epicerie/huile';
+  const context = {
+    newPage: async () => ({ setDefaultTimeout: () => {}, close: async () => {} }),
+  };
+  // both formats link to pages whose JSON-LD names the product SKU
+  const adapter = {
+    ...mayrandAdapter,
+    extractProductDetails: async () => productDetails({ status: 200, productSku: '40100' }),
+  };
+  const items = ['40101', '40102'].map((sku) => ({
+    name: `Huile ${sku}`,
+    sku,
+    url: `${base}/huile-${sku}`,
+    price_sale: 1.49,
+    price_regular: 1.99,
+  }));
+
+  const result = await enrichItemsWithDetails(adapter, context, items, {
+    detailConcurrency: 1,
+    detailDelayMs: 0,
+    detailJitterMs: 0,
+    pageTimeoutMs: 1000,
+  });
+
+  assert.deepEqual(
+    result.items.map((item) => [item.sku, item.url]),
+    [['40100', `${base}/huile-40101`]]
+  );
+  assert.deepEqual(result.duplicates, [
+    { key: '40100', url: `${base}/huile-40102`, keptUrl: `${base}/huile-40101` },
+  ]);
+  assert.equal(runQualityGate(result.items, {}).itemIssues.byRule.unique, undefined);
+});
+
+test('enrichItemsWithDetails reuses cached pages until the listing data changes', async () => {
+  const url = 'https://mayrand.ca/fr/nos-produits/fruits-et-legumes/fruits/mangue-12383';
+  const item = { name: 'Mangue', sku: '12383', url, price_sale: 1.99, price_regular: 2.49 };
+  let fetched = 0;
+  const context = {
+    newPage: async () => ({ setDefaultTimeout: () => {}, close: async () => {} }),
+  };
+  const adapter = {
+    ...mayrandAdapter,
+    extractProductDetails: async () => {
+      fetched += 1;
+      return productDetails({ status: 200 });
+    },
+  };
+  const options = {
+    detailConcurrency: 1,
+    detailDelayMs: 0,
+    detailJitterMs: 0,
+    detailCacheTtlHours: 24,
+    pageTimeoutMs: 1000,
+  };
+  const cache = { state: createEmptyDetailCache(), save: async () => {} };
+
+  const first = await enrichItemsWithDetails(adapter, context, [item], options, { cache });
+  const second = await enrichItemsWithDetails(adapter, context, [item], options, { cache });
+  assert.equal(fetched, 1);
+  assert.equal(first.cacheHits, 0);
+  assert.equal(second.cacheHits, 1);
+  assert.equal(second.items[0].name, 'Mangue rouge');
+
+  const repriced = { ...item, price_sale: 1.49 };
+  const third = await enrichItemsWithDetails(adapter, context, [repriced], options, { cache });
+  assert.equal(fetched, 2);
+  assert.equal(third.cacheHits, 0);
+});
+
+test('enrichItemsWithDetails skips items already handled before an interruption', async () => {
+  const base = 'https://mayrand.ca/fr/nos-produits/fruits-et-legumes/fruits';
+  const items = ['12383', '12384', '12385'].map((sku) => ({
+    name: `Mangue ${sku}`,
+    sku,
+    url: `${base}/mangue-${sku}`,
+  }));
+  const fetchedUrls = [];
+  const context = {
+    newPage: async () => ({ setDefaultTimeout: () => {}, close: async () => {} }),
+  };
+  const adapter = {
+    ...mayrandAdapter,
+    extractProductDetails: async (page, url) => {
+      fetchedUrls.push(url);
+      return productDetails({ status: 200 });
+    },
+  };
+  let saves = 0;
+  const checkpoint = {
+    state: {
+      details: {
+        12383: { details: productDetails({ status: 200 }), fromCache: true },
+        12384: { error: 'HTTP 503' },
+      },
+    },
+    save: async () => {
+      saves += 1;
+    },
+  };
+
+  const result = await enrichItemsWithDetails(
+    adapter,
+    context,
+    items,
+    { detailConcurrency: 2, detailDelayMs: 0, detailJitterMs: 0, pageTimeoutMs: 1000 },
+    { checkpoint }
+  );
+
+  assert.deepEqual(fetchedUrls, [`${base}/mangue-12385`]);
+  assert.equal(result.cacheHits, 1);
+  assert.deepEqual(result.failures, [{ url: `${base}/mangue-12384`, error: 'HTTP 503' }]);
+  assert.equal(result.items[0].name, 'Mangue rouge');
+  assert.equal(checkpoint.state.details['12385'].fromCache, false);
+  assert.equal(saves, 1);
+});
+
+test('enrichItemsWithDetails writes the cache with each batch, before the run ends', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'detail-cache-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const target = path.join(dir, 'mayrand-details.json');
+  const base = 'https://mayrand.ca/fr/nos-produits/fruits-et-legumes/fruits';
+  const items = Array.from({ length: 12 }, (_, index) => ({
+    name: `Mangue ${index}`,
+    sku: String(12300 + index),
+    url: `${base}/mangue-${12300 + index}`,
+  }));
+  const context = {
+    newPage: async () => ({ setDefaultTimeout: () => {}, close: async () => {} }),
+  };
+  let fetched = 0;
+  // the run dies on the 12th page
+  const adapter = {
+    ...mayrandAdapter,
+    extractProductDetails: async () => {
+      fetched += 1;
+      if (fetched === 12) throw new BlockedError('Blocked', {});
+      return productDetails({ status: 200 });
+    },
+  };
+  const options = {
+    detailConcurrency: 1,
+    detailDelayMs: 0,
+    detailJitterMs: 0,
+    detailCacheTtlHours: 72,
+    pageTimeoutMs: 1000,
+  };
+  const cache = createDetailCacheStore(target, createEmptyDetailCache(), { ttlHours: 72 });
+
+  await assert.rejects(
+    enrichItemsWithDetails(adapter, context, items, options, { cache }),
+    BlockedError
+  );
+  const written = await readDetailCache(target);
+  assert.equal(Object.keys(written.entries).length, 10);
+});
+
+test('scrapeQueries returns the listings a checkpoint already finished', async () => {
+  const checkpoint = {
+    state: { listing: { targets: null, runs: [run('onsale', ['a', 'b'], 2)], current: null } },
+    save: async () => {},
+  };
+  const runs = await scrapeQueries(
+    mayrandAdapter,
+    null,
+    { queries: ['onsale', 'promo'], queryMode: 'first' },
+    { checkpoint }
+  );
+  assert.deepEqual(
+    runs.map((entry) => entry.query),
+    ['onsale']
+  );
+});
+
+test('scrapeListing reports a listing page that fails extraction as page-failed', async () => {
+  let attempts = 0;
+  const page = {
+    url: () => 'https://mayrand.ca/fr/page-recherche?search=onsale',
+    goto: async () => {
+      attempts += 1;
+      throw new Error('net::ERR_CONNECTION_RESET');
+    },
+  };
+  const run = await scrapeListing(
+    mayrandAdapter,
+    page,
+    'onsale',
+    {
+      baseUrl: 'https://mayrand.ca/fr/page-recherche',
+      maxPages: 5,
+      listingSource: 'browser',
+      pageDelayMs: 0,
+      pageJitterMs: 0,
+    }
+  );
+  assert.equal(attempts, 3);
+  assert.equal(run.pageCount, 0);
+  assert.equal(run.stoppedReason, 'page-failed');
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { parseDateText, parsePromoDates } from '../scripts/lib/dates.mjs';
+
+const RUN_AT = '2026-10-19T12:00:00.000Z';
+
+test('parseDateText normalizes French, English and numeric dates to ISO', () => {
+  assert.equal(parseDateText('2026-10-29T23:59:59-04:00'), '2026-10-29');
+  assert.equal(parseDateText('29/10/2026'), '2026-10-29');
+  assert.equal(parseDateText('1er novembre 2026'), '2026-11-01');
+  assert.equal(parseDateText('23 oct.', { referenceDate: RUN_AT }), '2026-10-23');
+  assert.equal(parseDateText('October 30, 2026'), '2026-10-30');
+  assert.equal(parseDateText('3 janvier', { referenceDate: '2026-12-20T12:00:00Z' }), '2027-01-03');
+  assert.equal(parseDateText('31 février 2026'), null);
+  assert.equal(parseDateText(null), null);
+});
+
+test('parsePromoDates prefers JSON-LD offer dates', () => {
+  assert.deepEqual(
+    parsePromoDates({
+      validFrom: '2026-10-16',
+      validUntil: '2026-10-29',
+      texts: ["Valide jusqu'au 30 octobre"],
+      referenceDate: RUN_AT,
+    }),
+    { promo_start: '2026-10-16', promo_end: '2026-10-29' }
+  );
+});
+
+test('parsePromoDates reads ranges and "valide jusqu’au" text', () => {
+  const fromText = (text) => parsePromoDates({ texts: [text], referenceDate: RUN_AT });
+  assert.deepEqual(fromText('Prix valide du 17 au 23 octobre'), {
+    promo_start: '2026-10-17',
+    promo_end: '2026-10-23',
+  });
+  assert.deepEqual(fromText('Promotion valable du 28 décembre au 3 janvier'), {
+    promo_start: '2026-12-28',
+    promo_end: '2027-01-03',
+  });
+  assert.deepEqual(fromText('En vigueur du 15/10/2026 au 28/10/2026'), {
+    promo_start: '2026-10-15',
+    promo_end: '2026-10-28',
+  });
+  assert.deepEqual(fromText('Offre valide jusqu’au 1er nov.'), {
+    promo_start: null,
+    promo_end: '2026-11-01',
+  });
+  assert.deepEqual(fromText('Livraison gratuite'), { promo_start: null, promo_end: null });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { scoreDeals, summarizeDeals } from '../scripts/lib/deals.mjs';
+import { normalizePricePair } from '../scripts/lib/utils.mjs';
+
+test('normalizePricePair flags a sale price that is not below the regular price', () => {
+  assert.deepEqual(normalizePricePair({ sale: 3.99, regular: 4.99 }), {
+    sale: 3.99,
+    regular: 4.99,
+    anomaly: null,
+  });
+  assert.deepEqual(normalizePricePair({ sale: 4.99, regular: 3.99 }), {
+    sale: 4.99,
+    regular: 3.99,
+    anomaly: 'sale-not-below-regular',
+  });
+  assert.equal(normalizePricePair({ sale: 2, regular: 2 }).anomaly, 'sale-not-below-regular');
+  assert.deepEqual(normalizePricePair({ sale: 2, regular: null }), {
+    sale: null,
+    regular: 2,
+    anomaly: null,
+  });
+});
+
+test('scoreDeals computes savings and percent off, skipping flagged and regular-price items', () => {
+  const [deal, flagged, regular] = scoreDeals([
+    { sku: '1', price_sale: 3, price_regular: 4 },
+    { sku: '2', price_sale: 5, price_regular: 4, price_anomaly: 'sale-not-below-regular' },
+    { sku: '3', price_sale: null, price_regular: 4 },
+  ]);
+  assert.equal(deal.savings, 1);
+  assert.equal(deal.percent_off, 25);
+  assert.equal(deal.deal_score, 25);
+  [flagged, regular].forEach((item) => {
+    assert.equal(item.savings, null);
+    assert.equal(item.percent_off, null);
+    assert.equal(item.deal_score, null);
+  });
+});
+
+test('scoreDeals weighs the normalized unit price against comparable deals', () => {
+  const deal = (sku, normalizedPrice) => ({
+    sku,
+    price_sale: 8,
+    price_regular: 10,
+    normalized_unit: 'kg',
+    normalized_price_sale: normalizedPrice,
+    category_l1: 'Épicerie',
+  });
+  const scored = scoreDeals([deal('cheap', 5), deal('mid', 10), deal('dear', 20)]);
+  assert.deepEqual(
+    scored.map((item) => item.deal_score),
+    [44, 29, 14]
+  );
+
+  const summary = summarizeDeals([
+    ...scored,
+    { sku: 'x', price_sale: 5, price_regular: 4, price_anomaly: 'sale-not-below-regular' },
+  ]);
+  assert.equal(summary.activeDeals, 3);
+  assert.equal(summary.flaggedPrices, 1);
+  assert.equal(summary.totalSavings, 6);
+  assert.equal(summary.averagePercentOff, 20);
+  assert.equal(summary.medianPercentOff, 20);
+  assert.deepEqual(
+    summary.topDeals.map((item) => item.key),
+    ['cheap', 'mid', 'dear']
+  );
+});
+
+test('summarizeDeals leaves out-of-stock promotions out of the active deals', () => {
+  const summary = summarizeDeals(
+    scoreDeals([
+      { sku: 'ok', price_sale: 3, price_regular: 4, availability: 'in_stock' },
+      { sku: 'gone', price_sale: 1, price_regular: 4, availability: 'out_of_stock' },
+    ])
+  );
+  assert.equal(summary.activeDeals, 1);
+  assert.equal(summary.outOfStockDeals, 1);
+  assert.equal(summary.maxPercentOff, 25);
+  assert.deepEqual(
+    summary.topDeals.map((item) => item.key),
+    ['ok']
+  );
+});
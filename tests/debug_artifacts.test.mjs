@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import {
+  applyRetention,
+  createDebugArtifacts,
+  recordFatalError,
+  runIdTime,
+} from '../scripts/lib/debug_artifacts.mjs';
+
+const fakePage = (url) => ({
+  url: () => url,
+  title: async () => 'Recherche | Mayrand',
+  content: async () => '<html><body>Aucun résultat</body></html>',
+  screenshot: async ({ path: target }) => fs.writeFile(target, 'png'),
+});
+
+const withTempDir = async (run) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'debug-artifacts-'));
+  try {
+    await run(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+test('runIdTime reads the start time encoded in a run id', () => {
+  assert.equal(runIdTime('20261019T031500Z-3f9a1c'), Date.parse('2026-10-19T03:15:00Z'));
+  assert.equal(runIdTime('manual'), null);
+});
+
+test('captures are listed in the run manifest and the index page', () =>
+  withTempDir(async (debugDir) => {
+    const runId = '20261019T031500Z-3f9a1c';
+    const artifacts = createDebugArtifacts({ debugDir, runId, adapter: 'mayrand', mode: 'onsale' });
+    await artifacts.capture(fakePage('https://mayrand.ca/fr/page-recherche?search=onsale'), {
+      kind: 'zero-items',
+      query: 'onsale',
+      page: 2,
+      details: { captcha: { detected: false, keywords: [] } },
+    });
+    await artifacts.note({ kind: 'listing-error', query: 'promo', page: 1, message: 'Timeout' });
+    const result = await artifacts.finalize({ retentionDays: 7, maxRuns: 10 });
+
+    assert.equal(result.artifacts, 2);
+    const runDir = path.join(debugDir, 'runs', runId);
+    assert.deepEqual((await fs.readdir(runDir)).sort(), [
+      '001-zero-items-onsale-p2.html',
+      '001-zero-items-onsale-p2.png',
+      'manifest.json',
+    ]);
+    const manifest = JSON.parse(await fs.readFile(path.join(runDir, 'manifest.json'), 'utf8'));
+    assert.deepEqual(
+      manifest.artifacts.map((entry) => [entry.kind, entry.query, entry.page]),
+      [
+        ['zero-items', 'onsale', 2],
+        ['listing-error', 'promo', 1],
+      ]
+    );
+    assert.deepEqual(manifest.artifacts[0].files, {
+      html: '001-zero-items-onsale-p2.html',
+      screenshot: '001-zero-items-onsale-p2.png',
+    });
+
+    const index = await fs.readFile(path.join(debugDir, 'index.html'), 'utf8');
+    assert.match(index, /runs\/20261019T031500Z-3f9a1c\/001-zero-items-onsale-p2\.png/);
+    assert.match(index, /listing-error/);
+  }));
+
+test('a run without captures writes nothing but the index', () =>
+  withTempDir(async (debugDir) => {
+    const artifacts = createDebugArtifacts({
+      debugDir,
+      runId: '20261019T031500Z-3f9a1c',
+      adapter: 'mayrand',
+      mode: 'onsale',
+    });
+    await artifacts.finalize({ retentionDays: 7, maxRuns: 10 });
+    assert.deepEqual(await fs.readdir(debugDir), ['index.html']);
+  }));
+
+test('applyRetention drops old runs, runs past the limit and legacy loose files', () =>
+  withTempDir(async (debugDir) => {
+    const runIds = [
+      '20261019T031500Z-aaaaaa',
+      '20261018T031500Z-bbbbbb',
+      '20261017T031500Z-cccccc',
+      '20261001T031500Z-dddddd',
+    ];
+    for (const runId of runIds) {
+      await fs.mkdir(path.join(debugDir, 'runs', runId), { recursive: true });
+    }
+    await fs.writeFile(path.join(debugDir, 'mayrand-pagination-fail-2.png'), 'png');
+    await fs.writeFile(path.join(debugDir, 'mayrand-onsale-quality.json'), '{}');
+    await fs.writeFile(path.join(debugDir, 'mayrand-onsale-coverage.json'), '{}');
+
+    const removed = await applyRetention(debugDir, {
+      retentionDays: 7,
+      maxRuns: 2,
+      now: Date.parse('2026-10-19T12:00:00Z'),
+    });
+
+    assert.deepEqual(removed.sort(), [
+      'mayrand-pagination-fail-2.png',
+      'runs/20261001T031500Z-dddddd',
+      'runs/20261017T031500Z-cccccc',
+    ]);
+    assert.deepEqual(await fs.readdir(path.join(debugDir, 'runs')), runIds.slice(0, 2).reverse());
+    assert.deepEqual((await fs.readdir(debugDir)).sort(), [
+      'mayrand-onsale-coverage.json',
+      'mayrand-onsale-quality.json',
+      'runs',
+    ]);
+  }));
+
+test('recordFatalError adds the error to the run manifest', () =>
+  withTempDir(async (debugDir) => {
+    const runId = '20261019T031500Z-3f9a1c';
+    await recordFatalError(debugDir, {
+      runId,
+      adapter: 'mayrand',
+      mode: 'onsale',
+      error: new Error('browserType.launch: Executable does not exist'),
+    });
+    const runDir = path.join(debugDir, 'runs', runId);
+    const manifest = JSON.parse(await fs.readFile(path.join(runDir, 'manifest.json'), 'utf8'));
+    assert.equal(manifest.artifacts[0].kind, 'fatal');
+    assert.equal(manifest.artifacts[0].files.text, '001-fatal.txt');
+    assert.match(await fs.readFile(path.join(runDir, '001-fatal.txt'), 'utf8'), /Executable/);
+  }));
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import {
+  createEmptyDetailCache,
+  listingFingerprint,
+  lookupDetails,
+  readDetailCache,
+  storeDetails,
+  writeDetailCache,
+} from '../scripts/lib/detail_cache.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const item = { name: 'Mangue', price_sale: 1.99, price_regular: 2.49, image: null };
+
+test('listingFingerprint only changes with the price, name and image', () => {
+  const fingerprint = listingFingerprint(item);
+  assert.equal(listingFingerprint({ ...item, unit_price: 0.44 }), fingerprint);
+  assert.notEqual(listingFingerprint({ ...item, price_sale: 1.49 }), fingerprint);
+  assert.notEqual(listingFingerprint({ ...item, name: 'Mangue Ataulfo' }), fingerprint);
+  assert.notEqual(listingFingerprint({ ...item, image: 'https://mayrand.ca/a.jpg' }), fingerprint);
+});
+
+test('lookupDetails misses on a changed fingerprint or an expired entry', () => {
+  const cache = createEmptyDetailCache();
+  const fingerprint = listingFingerprint(item);
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  storeDetails(cache, '12383', fingerprint, { name: 'Mangue rouge' }, '2026-10-19T00:00:00.000Z');
+
+  assert.deepEqual(lookupDetails(cache, '12383', fingerprint, { now, ttlHours: 24 }), {
+    name: 'Mangue rouge',
+  });
+  assert.equal(lookupDetails(cache, '12383', 'other', { now, ttlHours: 24 }), null);
+  assert.equal(lookupDetails(cache, '12383', fingerprint, { now, ttlHours: 6 }), null);
+  assert.equal(lookupDetails(cache, '99999', fingerprint, { now, ttlHours: 24 }), null);
+});
+
+test('writeDetailCache drops expired entries and readDetailCache round-trips', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'detail-cache-'));
+  const target = path.join(dir, 'nested', 'details.json');
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  const cache = createEmptyDetailCache();
+  storeDetails(cache, 'fresh', 'a', { name: 'A' }, new Date(now - HOUR_MS).toISOString());
+  storeDetails(cache, 'stale', 'b', { name: 'B' }, new Date(now - 48 * HOUR_MS).toISOString());
+
+  try {
+    assert.deepEqual(await readDetailCache(target), createEmptyDetailCache());
+    await writeDetailCache(target, cache, { now, ttlHours: 24 });
+    const reloaded = await readDetailCache(target);
+    assert.deepEqual(Object.keys(reloaded.entries), ['fresh']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { startFixtureServer } from '../scripts/lib/fixture_server.mjs';
+
+const FIXTURES_DIR = path.join('tests', 'fixtures', 'mayrand');
+
+test('startFixtureServer matches routes.json entries regardless of query order', async (t) => {
+  const server = await startFixtureServer({ rootDir: FIXTURES_DIR });
+  t.after(() => server.close());
+
+  const page2 = await fetch(`${server.origin}/fr/page-recherche?search=onsale&page=2`);
+  assert.equal(page2.status, 200);
+  assert.match(await page2.text(), /endive-12501/);
+
+  const missing = await fetch(`${server.origin}/fr/nos-produits/inconnu-00000`);
+  assert.equal(missing.status, 404);
+  await missing.text();
+
+  assert.deepEqual(
+    server.requests.map((request) => [request.path, request.status]),
+    [
+      ['/fr/page-recherche?page=2&search=onsale', 200],
+      ['/fr/nos-produits/inconnu-00000', 404],
+    ]
+  );
+});
+
+test('startFixtureServer serves a plain capture directory without a manifest', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mayrand-fixtures-'));
+  await fs.writeFile(path.join(dir, 'capture.html'), '<p>capture</p>');
+  const server = await startFixtureServer({ rootDir: dir });
+  t.after(() => server.close());
+
+  const response = await fetch(`${server.origin}/capture`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/html; charset=utf-8');
+  assert.equal(await response.text(), '<p>capture</p>');
+
+  const escape = await fetch(`${server.origin}/..%2F..%2Fetc%2Fpasswd`);
+  assert.equal(escape.status, 404);
+  await escape.text();
+
+  const malformed = await fetch(`${server.origin}/%E0%A4%A`);
+  assert.equal(malformed.status, 404);
+  await malformed.text();
+  const after = await fetch(`${server.origin}/capture`);
+  assert.equal(after.status, 200);
+  await after.text();
+});
+
+test('startFixtureServer answers 500 to a request it cannot handle and keeps serving', async (t) => {
+  const server = await startFixtureServer({ rootDir: FIXTURES_DIR });
+  t.after(() => server.close());
+
+  // `//` is not a path the fixture origin can resolve
+  const status = await new Promise((resolve, reject) => {
+    http
+      .get(`${server.origin}/`, { path: '//' }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      })
+      .on('error', reject);
+  });
+  assert.equal(status, 500);
+  assert.equal(server.requests.at(-1).status, 500);
+
+  const page2 = await fetch(`${server.origin}/fr/page-recherche?search=onsale&page=2`);
+  assert.equal(page2.status, 200);
+  await page2.text();
+});
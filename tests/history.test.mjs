@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { appendObservations, createEmptyHistory, readHistory } from '../scripts/lib/history.mjs';
+
+const keyForItem = (item) => item.sku;
+
+test('appendObservations appends one observation per key and run', () => {
+  const first = appendObservations(
+    createEmptyHistory(),
+    [{ sku: '01128', name: 'Gummi', price_sale: 3.99, price_regular: 7.29, unit_label: 'unité (1x320g)' }],
+    { runAt: '2026-08-21T03:15:00.000Z', keyForItem }
+  );
+  const second = appendObservations(
+    first,
+    [
+      { sku: '01128', name: 'Gummi', price_sale: 4.49, price_regular: 7.29, unit_label: 'unité (1x320g)' },
+      { sku: '01128', name: 'Gummi', price_sale: 1, price_regular: 2, unit_label: null },
+    ],
+    { runAt: '2026-08-22T03:15:00.000Z', keyForItem }
+  );
+
+  assert.deepEqual(second.runs, ['2026-08-21T03:15:00.000Z', '2026-08-22T03:15:00.000Z']);
+  assert.deepEqual(
+    second.items['01128'].observations.map((observation) => observation.price_sale),
+    [3.99, 4.49]
+  );
+  assert.equal(first.items['01128'].observations.length, 1);
+});
+
+test('appendObservations ignores a run that was already recorded', () => {
+  const runAt = '2026-08-22T03:15:00.000Z';
+  const items = [{ sku: '01193', price_sale: 9.99, price_regular: 11.99 }];
+  const once = appendObservations(createEmptyHistory(), items, { runAt, keyForItem });
+  const twice = appendObservations(once, items, { runAt, keyForItem });
+  assert.equal(twice, once);
+});
+
+test('readHistory starts empty only when the file is missing', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const target = path.join(dir, 'history.json');
+  assert.deepEqual(await readHistory(target), createEmptyHistory());
+
+  await fs.writeFile(target, '{"version":1,"runs":["2026-08-21T03:15:00.000Z"],"items":{');
+  await assert.rejects(readHistory(target), /not valid JSON/);
+  await fs.writeFile(target, '[]');
+  await assert.rejects(readHistory(target), /no items object/);
+  // a directory in its place cannot be read
+  await fs.rm(target);
+  await fs.mkdir(target);
+  await assert.rejects(readHistory(target), /Cannot read/);
+});
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import fsSync from 'node:fs';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { createLogger, createRunId, formatLine } from '../scripts/lib/logger.mjs';
+
+test('createRunId is sortable by start time', () => {
+  const runId = createRunId(new Date('2026-10-19T03:15:00.482Z'));
+  assert.match(runId, /^20261019T031500Z-[0-9a-f]{6}$/);
+});
+
+test('formatLine prints the event and its fields as key=value pairs', () => {
+  const line = formatLine({
+    time: '2026-10-19T03:15:02.481Z',
+    level: 'warn',
+    runId: '20261019T031500Z-3f9a1c',
+    event: 'detail.failed',
+    adapter: 'mayrand',
+    url: 'https://mayrand.ca/fr/nos-produits/mangue-12383',
+    error: 'Timeout 45000ms exceeded',
+    status: null,
+    skipped: undefined,
+  });
+  assert.equal(
+    line,
+    '03:15:02.481 WARN  detail.failed adapter=mayrand ' +
+      'url=https://mayrand.ca/fr/nos-produits/mangue-12383 ' +
+      'error="Timeout 45000ms exceeded" status=null'
+  );
+});
+
+test('the terminal follows the level while the NDJSON file keeps every event', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'logger-'));
+  const filePath = path.join(dir, 'logs', 'run.ndjson');
+  const printed = [];
+  const logger = createLogger({
+    level: 'info',
+    runId: 'run-1',
+    filePath,
+    write: (line, level) => printed.push([level, line]),
+  });
+
+  try {
+    logger.debug('results.wait', { attempt: 1 });
+    logger.info('listing.page', { query: 'onsale', page: 1, extracted: 24 });
+    logger.error('listing.failed', { page: 2 });
+    await logger.close();
+
+    assert.deepEqual(
+      printed.map(([level]) => level),
+      ['info', 'error']
+    );
+    const entries = (await fs.readFile(filePath, 'utf8'))
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      entries.map((entry) => [entry.level, entry.event, entry.runId]),
+      [
+        ['debug', 'results.wait', 'run-1'],
+        ['info', 'listing.page', 'run-1'],
+        ['error', 'listing.failed', 'run-1'],
+      ]
+    );
+    assert.equal(entries[1].extracted, 24);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('createLogger rejects an unknown level', () => {
+  assert.throws(() => createLogger({ level: 'verbose' }), /verbose/);
+});
+
+test('createLogger throws when the log file cannot be opened', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'logger-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const notADir = path.join(dir, 'run.ndjson');
+  await fs.writeFile(notADir, '');
+  assert.throws(() => createLogger({ filePath: path.join(notADir, 'x.ndjson') }), /ENOTDIR/);
+  assert.throws(() => createLogger({ filePath: dir }), /EISDIR/);
+});
+
+test('a log file that fails mid-run is reported and dropped', async (t) => {
+  if (!fsSync.existsSync('/dev/full')) {
+    t.skip('needs /dev/full');
+    return;
+  }
+  const printed = [];
+  const logger = createLogger({
+    runId: 'run-1',
+    filePath: '/dev/full',
+    write: (line, level) => printed.push([level, line]),
+  });
+  logger.info('listing.page', { page: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  logger.info('listing.page', { page: 2 });
+  await logger.close();
+  const failures = printed.filter(([, line]) => line.includes('log.file-failed'));
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0][0], 'error');
+  assert.match(failures[0][1], /file=\/dev\/full/);
+});
@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { runQualityGate } from '../scripts/lib/quality.mjs';
+import { ITEM_SCHEMA, validateRecord } from '../scripts/lib/schema.mjs';
+
+const validItem = (sku, overrides = {}) => ({
+  source: 'mayrand',
+  query: 'onsale',
+  queries: ['onsale'],
+  name: `Produit ${sku}`,
+  brand: null,
+  sku,
+  price_sale: 3.99,
+  price_regular: 4.99,
+  price_anomaly: null,
+  listing_detail_mismatch: [],
+  on_sale: true,
+  availability: 'in_stock',
+  savings: 1,
+  percent_off: 20,
+  deal_score: 20,
+  promo_start: null,
+  promo_end: '2026-10-29',
+  unit_label: 'unité (1x454g)',
+  unit_price: 0.88,
+  pack_count: 1,
+  pack_quantity: 454,
+  pack_unit: 'g',
+  normalized_unit: 'kg',
+  normalized_price_sale: 8.79,
+  normalized_price_regular: 10.99,
+  url: `https://mayrand.ca/fr/nos-produits/epicerie/produit-${sku}`,
+  image: null,
+  category: 'Épicerie',
+  category_path: ['Épicerie'],
+  category_l1: 'Épicerie',
+  category_l2: null,
+  category_l3: null,
+  scraped_at: '2026-10-19T12:00:00.000Z',
+  ...overrides,
+});
+
+const metadata = (overrides = {}) => ({
+  scrapedAt: '2026-10-19T12:05:00.000Z',
+  startedAt: '2026-10-19T12:00:00.000Z',
+  finishedAt: '2026-10-19T12:05:00.000Z',
+  durationMs: 300000,
+  pagesScraped: 1,
+  totalItems: 10,
+  scraperVersion: '1.0.0',
+  runId: '20261019T120000Z-3f9a1c',
+  resumed: false,
+  adapter: 'mayrand',
+  mode: 'onsale',
+  queryMode: 'first',
+  queryUsed: 'onsale',
+  stoppedReason: 'max-page-reached',
+  queryStats: {},
+  details: { skipped: false, requested: 10, failed: 0, failures: [] },
+  deals: {},
+  resources: {},
+  politeness: {},
+  blocks: {},
+  coverage: {},
+  ...overrides,
+});
+
+const items = (count) =>
+  Array.from({ length: count }, (_, index) => validItem(String(10000 + index)));
+
+const failedChecks = (report) =>
+  report.checks.filter((check) => !check.passed).map((check) => check.name);
+
+test('validateRecord reports missing fields, wrong types and malformed URLs', () => {
+  assert.deepEqual(validateRecord(validItem('12383'), ITEM_SCHEMA), []);
+  const { on_sale: _omitted, ...withoutOnSale } = validItem('12383', {
+    price_sale: '3,99 $',
+    url: 'mayrand.ca/produit',
+    availability: 'bientôt',
+  });
+  assert.deepEqual(
+    validateRecord(withoutOnSale, ITEM_SCHEMA).map((issue) => [issue.field, issue.rule]),
+    [
+      ['price_sale', 'type'],
+      ['on_sale', 'required'],
+      ['availability', 'enum'],
+      ['url', 'url'],
+    ]
+  );
+});
+
+test('runQualityGate passes a healthy dataset', () => {
+  const report = runQualityGate(items(10), metadata(), { previousCount: 12 });
+  assert.equal(report.passed, true);
+  assert.equal(report.itemIssues.total, 0);
+});
+
+test('runQualityGate fails on schema issues and duplicate SKUs', () => {
+  const dataset = [...items(9), validItem('10000'), validItem('12383', { url: null })];
+  const report = runQualityGate(dataset, metadata({ totalItems: -1 }));
+  assert.equal(report.passed, false);
+  assert.deepEqual(failedChecks(report), ['itemSchema', 'metadataSchema']);
+  assert.deepEqual(report.itemIssues.byRule, { required: 1, unique: 1 });
+});
+
+test('runQualityGate enforces the configurable thresholds', () => {
+  const dataset = [
+    ...items(6),
+    validItem('20001', { price_sale: null, price_regular: null }),
+    validItem('20002', { name: 'Produit Mayrand' }),
+    validItem('20003', { price_sale: 5.99, price_anomaly: 'sale-not-below-regular' }),
+    validItem('20004', { name: '' }),
+  ];
+  const report = runQualityGate(dataset, metadata(), {
+    previousCount: 30,
+    fallbackName: 'Produit Mayrand',
+  });
+  assert.deepEqual(failedChecks(report), ['itemDrop', 'missingName', 'priceAnomaly']);
+  assert.equal(report.checks.find((check) => check.name === 'missingName').value, 0.2);
+
+  const relaxed = runQualityGate(dataset, metadata(), {
+    previousCount: 30,
+    fallbackName: 'Produit Mayrand',
+    thresholds: { maxItemDropRatio: 0.7, maxMissingNameRatio: 0.2, maxPriceAnomalyRatio: 0.1 },
+  });
+  assert.equal(relaxed.passed, true);
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { chromium } from 'playwright';
+
+import { mayrandAdapter, scrapePage, scrapeProductPage } from '../scripts/adapters/mayrand.mjs';
+import { scrapeListing, waitForResultsWithRetry } from '../scripts/lib/crawler.mjs';
+import { startFixtureServer } from '../scripts/lib/fixture_server.mjs';
+import { DEFAULT_OPTIONS } from '../scripts/scrape_mayrand_onsale.mjs';
+
+const FIXTURES_DIR = path.join('tests', 'fixtures', 'mayrand');
+const skip = existsSync(chromium.executablePath())
+  ? false
+  : 'Playwright Chromium is not installed (npx playwright install chromium)';
+
+const withReplay = async (t) => {
+  const server = await startFixtureServer({ rootDir: FIXTURES_DIR });
+  const browser = await chromium.launch({ headless: true });
+  const context = await browser.newContext({ locale: 'fr-CA' });
+  await context.route('**/*', (route) =>
+    new URL(route.request().url()).origin === server.origin ? route.continue() : route.abort()
+  );
+  const page = await context.newPage();
+  page.setDefaultTimeout(15000);
+  t.after(async () => {
+    await browser.close();
+    await server.close();
+  });
+  const debugDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mayrand-replay-'));
+  return { server, context, page, debugDir };
+};
+
+test('scrapePage extracts cards and pager from a saved listing', { skip }, async (t) => {
+  const { server, page } = await withReplay(t);
+  await page.goto(`${server.origin}/fr/page-recherche?search=onsale`);
+
+  const state = await waitForResultsWithRetry(mayrandAdapter, page, 'fixture');
+  assert.equal(state.cardsCount, 3);
+
+  const extracted = await scrapePage(page);
+  const mango = extracted.results.find((result) => result.link?.endsWith('mangue-rouge-12383'));
+  assert.equal(mango.priceSaleText, '1.49 $');
+  assert.equal(mango.priceRegularText, '1.99 $');
+  assert.equal(mango.unitLabel, 'unité (1x1un)');
+  assert.deepEqual([...new Set(extracted.paginationButtons)].sort(), [1, 2]);
+  assert.equal(extracted.nextPage.pageNumber, 2);
+});
+
+test('scrapeListing follows the pager across saved pages', { skip }, async (t) => {
+  const { server, page, debugDir } = await withReplay(t);
+  const result = await scrapeListing(mayrandAdapter, page, 'onsale', {
+    ...DEFAULT_OPTIONS,
+    baseUrl: `${server.origin}/fr/page-recherche`,
+    debugDir,
+    pageDelayMs: 0,
+    pageJitterMs: 0,
+  });
+
+  assert.equal(result.pageCount, 2);
+  assert.equal(result.stoppedReason, 'max-page-reached');
+  assert.deepEqual(
+    result.pages.map((entry) => entry.page),
+    [1, 2]
+  );
+  const skus = new Set(result.items.map((item) => item.sku));
+  ['12383', '12411', '12490', '12501', '12566'].forEach((sku) => assert.ok(skus.has(sku), sku));
+  const endive = result.items.find((item) => item.sku === '12501');
+  assert.equal(endive.price_sale, 3.99);
+  assert.equal(endive.price_regular, 4.99);
+});
+
+test('scrapeProductPage reads JSON-LD offers and DOM prices', { skip }, async (t) => {
+  const { server, page } = await withReplay(t);
+  const details = await scrapeProductPage(
+    page,
+    `${server.origin}/fr/nos-produits/fruits-et-legumes/fruits/mangue/mangue-rouge-12383`
+  );
+
+  assert.equal(details.productSku, '12383');
+  assert.deepEqual(details.offerPrices, ['1.49']);
+  assert.equal(details.offerValidUntil, '2026-10-29');
+  assert.deepEqual(details.offerAvailability, ['https://schema.org/InStock']);
+  assert.equal(details.h1Text, 'Mangue rouge');
+  assert.equal(details.priceSaleText, '1.49 $');
+  assert.equal(details.priceRegularText, '1.99 $');
+  assert.equal(details.unitPriceText, '1,49$/unité');
+  assert.deepEqual(details.breadcrumbItems, [
+    'Nos produits',
+    'Fruits et légumes',
+    'Fruits',
+    'Mangue',
+  ]);
+});
+
+test('scrapeProductPage collects promotion date text', { skip }, async (t) => {
+  const { server, page } = await withReplay(t);
+  const details = await scrapeProductPage(
+    page,
+    `${server.origin}/fr/nos-produits/fruits-et-legumes/legumes/laitue/endive-12501`
+  );
+
+  assert.equal(details.offerValidUntil, null);
+  assert.ok(details.promoTexts.includes('Prix valide du 17 au 23 octobre 2026'));
+});
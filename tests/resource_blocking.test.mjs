@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { mayrandAdapter } from '../scripts/adapters/mayrand.mjs';
+import {
+  blockReason,
+  DEFAULT_BLOCKED_RESOURCE_TYPES,
+  installResourceBlocking,
+  TRACKER_HOSTS,
+} from '../scripts/lib/resource_blocking.mjs';
+
+const rules = {
+  resourceTypes: DEFAULT_BLOCKED_RESOURCE_TYPES,
+  hosts: [...TRACKER_HOSTS, ...mayrandAdapter.blockedHosts],
+};
+
+// Stands in for a Playwright browser context: requests are pushed through the registered route
+// handler, and the ones it lets through are reported as finished with the given size.
+const fakeContext = () => {
+  let handler = null;
+  const listeners = [];
+  const request = (url, resourceType, bytes) => ({
+    url: () => url,
+    resourceType: () => resourceType,
+    sizes: async () => ({ responseHeadersSize: 100, responseBodySize: bytes - 100 }),
+  });
+  return {
+    route: async (_pattern, routeHandler) => {
+      handler = routeHandler;
+    },
+    on: (event, listener) => {
+      if (event === 'requestfinished') listeners.push(listener);
+    },
+    load: async (url, resourceType, bytes) => {
+      const req = request(url, resourceType, bytes);
+      let outcome = 'continued';
+      if (handler) {
+        await handler({
+          request: () => req,
+          fallback: async () => {},
+          abort: async () => {
+            outcome = 'aborted';
+          },
+        });
+      }
+      if (outcome === 'continued') listeners.forEach((listener) => listener(req));
+      return outcome;
+    },
+  };
+};
+
+test('blockReason blocks the configured types and tracker hosts, never documents', () => {
+  assert.equal(blockReason('https://mayrand.ca/images/mangue.jpg', 'image', rules), 'type:image');
+  assert.equal(
+    blockReason('https://www.googletagmanager.com/gtm.js?id=GTM-1', 'script', rules),
+    'host:googletagmanager.com'
+  );
+  assert.equal(
+    blockReason('https://js.hs-scripts.com/123456.js', 'script', rules),
+    'host:js.hs-scripts.com'
+  );
+  assert.equal(blockReason('https://mayrand.ca/fr/page-recherche', 'document', rules), null);
+  assert.equal(blockReason('https://mayrand.ca/hs/search.js', 'script', rules), null);
+  assert.equal(blockReason('https://notdoubleclick.net/x.js', 'script', rules), null);
+});
+
+test('installResourceBlocking counts what was blocked and what was loaded', async () => {
+  const context = fakeContext();
+  const resources = await installResourceBlocking(context, { enabled: true, ...rules });
+  const page = 'https://mayrand.ca/fr/page-recherche';
+  assert.equal(await context.load(page, 'document', 60000), 'continued');
+  assert.equal(await context.load('https://mayrand.ca/hs/search.js', 'script', 20000), 'continued');
+  assert.equal(await context.load('https://mayrand.ca/images/a.jpg', 'image', 0), 'aborted');
+  assert.equal(await context.load('https://mayrand.ca/images/b.jpg', 'image', 0), 'aborted');
+  assert.equal(await context.load('https://js.hs-analytics.net/a.js', 'script', 0), 'aborted');
+
+  assert.deepEqual(await resources.summary(), {
+    blocking: true,
+    blockedResourceTypes: ['image', 'media', 'font'],
+    requestsLoaded: 2,
+    bytesLoaded: 80000,
+    requestsBlocked: 3,
+    // two images at the typical size, one script at the size of the script that loaded
+    bytesSavedEstimate: 100000,
+    blockedByType: { image: 2, script: 1 },
+    blockedByReason: { 'type:image': 2, 'host:js.hs-analytics.net': 1 },
+  });
+});
+
+test('installResourceBlocking only measures when blocking is off', async () => {
+  const context = fakeContext();
+  const resources = await installResourceBlocking(context, { enabled: false, ...rules });
+  assert.equal(await context.load('https://mayrand.ca/images/a.jpg', 'image', 45000), 'continued');
+  const summary = await resources.summary();
+  assert.equal(summary.blocking, false);
+  assert.deepEqual(summary.blockedResourceTypes, []);
+  assert.equal(summary.requestsBlocked, 0);
+  assert.equal(summary.bytesLoaded, 45000);
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { isAllowed, loadRobots, robotsRulesFor } from '../scripts/lib/robots.mjs';
+
+const ROBOTS_TXT = `# mayrand.ca
+User-agent: *
+Disallow: /fr/panier
+Disallow: /*?*sort=
+Allow: /fr/panier/aide
+Crawl-delay: 2
+
+User-agent: Googlebot
+User-agent: mayrand-scraper
+Disallow: /en/
+Allow: /en/products/
+Disallow: /*.pdf$
+Crawl-delay: 3
+`;
+
+const rulesFor = (text, userAgent) => ({ status: 'fetched', ...robotsRulesFor(text, userAgent) });
+
+test('robotsRulesFor prefers the group naming the scraper over *', () => {
+  const own = rulesFor(ROBOTS_TXT);
+  assert.equal(own.crawlDelaySeconds, 3);
+  assert.equal(isAllowed(own, 'https://mayrand.ca/fr/panier'), true);
+  assert.equal(isAllowed(own, 'https://mayrand.ca/en/search?q=cheese'), false);
+
+  const other = rulesFor(ROBOTS_TXT, 'someone-else');
+  assert.equal(other.crawlDelaySeconds, 2);
+  assert.equal(isAllowed(other, 'https://mayrand.ca/fr/panier'), false);
+  assert.equal(isAllowed(other, 'https://mayrand.ca/en/search?q=cheese'), true);
+});
+
+test('isAllowed takes the longest match, Allow on a tie, with * and $ patterns', () => {
+  const own = rulesFor(ROBOTS_TXT);
+  assert.equal(isAllowed(own, 'https://mayrand.ca/en/products/cheddar'), true);
+  assert.equal(isAllowed(own, 'https://mayrand.ca/fr/circulaire.pdf'), false);
+  assert.equal(isAllowed(own, 'https://mayrand.ca/fr/circulaire.pdf?v=2'), true);
+
+  const other = rulesFor(ROBOTS_TXT, 'someone-else');
+  assert.equal(isAllowed(other, 'https://mayrand.ca/fr/panier/aide'), true);
+  assert.equal(isAllowed(other, 'https://mayrand.ca/fr/page-recherche?q=x&sort=price'), false);
+  assert.equal(isAllowed(other, 'https://mayrand.ca/fr/page-recherche?q=x'), true);
+
+  const tie = rulesFor('User-agent: *\nDisallow: /fr\nAllow: /fr\n');
+  assert.equal(isAllowed(tie, 'https://mayrand.ca/fr/page-recherche'), true);
+  const blocked = rulesFor('User-agent: *\nDisallow: /\n');
+  assert.equal(isAllowed(blocked, 'https://mayrand.ca/robots.txt'), true);
+});
+
+// Serves robots.txt with whatever status the test sets.
+const startRobotsServer = async () => {
+  const state = { status: 200 };
+  const server = http.createServer((req, res) => {
+    res.writeHead(state.status, { 'content-type': 'text/plain' });
+    res.end(state.status === 200 ? ROBOTS_TXT : 'error');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return { origin, state, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+test('loadRobots caches robots.txt and falls back on the copy when the server fails', async (t) => {
+  const server = await startRobotsServer();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'robots-'));
+  t.after(async () => {
+    await server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  const cacheFile = path.join(dir, 'mayrand-robots.json');
+  const options = { cacheFile, timeoutMs: 5000 };
+
+  const fetched = await loadRobots(server.origin, options);
+  assert.equal(fetched.status, 'fetched');
+  assert.equal(fetched.crawlDelaySeconds, 3);
+  assert.equal(JSON.parse(await fs.readFile(cacheFile, 'utf8')).text, ROBOTS_TXT);
+
+  server.state.status = 500;
+  const cached = await loadRobots(server.origin, options);
+  assert.equal(cached.status, 'cached');
+  assert.deepEqual(cached.rules, fetched.rules);
+
+  server.state.status = 404;
+  const missing = await loadRobots(server.origin, options);
+  assert.equal(missing.status, 'missing');
+  assert.equal(isAllowed(missing, `${server.origin}/en/search`), true);
+
+  server.state.status = 503;
+  await fs.rm(cacheFile);
+  const unreachable = await loadRobots(server.origin, options);
+  assert.equal(unreachable.status, 'unreachable');
+  assert.equal(isAllowed(unreachable, `${server.origin}/fr/page-recherche`), false);
+});
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { robotsRulesFor } from '../scripts/lib/robots.mjs';
+import { createScheduler, parseRetryAfter } from '../scripts/lib/scheduler.mjs';
+
+// A clock that only moves when the scheduler waits.
+const fakeClock = () => {
+  const clock = { time: 0, waits: [] };
+  clock.now = () => clock.time;
+  clock.wait = async (ms) => {
+    clock.waits.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+};
+
+const schedulerFor = (clock, overrides = {}) =>
+  createScheduler({
+    maxRequestsPerMinute: 60,
+    slowResponseMs: 10000,
+    maxBackoffMs: 60000,
+    now: clock.now,
+    wait: clock.wait,
+    ...overrides,
+  });
+
+test('acquire spaces requests by the rate cap or a longer crawl-delay', async () => {
+  const clock = fakeClock();
+  const scheduler = schedulerFor(clock);
+  assert.equal(await scheduler.acquire('https://mayrand.ca/fr/a'), true);
+  assert.equal(await scheduler.acquire('https://mayrand.ca/fr/b'), true);
+  assert.equal(await scheduler.acquire('https://mayrand.ca/fr/c'), true);
+  assert.deepEqual(clock.waits, [1000, 1000]);
+
+  const robots = {
+    status: 'fetched',
+    origin: 'https://mayrand.ca',
+    ...robotsRulesFor('User-agent: *\nDisallow: /fr/panier\nCrawl-delay: 4\n'),
+  };
+  const slow = fakeClock();
+  const polite = schedulerFor(slow, { robots });
+  assert.equal(await polite.acquire('https://mayrand.ca/fr/panier'), false);
+  await polite.acquire('https://mayrand.ca/fr/a');
+  await polite.acquire('https://mayrand.ca/fr/b');
+  assert.deepEqual(slow.waits, [4000]);
+  const summary = polite.summary();
+  assert.equal(summary.intervalMs, 4000);
+  assert.equal(summary.requests, 2);
+  assert.equal(summary.disallowed, 1);
+  assert.deepEqual(summary.robots, { status: 'fetched', rules: 1, crawlDelaySeconds: 4 });
+});
+
+test('report backs off on 429, 503 and slow responses and recovers after normal pages', async () => {
+  const clock = fakeClock();
+  const scheduler = schedulerFor(clock);
+  const url = 'https://mayrand.ca/fr/page-recherche';
+  await scheduler.acquire(url);
+  scheduler.report({ url, status: 429 });
+  await scheduler.acquire(url);
+  scheduler.report({ url, status: 503 });
+  await scheduler.acquire(url);
+  scheduler.report({ url, status: 200, durationMs: 15000 });
+  await scheduler.acquire(url);
+  // each pause doubles: 5 s, 10 s, then 20 s
+  assert.deepEqual(clock.waits, [5000, 10000, 20000]);
+
+  scheduler.report({ url, status: 200, durationMs: 300 });
+  scheduler.report({ url, status: 200, durationMs: 300 });
+  scheduler.report({ url, status: 200, durationMs: 300 });
+  await scheduler.acquire(url);
+  await scheduler.acquire(url);
+  // the slot taken after the 20 s pause still carries it; three normal pages halve it to 10 s
+  assert.deepEqual(clock.waits.slice(3), [21000, 11000]);
+
+  const summary = scheduler.summary();
+  assert.deepEqual(summary.throttled, { 429: 1, 503: 1 });
+  assert.equal(summary.slowResponses, 1);
+  assert.equal(summary.backoffs, 3);
+  assert.equal(summary.maxBackoffMs, 20000);
+});
+
+test('an XHR answering after a 429 does not lift the backoff', async () => {
+  const clock = fakeClock();
+  const scheduler = schedulerFor(clock);
+  const url = 'https://mayrand.ca/fr/page-recherche';
+  let onFinished = null;
+  const context = {
+    on: (event, handler) => {
+      if (event === 'requestfinished') onFinished = handler;
+    },
+  };
+  const finished = (resourceType, status) => ({
+    url: () => url,
+    resourceType: () => resourceType,
+    timing: () => ({ responseEnd: 300 }),
+    response: async () => ({ status: () => status, headerValue: async () => null }),
+  });
+  scheduler.observe(context);
+
+  await scheduler.acquire(url);
+  await onFinished(finished('document', 429));
+  await onFinished(finished('xhr', 200));
+  await onFinished(finished('fetch', 200));
+  await scheduler.acquire(url);
+  await scheduler.acquire(url);
+  // the XHRs leave the 5 s backoff in place for the next slots too
+  assert.deepEqual(clock.waits, [5000, 6000]);
+  assert.deepEqual(scheduler.summary().throttled, { 429: 1 });
+});
+
+test('a failed request counts as a backoff', async () => {
+  const clock = fakeClock();
+  const scheduler = schedulerFor(clock);
+  const url = 'https://mayrand.ca/api/search';
+  await scheduler.acquire(url);
+  scheduler.report({ url, durationMs: 2000, failed: true });
+  await scheduler.acquire(url);
+  assert.deepEqual(clock.waits, [5000]);
+  assert.equal(scheduler.summary().failures, 1);
+});
+
+test('report honours Retry-After up to the backoff cap', async () => {
+  const clock = fakeClock();
+  const scheduler = schedulerFor(clock, { maxBackoffMs: 30000 });
+  const url = 'https://mayrand.ca/fr/page-recherche';
+  await scheduler.acquire(url);
+  scheduler.report({ url, status: 429, retryAfter: '12' });
+  await scheduler.acquire(url);
+  scheduler.report({ url, status: 429, retryAfter: '3600' });
+  await scheduler.acquire(url);
+  assert.deepEqual(clock.waits, [12000, 30000]);
+
+  assert.equal(parseRetryAfter('120', 0), 120000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 1970 00:00:30 GMT', 10000), 20000);
+  assert.equal(parseRetryAfter('soon', 0), null);
+});
@@ -0,0 +1,206 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import test from 'node:test';
+
+import {
+  buildPageRequest,
+  detectSearchEndpoint,
+  fetchSearchPage,
+  verifySearchEndpoint,
+} from '../scripts/lib/search_api.mjs';
+
+const PER_PAGE = 3;
+const PRODUCTS = Array.from({ length: 8 }, (_, index) => ({
+  id: 1000 + index,
+  code: String(12380 + index),
+  title: `Fromage ${index}`,
+  pricing: { current: 3.49 + index, was: 4.99 + index },
+  format: '1 x 200 g',
+  slug: `/fr/nos-produits/fromages/fromage-${index}`,
+  media: [{ src: `/images/fromage-${index}.jpg` }],
+}));
+
+// The stand-in answers GET ?page=N and POST { offset, limit } with the same products.
+const startSearchServer = async () => {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (url.pathname === '/blocked') {
+        res.writeHead(403, { 'content-type': 'text/html' });
+        res.end('<h1>Forbidden</h1>');
+        return;
+      }
+      const start =
+        req.method === 'POST'
+          ? JSON.parse(body).offset
+          : (Number(url.searchParams.get('page')) - 1) * PER_PAGE;
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          meta: { total: PRODUCTS.length },
+          data: { products: PRODUCTS.slice(start, start + PER_PAGE) },
+        })
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return { origin, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+// What adapter.extractListing would read from the page that rendered these products.
+const renderedCards = (pageNumber) =>
+  PRODUCTS.slice((pageNumber - 1) * PER_PAGE, pageNumber * PER_PAGE).map((product) => ({
+    name: product.title,
+    brand: null,
+    sku: product.code,
+    priceSaleText: `${product.pricing.current.toFixed(2).replace('.', ',')} $`,
+    priceRegularText: `${product.pricing.was.toFixed(2).replace('.', ',')} $`,
+    priceCandidates: [],
+    unitLabel: product.format,
+    link: product.slug,
+    image: product.media[0].src,
+    category: null,
+    availabilityText: null,
+  }));
+
+const sample = (url, pageNumber, extra = {}) => ({
+  url,
+  method: 'GET',
+  postData: null,
+  headers: {
+    accept: 'application/json',
+    ':authority': 'mayrand.ca',
+    'x-requested-with': 'fetch',
+    cookie: 'PHPSESSID=abc123',
+    authorization: 'Bearer session-token',
+  },
+  body: JSON.stringify({
+    data: { products: PRODUCTS.slice((pageNumber - 1) * PER_PAGE, pageNumber * PER_PAGE) },
+  }),
+  ...extra,
+});
+
+test('detectSearchEndpoint learns the records and the page parameter from two pages', async (t) => {
+  const server = await startSearchServer();
+  t.after(server.close);
+  const baseUrl = `${server.origin}/fr/page-recherche?search=fromage`;
+  const { endpoint, reason } = detectSearchEndpoint(
+    [
+      sample(`${server.origin}/api/search?_=1729300000001&q=fromage&page=1`, 1),
+      sample(`${server.origin}/api/search?_=1729300000002&q=fromage&page=2`, 2),
+    ],
+    [
+      { page: 1, cards: renderedCards(1) },
+      { page: 2, cards: renderedCards(2) },
+    ],
+    { baseUrl }
+  );
+  assert.equal(reason, null);
+  assert.equal(endpoint.recordsPath, 'data.products');
+  assert.deepEqual(endpoint.pageParameter, {
+    location: 'query',
+    name: 'page',
+    scale: 1,
+    offset: 0,
+  });
+  assert.deepEqual(endpoint.fields, {
+    sku: 'code',
+    name: 'title',
+    unitLabel: 'format',
+    priceSaleText: 'pricing.current',
+    priceRegularText: 'pricing.was',
+    link: 'slug',
+    image: 'media.0.src',
+  });
+  assert.deepEqual(endpoint.headers, { accept: 'application/json', 'x-requested-with': 'fetch' });
+
+  const check = await verifySearchEndpoint(
+    endpoint,
+    { page: 2, cards: renderedCards(2) },
+    { timeoutMs: 5000 }
+  );
+  assert.deepEqual(check, { ok: true, reason: null });
+  const third = await fetchSearchPage(endpoint, 3, { timeoutMs: 5000 });
+  assert.deepEqual(
+    third.map((card) => [card.sku, card.name, card.priceSaleText, card.link]),
+    [
+      ['12386', 'Fromage 6', '9.49', '/fr/nos-produits/fromages/fromage-6'],
+      ['12387', 'Fromage 7', '10.49', '/fr/nos-produits/fromages/fromage-7'],
+    ]
+  );
+  assert.deepEqual(await fetchSearchPage(endpoint, 4, { timeoutMs: 5000 }), []);
+});
+
+test('detectSearchEndpoint reads an offset from a JSON body by its name', async (t) => {
+  const server = await startSearchServer();
+  t.after(server.close);
+  const { endpoint } = detectSearchEndpoint(
+    [
+      sample(`${server.origin}/api/search`, 2, {
+        method: 'POST',
+        postData: JSON.stringify({ query: 'fromage', offset: PER_PAGE, limit: PER_PAGE }),
+      }),
+    ],
+    [{ page: 2, cards: renderedCards(2) }],
+    { baseUrl: server.origin }
+  );
+  assert.deepEqual(endpoint.pageParameter, {
+    location: 'json',
+    name: 'offset',
+    scale: PER_PAGE,
+    offset: -PER_PAGE,
+  });
+  assert.deepEqual(JSON.parse(buildPageRequest(endpoint, 3).body), {
+    query: 'fromage',
+    offset: 6,
+    limit: PER_PAGE,
+  });
+  const third = await fetchSearchPage(endpoint, 3, { timeoutMs: 5000 });
+  assert.deepEqual(
+    third.map((card) => card.sku),
+    ['12386', '12387']
+  );
+});
+
+test('detectSearchEndpoint gives up when no response holds the rendered products', () => {
+  const baseUrl = 'https://mayrand.ca/fr/page-recherche?search=fromage';
+  const pages = [{ page: 1, cards: renderedCards(1) }];
+  assert.equal(detectSearchEndpoint([], pages, { baseUrl }).reason, 'no-json-requests');
+  assert.equal(
+    detectSearchEndpoint(
+      [sample('https://mayrand.ca/api/cart', 1, { body: '{"items":[{"id":1}]}' })],
+      pages,
+      { baseUrl }
+    ).reason,
+    'no-matching-records'
+  );
+  assert.equal(
+    detectSearchEndpoint([sample('https://mayrand.ca/api/search?q=fromage', 1)], pages, {
+      baseUrl,
+    }).reason,
+    'no-page-parameter'
+  );
+});
+
+test('verifySearchEndpoint rejects an endpoint that refuses plain HTTP', async (t) => {
+  const server = await startSearchServer();
+  t.after(server.close);
+  const pages = [
+    { page: 1, cards: renderedCards(1) },
+    { page: 2, cards: renderedCards(2) },
+  ];
+  const { endpoint } = detectSearchEndpoint(
+    [sample(`${server.origin}/blocked?page=1`, 1), sample(`${server.origin}/blocked?page=2`, 2)],
+    pages,
+    { baseUrl: server.origin }
+  );
+  assert.deepEqual(await verifySearchEndpoint(endpoint, pages[1], { timeoutMs: 5000 }), {
+    ok: false,
+    reason: 'Search endpoint answered HTTP 403 for page 2',
+  });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { mayrandAdapter } from '../scripts/adapters/mayrand.mjs';
+import { createEmptyDetailCache } from '../scripts/lib/detail_cache.mjs';
+import { translateItems } from '../scripts/lib/translations.mjs';
+
+const OPTIONS = { detailConcurrency: 2, detailDelayMs: 0, detailJitterMs: 0, pageTimeoutMs: 1000 };
+
+const fakeContext = () => ({
+  newPage: async () => {
+    let currentUrl = 'about:blank';
+    return {
+      setDefaultTimeout: () => {},
+      url: () => currentUrl,
+      close: async () => {},
+      goto: (url) => {
+        currentUrl = url;
+      },
+    };
+  },
+});
+
+const fakeAdapter = (pages) => ({
+  ...mayrandAdapter,
+  extractProductDetails: async (page, url) => {
+    page.goto(url);
+    const details = pages[url];
+    if (!details) throw new Error('net::ERR_ABORTED');
+    return { status: 200, productSku: null, h1Text: '', productName: '', ogTitle: '', ...details };
+  },
+});
+
+test('translateProductUrl swaps the language segment of product pages only', () => {
+  assert.equal(
+    mayrandAdapter.translateProductUrl(
+      'https://mayrand.ca/fr/nos-produits/epicerie/biscuits-chocolat-12383#avis',
+      'en'
+    ),
+    'https://mayrand.ca/en/nos-produits/epicerie/biscuits-chocolat-12383'
+  );
+  assert.equal(mayrandAdapter.translateProductUrl('https://mayrand.ca/fr/recherche?q=x', 'en'), null);
+  assert.equal(mayrandAdapter.translateProductUrl(null, 'en'), null);
+});
+
+test('translateItems adds English fields and reports missing translations', async () => {
+  const adapter = fakeAdapter({
+    'https://mayrand.ca/en/products/cookies-12383': {
+      productSku: '12383',
+      h1Text: 'Chocolate cookies',
+      breadcrumb: 'Grocery > Cookies',
+      unitLabel: 'unit (300G)',
+    },
+    'https://mayrand.ca/en/nos-produits/epicerie/cafe-12501': { productSku: '99999', h1Text: 'Other' },
+  });
+  const items = [
+    {
+      sku: '12383',
+      name: 'Biscuits au chocolat',
+      url: 'https://mayrand.ca/fr/nos-produits/epicerie/biscuits-12383',
+      url_en: 'https://mayrand.ca/en/products/cookies-12383',
+    },
+    { sku: '12501', name: 'Café', url: 'https://mayrand.ca/fr/nos-produits/epicerie/cafe-12501' },
+    { sku: '12600', name: 'Thé', url: 'https://mayrand.ca/fr/nos-produits/epicerie/the-12600' },
+    { sku: null, name: 'Sans lien', url: 'https://mayrand.ca/fr/recherche?q=onsale#sans-lien' },
+  ];
+
+  const { items: translated, report } = await translateItems(
+    adapter,
+    fakeContext(),
+    items,
+    OPTIONS
+  );
+
+  assert.deepEqual(translated[0], {
+    ...items[0],
+    name_en: 'Chocolate cookies',
+    category_en: 'Grocery > Cookies',
+    unit_label_en: 'unit (300G)',
+  });
+  assert.equal(translated[1].name, 'Café');
+  assert.equal(translated[1].name_en, null);
+  assert.equal(report.requested, 4);
+  assert.equal(report.translated, 1);
+  assert.deepEqual(
+    report.missing.map((entry) => [entry.sku, entry.reason]),
+    [
+      ['12501', 'sku-mismatch'],
+      ['12600', 'net::ERR_ABORTED'],
+      [null, 'no-url'],
+    ]
+  );
+});
+
+test('translateItems reuses cached English pages and the outcomes of an interrupted run', async () => {
+  const url = 'https://mayrand.ca/en/nos-produits/epicerie/biscuits-12383';
+  const visited = [];
+  const pages = {
+    [url]: { productSku: '12383', h1Text: 'Chocolate cookies' },
+  };
+  const adapter = {
+    ...fakeAdapter(pages),
+    extractProductDetails: async (page, target) => {
+      visited.push(target);
+      return fakeAdapter(pages).extractProductDetails(page, target);
+    },
+  };
+  const items = [
+    { sku: '12383', name: 'Biscuits', url: url.replace('/en/', '/fr/') },
+    { sku: '12600', name: 'Thé', url: 'https://mayrand.ca/fr/nos-produits/epicerie/the-12600' },
+  ];
+  const missingUrl = 'https://mayrand.ca/en/nos-produits/epicerie/the-12600';
+  const options = { ...OPTIONS, detailCacheTtlHours: 72 };
+  const cache = { state: createEmptyDetailCache(), save: async () => {} };
+  const first = await translateItems(adapter, fakeContext(), items, options, { cache });
+  assert.equal(first.report.fromCache, 0);
+  assert.deepEqual(Object.keys(cache.state.entries), [url]);
+
+  const second = await translateItems(adapter, fakeContext(), items, options, { cache });
+  assert.equal(second.report.fromCache, 1);
+  assert.equal(second.items[0].name_en, 'Chocolate cookies');
+  // a page that failed is not cached and is tried again
+  assert.deepEqual(visited, [url, missingUrl, missingUrl]);
+
+  visited.length = 0;
+  const state = { translations: {} };
+  let saves = 0;
+  const checkpoint = {
+    state,
+    save: async () => {
+      saves += 1;
+    },
+  };
+  await translateItems(adapter, fakeContext(), items, options, { checkpoint });
+  const resumed = await translateItems(adapter, fakeContext(), items, options, { checkpoint });
+  assert.equal(visited.length, 2);
+  assert.ok(saves >= 2);
+  assert.equal(resumed.items[0].name_en, 'Chocolate cookies');
+  assert.deepEqual(
+    resumed.report.missing.map((entry) => [entry.sku, entry.reason]),
+    [['12600', 'net::ERR_ABORTED']]
+  );
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { computeUnitPricing, parsePackSize } from '../scripts/lib/units.mjs';
+
+test('parsePackSize reads Mayrand unit labels and product names', () => {
+  const summary = (value) => {
+    const pack = parsePackSize(value);
+    return pack && [pack.packCount, pack.packQuantity, pack.packUnit, pack.baseUnit];
+  };
+  assert.deepEqual(summary('unité (1x320g)'), [1, 320, 'g', 'kg']);
+  assert.deepEqual(summary('unité (1x5L)'), [1, 5, 'L', 'L']);
+  assert.deepEqual(summary('unité (960ml)'), [1, 960, 'ml', 'L']);
+  assert.deepEqual(summary('unité (1x1un)'), [1, 1, 'un', 'each']);
+  assert.deepEqual(summary('Eau pétillante 12 x 355 ml'), [12, 355, 'ml', 'L']);
+  assert.deepEqual(summary("Huile d'olive 1,5 L"), [1, 1.5, 'L', 'L']);
+  assert.equal(summary('Lait 2%'), null);
+  assert.equal(summary('unité'), null);
+});
+
+// Labels as they appear in public/mayrand/onsale/data.json.
+test('parsePackSize handles chained counts and variable-weight labels from the site', () => {
+  const summary = (value) => {
+    const pack = parsePackSize(value);
+    return pack && [pack.packCount, pack.packQuantity, pack.packUnit];
+  };
+  assert.deepEqual(summary('unité (1x20x90g)'), [20, 90, 'g']);
+  assert.deepEqual(summary('caisse (1x30x32g)'), [30, 32, 'g']);
+  assert.deepEqual(summary('unité (1x8x200ml)'), [8, 200, 'ml']);
+  assert.deepEqual(summary('caisse (24x85g)'), [24, 85, 'g']);
+  assert.deepEqual(summary('unité (0.15 kg)'), [1, 0.15, 'kg']);
+  assert.deepEqual(summary('unité (1x675G)'), [1, 675, 'g']);
+  assert.deepEqual(summary('Boisson gazeuse 2 x 6 x 355 ml'), [12, 355, 'ml']);
+  assert.equal(summary('unité (1.5 1x±1.5g)'), null);
+  assert.equal(summary('unité (1 3x±9.5kg)'), null);
+  assert.equal(summary('unité (2.5 1x±2.1kg)'), null);
+
+  const wheel = computeUnitPricing({
+    name: 'La Bête-à-Séguin meule 1,5 kg',
+    unit_label: 'unité (1.5 1x±1.5g)',
+    price_sale: 55.99,
+    price_regular: 83.99,
+  });
+  assert.equal(wheel.pack_count, null);
+  assert.equal(wheel.normalized_price_sale, null);
+  assert.equal(wheel.normalized_price_regular, null);
+});
+
+test('computeUnitPricing normalizes sale and regular prices per base unit', () => {
+  assert.deepEqual(
+    computeUnitPricing({ unit_label: 'unité (1x320g)', price_sale: 1.49, price_regular: 1.99 }),
+    {
+      pack_count: 1,
+      pack_quantity: 320,
+      pack_unit: 'g',
+      normalized_unit: 'kg',
+      normalized_price_sale: 4.66,
+      normalized_price_regular: 6.22,
+    }
+  );
+  const multipack = computeUnitPricing({
+    name: 'Eau pétillante 12 x 355 ml',
+    unit_label: 'unité',
+    price_sale: null,
+    price_regular: 8.52,
+  });
+  assert.equal(multipack.normalized_unit, 'L');
+  assert.equal(multipack.normalized_price_regular, 2);
+});
+
+test('computeUnitPricing falls back to the unit price text for the current price', () => {
+  const pricing = computeUnitPricing(
+    { name: 'Fromage', unit_label: null, price_sale: 4.5, price_regular: 5.99 },
+    { unitPriceText: '1,33$/100g' }
+  );
+  assert.equal(pricing.pack_count, null);
+  assert.equal(pricing.normalized_unit, 'kg');
+  assert.equal(pricing.normalized_price_sale, 13.3);
+  assert.equal(pricing.normalized_price_regular, null);
+
+  const each = computeUnitPricing(
+    { name: 'Mangue', unit_label: null, price_sale: null, price_regular: 1.49 },
+    { unitPriceText: '1,49$/unité' }
+  );
+  assert.equal(each.normalized_unit, 'each');
+  assert.equal(each.normalized_price_regular, 1.49);
+});